@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// bin/bfv.js
+//
+// Best Farmer backup viewer, command-line edition: opens a backup from disk
+// (a ZIP, a ZIP of them or a bare ranch.db; open-backup.js) and runs the
+// viewer's tab queries (docs/lib/) for scripts and cron jobs.
+//
+//   bfv info backup.zip
+//   bfv export backup.zip --tab inventory --format csv > inventory.csv
+//
+// Table output formats dates as YYYY-MM-DD; CSV / JSON hold the raw values,
+// like the viewer's Export buttons.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { openBackup } from "./open-backup.js";
+import { exportRows, mapDateColumns, toCsv } from "../docs/lib/format.js";
+import { inventorySnapshotRows, loadInventory } from "../docs/lib/inventory.js";
+import { breedingSessionRows } from "../docs/lib/breeding.js";
+
+const USAGE = `Usage:
+  bfv info <backup>
+  bfv export <backup> --tab <tab> [--format table|csv|json] [--out <file>]
+
+<backup> is a backup ZIP, a ZIP with backup ZIPs inside, or a bare ranch.db.
+
+Tabs:
+  cattle      every animal (Cattle tab)
+  feed        feed entries, most recent first (Feed tab)
+  inventory   on hand per storage / feed type, pooled or legacy (Inventory tab)
+              --as-of YYYY-MM-DD for the balance at the end of that day
+  breeding    breeding sessions with exposed / pregnant / open / conception rate
+  exposures   breeding exposures; --session <id> for one session's
+
+Options:
+  --format    table (default), csv or json
+  --out       write to this file instead of standard output
+  --password  for a password-protected ZIP (repeat it for nested ZIPs with another)
+  --db        which ranch.db to open when there are several (the path bfv lists)
+  -h, --help  show this help
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Rows per --tab, as the viewer's tab shows them (dates still raw). Resolves
+ * to null when the backup's schema doesn't have what the tab needs.
+ */
+const TABS = {
+  cattle: async (s) => (s.cattleRows ? s.cattleRows() : null),
+  feed: async (s) => (s.feedEntries ? runSpec(s, s.feedEntries()) : null),
+  inventory: async (s, opts) => {
+    const inv = s.inventorySources.length ? await loadInventory(s) : null;
+    return inv ? inventorySnapshotRows(inv, asOfBound(opts["as-of"])) : null;
+  },
+  breeding: async (s) => (s.breedingSessions ? breedingSessionRows(s) : null),
+  exposures: async (s, opts) =>
+    s.breedingExposures
+      ? runSpec(s, s.breedingExposures({ sessionId: sessionId(opts.session) }))
+      : null,
+};
+
+// Options only one tab takes: option -> that tab
+const TAB_OPTIONS = { "as-of": "inventory", session: "exposures" };
+
+function runSpec(s, spec) {
+  return s.query(spec.sql, spec.params);
+}
+
+/** --as-of YYYY-MM-DD -> exclusive upper bound (end of that day, UTC), or null. */
+function asOfBound(value) {
+  if (value == null) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) throw new UsageError(`--as-of must be YYYY-MM-DD, not "${value}".`);
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) + 86400000;
+}
+
+/** --session <id> -> the session id as a number, or null. */
+function sessionId(value) {
+  if (value == null) return null;
+  if (!/^\d+$/.test(value)) throw new UsageError(`--session must be a session id (a whole number), not "${value}".`);
+  return Number(value);
+}
+
+/** Rows as a plain-text table with aligned columns. */
+function formatTable(rows) {
+  if (!rows.length) return "(no rows)\n";
+  const cols = Object.keys(rows[0]);
+  const cells = rows.map((r) => cols.map((c) => (r[c] == null ? "" : String(r[c]).replace(/\s+/g, " "))));
+  const widths = cols.map((c, i) => Math.max(c.length, ...cells.map((row) => row[i].length)));
+  const line = (values) =>
+    values
+      .map((v, i) => v.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [line(cols), line(widths.map((w) => "-".repeat(w))), ...cells.map(line)].join("\n") + "\n";
+}
+
+const FORMATS = ["table", "csv", "json"];
+
+function formatRows(rows, format) {
+  if (format === "csv") return toCsv(exportRows(rows));
+  if (format === "json") return JSON.stringify(exportRows(rows), null, 2) + "\n";
+  return formatTable(mapDateColumns(rows, Object.keys(rows[0] || {})));
+}
+
+async function tabRows(backup, tab, opts) {
+  const rows = await TABS[tab](backup.schema, opts);
+  if (!rows) throw new Error(`The ${tab} tab isn't available in this backup (${backup.schema.label}).`);
+  return rows;
+}
+
+async function commandInfo(backup, file) {
+  const counts = [];
+  for (const tab of Object.keys(TABS)) {
+    const rows = await TABS[tab](backup.schema, {});
+    counts.push({ tab, rows: rows ? rows.length : "not in this schema" });
+  }
+  return [
+    `${path.basename(file)}`,
+    `ranch.db:  ${backup.dbPath}`,
+    `schema:    ${backup.schema.label}`,
+    `files:     ${backup.zipIndex ? `${backup.files.length} in the ZIP` : "none (bare database)"}`,
+    "",
+    formatTable(counts),
+  ].join("\n");
+}
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      tab: { type: "string" },
+      format: { type: "string", default: "table" },
+      out: { type: "string" },
+      "as-of": { type: "string" },
+      session: { type: "string" },
+      password: { type: "string", multiple: true },
+      db: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, file] = positionals;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!["info", "export"].includes(command)) throw new UsageError(`Unknown command "${command}".`);
+  if (!file) throw new UsageError(`${command} needs a backup file.`);
+  if (command === "export") {
+    if (!opts.tab) throw new UsageError("export needs --tab.");
+    if (!TABS[opts.tab]) throw new UsageError(`Unknown tab "${opts.tab}". Tabs: ${Object.keys(TABS).join(", ")}.`);
+    if (!FORMATS.includes(opts.format)) throw new UsageError(`--format must be table, csv or json, not "${opts.format}".`);
+  }
+  for (const [option, tab] of Object.entries(TAB_OPTIONS)) {
+    if (opts[option] != null && (command !== "export" || opts.tab !== tab)) {
+      throw new UsageError(`--${option} only goes with export --tab ${tab}.`);
+    }
+  }
+
+  let backup;
+  try {
+    backup = await openBackup(file, { passwords: opts.password ?? [], dbPath: opts.db ?? null });
+  } catch (err) {
+    if (err.need === "password") err.message += " Give it with --password.";
+    if (err.need === "choice") err.message += " Pick one with --db.";
+    throw err;
+  }
+  try {
+    const output =
+      command === "info"
+        ? await commandInfo(backup, file)
+        : formatRows(await tabRows(backup, opts.tab, opts), opts.format);
+    if (opts.out) fs.writeFileSync(opts.out, output);
+    else process.stdout.write(output);
+  } finally {
+    backup.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  const usage = err instanceof UsageError || String(err.code).startsWith("ERR_PARSE_ARGS");
+  process.stderr.write(`bfv: ${err.message}\n${usage ? "Run bfv --help for usage.\n" : ""}`);
+  process.exitCode = usage ? 2 : 1;
+});
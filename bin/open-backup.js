@@ -0,0 +1,75 @@
+// bin/open-backup.js
+//
+// Opens a backup from disk for bfv.js (and the tests): a backup ZIP, a ZIP
+// of them or a bare ranch.db, found by docs/lib/unpack.js with the same JSZip
+// and sql.js builds the viewer vendors in docs/, from node_modules.
+
+import fs from "node:fs";
+import path from "node:path";
+import JSZip from "jszip";
+import initSqlJs from "sql.js";
+
+import { detectSchema } from "../docs/lib/schema.js";
+import { databaseBytes, findDatabases, pickDatabase, zipFileList } from "../docs/lib/unpack.js";
+
+/** sql.js Database as the { query(sql, params) } connection docs/lib expects. */
+export function sqlJsConnection(sqlDb) {
+  return {
+    async query(sql, params = []) {
+      const stmt = sqlDb.prepare(sql);
+      try {
+        stmt.bind(params);
+        const rows = [];
+        while (stmt.step()) rows.push(stmt.getAsObject());
+        return rows;
+      } finally {
+        stmt.free();
+      }
+    },
+  };
+}
+
+/**
+ * Reads a backup and opens its ranch.db (found like the viewer does).
+ * Resolves to { dbPath, files, zipIndex, schema, close() }; zipIndex is
+ * Map<zipPath, { size, date }> of the ZIP holding ranch.db like
+ * backup-worker.js builds (size uncompressed, date as millis), null for a
+ * bare database. passwords are tried on every encrypted ZIP; dbPath picks one
+ * when there are several ranch.db files. When either is missing it rejects
+ * with an Error whose need is "password" or "choice".
+ */
+export async function openBackup(file, { passwords = [], dbPath = null } = {}) {
+  let bytes;
+  try {
+    bytes = fs.readFileSync(file);
+  } catch (err) {
+    throw new Error(`Can't read ${file}: ${err.code === "ENOENT" ? "no such file" : err.message}`);
+  }
+
+  const found = await findDatabases(new Uint8Array(bytes), path.basename(file), {
+    JSZip,
+    passwords: passwords.map((password) => ({ zip: null, password })),
+  });
+  if (found.need) {
+    const err = new Error(found.retry ? `The password doesn't open ${found.zip}.` : `${found.zip} is password protected.`);
+    err.need = "password";
+    throw err;
+  }
+  const picked = pickDatabase(found.candidates, dbPath);
+  if (!picked) {
+    const err = new Error(`${path.basename(file)} holds ${found.candidates.length} ranch.db files: ${found.candidates.map((c) => c.path).join(", ")}.`);
+    err.need = "choice";
+    throw err;
+  }
+
+  const SQL = await initSqlJs();
+  const sqlDb = new SQL.Database(await databaseBytes(picked));
+  const files = picked.zip ? zipFileList(picked.zip) : null;
+  return {
+    dbPath: picked.path,
+    files: files ? files.map(([name]) => name) : [],
+    zipIndex: files && new Map(files),
+    schema: await detectSchema(sqlJsConnection(sqlDb)),
+    close: () => sqlDb.close(),
+  };
+}
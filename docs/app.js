@@ -1,395 +1,3076 @@
 // docs/app.js
 //
 // Best Farmer Backup Viewer (ZIP + ranch.db + attachments)
-// - Loads a backup ZIP locally (no upload)
-// - Opens ranch.db using sql.js (WASM)
-// - Tabs: Cattle / Feed / Inventory / Breeding
-// - Inventory: pooled snapshot if available, otherwise legacy snapshot fallback
+// - Loads a backup locally (no upload), picked or dropped on the page: a backup
+//   ZIP, a ZIP of them (email / cloud drive exports) or a bare ranch.db, any
+//   ZIP password protected (lib/unpack.js); asks which ranch.db when there
+//   are several
+// - Remember this backup (opt-in): the file is kept in IndexedDB on this device
+//   (lib/recent.js) and listed under Recent backups on the start screen, one
+//   click to reopen
+// - Opens ranch.db using sql.js (WASM) in a Web Worker (backup-worker.js), one
+//   per open backup; every query is a message to it, so the page stays
+//   responsive, and loads report bytes read / unzip progress and can be cancelled
+// - Detects the schema version (V10 / V11 / V12+) from user_version and the tables
+//   present; each tab queries through that version's adapter (detectSchema)
+// - Tabs: Overview / Cattle / Feed / Inventory / Breeding / Tables / SQL / Health /
+//   Compare / Trends / Attachments
+// - Overview (the landing view): head counts by status / sex / role / group /
+//   cohort as bar charts and a cross-tab, pregnant / open cows from each cow's
+//   latest exposure, feed with nothing on hand in the inventory snapshot or
+//   under the days-of-feed warning; every number links to the rows it counts
+// - Feed: raw entries, or a cost summary by group / feed type / week or month
+// - Inventory: pooled snapshot if available, otherwise legacy snapshot fallback;
+//   "as of" date, per-row transaction ledger with running balance, negative flags,
+//   days-of-feed forecast from recent feed_entries use
+// - Breeding: per-session performance (exposed / pregnant / open / conception
+//   rate / date spread); clicking a session lists all of its exposures;
+//   calving calendar from due dates (or breeding date + gestation) with .ics export
+// - Tables: every table in ranch.db with row counts, columns, indexes, foreign
+//   keys and paged raw rows (dates formatted, photo paths as thumbnails)
+// - SQL: read-only queries against ranch.db, saved queries kept in localStorage
+// - Health: integrity_check / foreign_key_check, attachment paths missing from
+//   the ZIP, unreferenced ZIP files, orphaned feed entries / exposures,
+//   negative inventory balances
+// - Compare: open a second backup and diff cattle, feed entries, inventory
+//   balances and breeding exposures, with drill-down into changed rows
+// - Trends: several backups at once; head counts, feed on hand and pregnancy
+//   rate charted over the backup dates (from file names or ZIP timestamps)
+// - Attachments: every file in the ZIP (photos, vet records, receipts, …) by
+//   folder as a gallery or list, with the records that reference each one;
+//   full-size viewer with next / previous, PDFs inline, single-file download
 // - Search box filters the currently displayed table (Breeding filters Exposures table)
+//   with per-column filters (status:active due_date<2026-12-01 -group_name:culls);
+//   column headers sort by type (number / date / text)
+// - Cattle, feed entries, exposures, raw tables and SELECT results stay in SQLite:
+//   search and sort run as WHERE / ORDER BY, rows load in pages while scrolling;
+//   long tables only draw the rows in view, thumbnails load as they appear
+// - Export the current view (after search) as CSV / JSON / XLSX
+// - Report: print-ready herd roster with photos, pregnancy check sheet per
+//   breeding session, feed and inventory summary (Print / Save as PDF)
+// - Cattle rows open a per-animal profile (all columns, photo, breeding history)
+// - The URL hash holds the view (tab, sub-view, open record, search, sort): links
+//   can be shared, back / forward step between views, and re-opening the backup
+//   after a reload returns to the same view
+//
+// This file is the page: state, tabs and DOM. What the tabs show comes from
+// the ES modules in lib/ (no DOM there, so bin/bfv.js and test/ use them too):
+//   data access  backup.js (worker connection), unpack.js + zipcrypto.js (finding
+//                ranch.db in the opened file), schema.js (version adapters)
+//   per tab      cattle.js, feed.js, inventory.js, breeding.js, compare.js,
+//                trends.js, attachments.js, health.js
+//   formatting   format.js (dates, numbers, export rows), filter.js (search box)
+//   rendering    render.js (table rows, charts, print tables), link.js (URL hash)
 //
 // Requirements in /docs alongside this file:
-//   - index.html
+//   - index.html (loads this file as a module: serve over http(s), not file://)
+//   - lib/*.js
+//   - backup-worker.js
+//   - jszip.min.js (JSZip 3.10.1, for XLSX export and in backup-worker.js)
 //   - sql-wasm.js
 //   - sql-wasm.wasm
+//   - sw.js, manifest.webmanifest, icon-192.png, icon-512.png (offline / install)
 //
-// Uses JSZip from CDN in index.html
+// No CDN or network use: sw.js caches all of the above, so once opened the
+// viewer works offline and can be installed as an app.
+
+import { loadProgressText, openBackupFile } from "./lib/backup.js";
+import { EXPOSURE_LIST_COLS, detectSchema, quoteIdent, tableColumns } from "./lib/schema.js";
+import {
+  exportRows,
+  fmtBytes,
+  fmtDate,
+  fmtNumber,
+  isDateColumn,
+  mapDateColumns,
+  parseDateInput,
+  toCsv,
+} from "./lib/format.js";
+import {
+  columnKinds,
+  equalsTerm,
+  filterRows,
+  filterTermSql,
+  parseFilterQuery,
+  sortRows,
+  sortSql,
+} from "./lib/filter.js";
+import {
+  CHART_COLORS,
+  barChartHtml,
+  escapeHtml,
+  lineChartHtml,
+  reportTableHtml,
+  tableHeadHtml,
+  tableRowHtml,
+} from "./lib/render.js";
+import {
+  HERD_DIMENSIONS,
+  INACTIVE_CATTLE_STATUSES,
+  ON_PLACE_FILTER,
+  herdCounts,
+  herdCrossTab,
+  isOnPlace,
+} from "./lib/cattle.js";
+import { feedCostSummary } from "./lib/feed.js";
+import {
+  feedForecast,
+  inventoryBalances,
+  inventoryKey,
+  inventorySnapshotRows,
+  loadInventory,
+  lowStockRows,
+  round3,
+} from "./lib/inventory.js";
+import {
+  CALVING_OVERDUE_DAYS,
+  CALVING_SOON_DAYS,
+  DAY_MS,
+  breedingSessionRows,
+  breedingSessionStats,
+  calvingEntries,
+  calvingIcs,
+  calvingStatus,
+  currentPregnancies,
+  emptySessionStats,
+  utcDay,
+} from "./lib/breeding.js";
+import { compareBackups, compareSnapshot } from "./lib/compare.js";
+import { TREND_METRICS, backupDate, trendMetrics } from "./lib/trends.js";
+import { ATTACHMENT_KINDS, IMAGE_EXT_RE, attachmentList, attachmentRefText, mimeForPath } from "./lib/attachments.js";
+import { runHealthChecks } from "./lib/health.js";
+import { parseViewHash, viewHash } from "./lib/link.js";
+import { forgetAllBackups, forgetBackup, listRecentBackups, recentBackupFile, rememberBackup } from "./lib/recent.js";
 
 const statusEl = document.getElementById("status");
 const inputEl = document.getElementById("zip");
+const rememberEl = document.getElementById("rememberBackup");
+const recentCardEl = document.getElementById("recentCard");
 const tabsEl = document.getElementById("tabs");
 const toolbarEl = document.getElementById("toolbar");
 const viewCardEl = document.getElementById("viewCard");
 const viewEl = document.getElementById("view");
 const searchEl = document.getElementById("search");
 const countPillEl = document.getElementById("countPill");
-
-let zipIndex = null; // Map<zipPath, JSZipObject>
-let db = null;
-
-let currentTab = "cattle";
+const filterHintEl = document.getElementById("filterHint");
+const schemaPillEl = document.getElementById("schemaPill");
+
+let zipIndex = null; // Map<zipPath, { size, date }> of every file in the ZIP, null for a bare ranch.db
+let db = null; // openBackupFile() connection to the loaded backup's worker
+let loadAbort = null; // AbortController of the backup load in progress
+let schema = null; // detectSchema(): version + per-tab queries for the loaded db
+let loadedFileName = null;
+let loadedFile = null; // File of the loaded backup, for "Remember this backup"
+
+let currentTab = "overview";
+const tabFilters = new Map(); // tab -> { q, sort }: search box text and header sort last used there
+let overviewScope = "place"; // Overview tab: "place" (animals on the place) | "all" counted
+let overviewCross = { rows: "group_name", cols: "sex" }; // Overview: cross-tab dimensions (HERD_DIMENSIONS)
+let overviewDrill = null; // Overview: preg status whose cows are listed, null = none
+let feedView = "entries"; // Feed tab: "entries" | "summary"
+let feedRange = null; // Feed summary: { from, to, period } (YYYY-MM-DD, "week" | "month")
+let sqlText = ""; // SQL tab: editor contents
+let tablesSelected = null; // Tables tab: table being browsed, null = list
+let cattleProfileId = null; // Cattle tab: id of the animal whose profile is open, null = list
+let breedingView = "sessions"; // Breeding tab: "sessions" | "calendar"
+let calendarMonth = null; // Calving calendar: "YYYY-MM", null = this month
+let breedingSessionId = null; // Breeding: session whose exposures are shown, null = recent from all
+let inventoryView = "snapshot"; // Inventory tab: "snapshot" | "forecast"
+let inventoryAsOf = ""; // Inventory: YYYY-MM-DD snapshot date, "" = latest
+let inventoryLedgerKey = null; // Inventory: inventoryKey() of the row whose ledger is open, null = snapshot
+let healthResults = null; // Health tab: runHealthChecks() for the loaded db, null = not run yet
+let healthSelected = null; // Health tab: id of the check whose records are listed
+let compareBackup = null; // Compare tab: { fileName, zipIndex, db, schema } of the second backup
+let compareSwapped = false; // Compare: false = second backup is "before", loaded one is "after"
+let compareSection = "cattle"; // Compare: section whose changed rows are listed
+let compareDiff = null; // Compare: compareBackups() result, null = recompute
+let trendBackups = []; // Trends tab: [{ fileName, date, dateSource, schemaLabel, metrics }], by date
+let trendMetric = "status"; // Trends: TREND_METRICS id being charted
+let attachmentFiles = null; // Attachments tab: attachmentList() for the loaded backup, null = not built yet
+let attachmentsView = "grid"; // Attachments: "grid" | "list"
+let attachmentsKind = "all"; // Attachments: ATTACHMENT_KINDS id shown
+let lightboxClose = null; // closes the open attachment viewer, null = none open
+let dialogClose = null; // cancels the open password / ranch.db question, null = none open
 
 // For search filtering: we keep the *current* table rows/cols.
 // NOTE: On Breeding tab, this is wired to the Exposures table (most useful).
 let lastRenderedRows = [];
 let lastRenderedCols = [];
-let lastRenderedPhotoCol = null;
+let lastRenderedHost = null; // element the searchable table is drawn into
+let lastRenderedOpts = {}; // renderTable options, reused when the filter redraws
+let lastSqlQuery = null; // renderSqlTable: { sql, params, run, cols, dateCols, sample, total }
+let lastVisibleView = null; // row view (arrayRowView / sqlRowView) after the search filter + sort
+let lastSort = null; // { col, dir: 1 | -1 } from a header click
+let lastColumnKind = null; // columnKinds() of the rendered table: col -> "date" | "number" | "text"
+let pendingSort = null; // header sort carried over to the next searchable table drawn (see setActiveTab)
+
+// For export: sheet name of the searchable table, plus any tables shown
+// alongside it (Breeding: Sessions) as [{ name, rows }].
+let lastExportName = "rows";
+let lastExportExtraSheets = [];
 
 function setStatus(text, cls = "") {
   statusEl.className = cls ? cls : "muted";
   statusEl.textContent = text;
 }
 
-function escapeHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
-}
+/** Rows of sql, run in the worker of conn (default: the loaded backup). */
+function queryAll(sql, params = [], conn = db) {
+  return conn.query(sql, params);
+}
+
+/** All rows of a query spec { sql, params } (see renderSqlTable). */
+function queryRows(query, conn = db) {
+  return queryAll(query.sql, query.params ?? [], conn);
+}
+
+// -------------------------
+// Schema versions: detectSchema and the per-version adapters are in
+// lib/schema.js; tabs a backup's schema can't answer say so here.
+// -------------------------
+
+/** Message for a tab the loaded schema can't show. */
+function renderNotInSchema(what, needs) {
+  viewEl.innerHTML = `
+    <div class="warn">${escapeHtml(what)} isn’t available in this backup.</div>
+    <div class="muted" style="margin-top:8px;">
+      Needs ${escapeHtml(needs)}. This backup’s schema: ${escapeHtml(schema.label)}.
+      ${
+        schema.supported
+          ? ""
+          : `<br/>This viewer doesn’t recognise the schema. Tables found: ${escapeHtml(schema.tableNames.join(", ") || "none")}.
+             The Tables and SQL tabs still work.`
+      }
+    </div>
+  `;
+  setCountPill(0, 0);
+  setStatus(`${what}: not in this backup’s schema (${schema.label}).`, "warn");
+}
+
+function setCountPill(filteredCount, totalCount) {
+  if (totalCount === filteredCount) {
+    countPillEl.textContent = `${totalCount} rows`;
+  } else {
+    countPillEl.textContent = `${filteredCount} / ${totalCount} rows`;
+  }
+}
+
+// Blob URL per ZIP entry, so redrawn rows don't unzip the same photo again
+const zipBlobUrls = new WeakMap();
+
+async function blobUrlFromZipPath(path) {
+  if (!path) return null;
+  const entry = zipIndex?.get(path);
+  if (!entry) return null;
+  if (!zipBlobUrls.has(entry)) zipBlobUrls.set(entry, zipEntryBlobUrl(path));
+  return zipBlobUrls.get(entry);
+}
+
+async function zipEntryBlobUrl(path) {
+  const bytes = await db.fileBytes(path);
+  if (!bytes) return null;
+
+  const blob = new Blob([bytes], { type: mimeForPath(path) });
+  return URL.createObjectURL(blob);
+}
+
+// Tables over VIRTUAL_MIN_ROWS rows only put the rows scrolled into view in
+// the DOM; renderSqlTable reads its rows SQL_PAGE_ROWS at a time.
+const VIRTUAL_MIN_ROWS = 200;
+const VIRTUAL_OVERSCAN = 20;
+const SQL_PAGE_ROWS = 200;
+const SQL_PAGE_CACHE = 50; // pages kept per row view
+
+/**
+ * Renders the searchable table (into the main view unless `host` is given).
+ * Sets search/filter globals for that table.
+ * If onRowClick is given, each row is clickable and receives its row object.
+ */
+function renderTable(
+  rows,
+  {
+    photoPathKey = null,
+    extraColTitle = "Photo",
+    onRowClick = null,
+    rowClass = null,
+    host = viewEl,
+    exportName = currentTab,
+  } = {}
+) {
+  startRenderedTable(host, { photoPathKey, extraColTitle, onRowClick, rowClass }, exportName);
+  lastRenderedRows = rows || [];
+  lastRenderedCols = lastRenderedRows.length ? Object.keys(lastRenderedRows[0]) : [];
+  lastColumnKind = columnKinds(lastRenderedRows);
+
+  if (!lastRenderedCols.length) {
+    drawTable(host, []);
+    setCountPill(0, 0);
+    return;
+  }
+  refilter();
+}
+
+/**
+ * Like renderTable, but the rows stay in SQLite. query = { sql, params,
+ * dateCols, run } is wrapped as a subquery, so search and header sort become
+ * WHERE / ORDER BY and rows are read a page at a time as they scroll into view.
+ * dateCols defaults to the isDateColumn names; run (default queryAll) lets the
+ * SQL console keep query_only on. Resolves to the total row count once the
+ * first rows are drawn.
+ */
+async function renderSqlTable(query, opts = {}) {
+  const {
+    photoPathKey = null,
+    extraColTitle = "Photo",
+    onRowClick = null,
+    rowClass = null,
+    host = viewEl,
+    exportName = currentTab,
+  } = opts;
+  const run = query.run ?? queryAll;
+  const params = query.params ?? [];
+  // Trailing newline: a closing "-- comment" mustn't swallow the subquery's ")"
+  const sql = `${query.sql.trim().replace(/;\s*$/, "")}\n`;
+
+  const cols = await queryColumns(sql, params);
+  const total = (await run(`SELECT COUNT(*) AS n FROM (${sql})`, params))[0].n;
+  const sample = await run(`SELECT * FROM (${sql}) LIMIT ${VIRTUAL_MIN_ROWS}`, params);
+
+  startRenderedTable(host, { photoPathKey, extraColTitle, onRowClick, rowClass }, exportName);
+  lastSqlQuery = { sql, params, run, cols, dateCols: new Set(query.dateCols ?? cols.filter(isDateColumn)), sample, total };
+  lastRenderedCols = cols;
+  lastColumnKind = columnKinds(sample, (c) => lastSqlQuery.dateCols.has(c));
+  await applySearchFilter();
+  return total;
+}
+
+/** Shared setup of renderTable / renderSqlTable. */
+function startRenderedTable(host, opts, exportName) {
+  lastRenderedRows = [];
+  lastSqlQuery = null;
+  lastRenderedHost = host;
+  lastRenderedOpts = opts;
+  lastVisibleView = arrayRowView([]);
+  lastSort = pendingSort;
+  pendingSort = null;
+  lastColumnKind = null;
+  lastExportName = exportName;
+  lastExportExtraSheets = [];
+}
+
+/** Result column names of sql without running it. */
+function queryColumns(sql, params = [], conn = db) {
+  return conn.columns(sql, params);
+}
+
+/**
+ * drawTable's row access over an array: { cols, count, rowAt(i),
+ * ensure(start, end) (loads rows before rowAt; nothing to do here), all() }.
+ */
+function arrayRowView(rows) {
+  return {
+    cols: rows.length ? Object.keys(rows[0]) : [],
+    count: rows.length,
+    rowAt: (i) => rows[i],
+    ensure: async () => {},
+    all: async () => rows,
+  };
+}
+
+/**
+ * Row access over lastSqlQuery with the search terms as WHERE and the header
+ * sort as ORDER BY. Rows are fetched SQL_PAGE_ROWS at a time (LIMIT/OFFSET)
+ * by ensure() before they're drawn, with dates formatted like mapDateColumns.
+ * Resolves once the count and the first VIRTUAL_MIN_ROWS rows are in, so
+ * drawTable can draw a short result straight away.
+ */
+async function sqlRowView(q, terms, sort, table) {
+  const where = terms.map((t) => filterTermSql(t, table));
+  const params = [...q.params, ...where.flatMap((w) => w.params)];
+  const from = `FROM (${q.sql})${where.length ? ` WHERE ${where.map((w) => w.sql).join(" AND ")}` : ""}`;
+  const order = sort ? ` ORDER BY ${sortSql(sort, table)}` : "";
+  const format = (rows) => mapDateColumns(rows, [...q.dateCols], () => true);
+
+  const pages = new Map();
+  const view = {
+    cols: q.cols,
+    count: where.length ? (await q.run(`SELECT COUNT(*) AS n ${from}`, params))[0].n : q.total,
+    rowAt: (i) => pages.get(Math.floor(i / SQL_PAGE_ROWS))?.[i % SQL_PAGE_ROWS],
+    async ensure(start, end) {
+      for (let page = Math.floor(start / SQL_PAGE_ROWS); page * SQL_PAGE_ROWS < end; page++) {
+        if (pages.has(page)) continue;
+        const rows = await q.run(`SELECT * ${from}${order} LIMIT ? OFFSET ?`, [
+          ...params,
+          SQL_PAGE_ROWS,
+          page * SQL_PAGE_ROWS,
+        ]);
+        if (pages.size >= SQL_PAGE_CACHE) pages.delete(pages.keys().next().value);
+        pages.set(page, format(rows));
+      }
+    },
+    all: async () => format(await q.run(`SELECT * ${from}${order}`, params)),
+  };
+  await view.ensure(0, Math.min(view.count, VIRTUAL_MIN_ROWS));
+  return view;
+}
+
+/**
+ * Draws rows as an HTML table into host (no globals touched).
+ * rows is an array or a row view (arrayRowView / sqlRowView) with its first
+ * VIRTUAL_MIN_ROWS rows loaded; past that only the rows scrolled into view
+ * are in the DOM, loaded as they're reached.
+ * Photo cells are filled from the ZIP asynchronously.
+ * If onSort is given, headers are clickable and `sort` marks the active column.
+ * rowClass(row) may return a CSS class for a row (e.g. "flag").
+ */
+function drawTable(
+  host,
+  rows,
+  { photoPathKey = null, extraColTitle = "Photo", onRowClick = null, rowClass = null, onSort = null, sort = null } = {}
+) {
+  const view = Array.isArray(rows) || !rows ? arrayRowView(rows || []) : rows;
+  if (!view.count) {
+    host.innerHTML = `<div class="muted">No rows.</div>`;
+    return;
+  }
+
+  const cols = view.cols;
+  const head = tableHeadHtml(cols, { photoPathKey, extraColTitle, sortable: !!onSort, sort });
+  const rowHtml = (r, i) => tableRowHtml(r, i, cols, { photoPathKey, clickable: !!onRowClick, rowClass });
+
+  if (view.count <= VIRTUAL_MIN_ROWS) {
+    let body = "";
+    for (let i = 0; i < view.count; i++) body += rowHtml(view.rowAt(i), i);
+    host.innerHTML = `<table>${head}<tbody>${body}</tbody></table>`;
+    // Fill photo blobs async, as they scroll into view
+    if (photoPathKey) void fillPhotos(host);
+  } else {
+    host.innerHTML = `<div class="vscroll"><table>${head}<tbody></tbody></table></div>`;
+    virtualizeRows(host.querySelector(".vscroll"), host.querySelector("tbody"), view, rowHtml, {
+      colCount: cols.length + (photoPathKey ? 1 : 0),
+      photos: !!photoPathKey,
+    });
+  }
+
+  if (onSort) {
+    host.querySelector("thead").addEventListener("click", (e) => {
+      const th = e.target.closest("th[data-col]");
+      if (th) onSort(th.dataset.col);
+    });
+  }
+
+  if (onRowClick) {
+    host.querySelector("tbody").addEventListener("click", (e) => {
+      const tr = e.target.closest("tr[data-row]");
+      if (tr) onRowClick(view.rowAt(Number(tr.dataset.row)));
+    });
+  }
+}
+
+/**
+ * Keeps only the rows of view that are scrolled into view in scroller (plus
+ * VIRTUAL_OVERSCAN either side) in tbody, with spacer rows standing in for
+ * the rest, and redraws them on scroll.
+ */
+function virtualizeRows(scroller, tbody, view, rowHtml, { colCount, photos }) {
+  let rowHeight = photos ? 100 : 36; // estimate until real rows are measured
+  let measured = false;
+  let drawn = "";
+  let drawSeq = 0; // a draw still waiting on its rows gives way to a newer one
+
+  const spacer = (h) =>
+    h > 0 ? `<tr class="spacer" aria-hidden="true"><td colspan="${colCount}" style="height:${h}px"></td></tr>` : "";
+
+  const drawRows = async () => {
+    const viewport = scroller.clientHeight || 600;
+    const first = Math.floor(scroller.scrollTop / rowHeight);
+    const start = Math.max(0, Math.min(first, view.count - 1) - VIRTUAL_OVERSCAN);
+    const end = Math.min(view.count, first + Math.ceil(viewport / rowHeight) + VIRTUAL_OVERSCAN);
+    if (drawn === `${start}-${end}`) return;
+    drawn = `${start}-${end}`;
+
+    const seq = ++drawSeq;
+    await view.ensure(start, end);
+    if (seq !== drawSeq || !scroller.isConnected) return;
+
+    let html = spacer(start * rowHeight);
+    for (let i = start; i < end; i++) html += rowHtml(view.rowAt(i), i);
+    html += spacer((view.count - end) * rowHeight);
+    tbody.innerHTML = html;
+
+    // Size the spacers from the real rows once they have a layout
+    if (!measured) {
+      const real = [...tbody.rows].filter((tr) => !tr.classList.contains("spacer"));
+      const avg = real.reduce((h, tr) => h + tr.offsetHeight, 0) / (real.length || 1);
+      if (avg > 0) {
+        measured = true;
+        rowHeight = avg;
+        drawn = "";
+        void draw();
+        return;
+      }
+    }
+    if (photos) void fillPhotos(tbody, { lazy: false });
+  };
+
+  // Rows come from the worker (view.ensure), so a draw can fail: say so, and
+  // let the next scroll try those rows again
+  const draw = () =>
+    drawRows().catch((err) => {
+      drawn = "";
+      // The backup was closed or another one opened while the rows loaded
+      if (err.name === "AbortError" || !scroller.isConnected) return;
+      console.error(err);
+      setStatus(`Couldn't load rows: ${err.message || err}`, "err");
+    });
+
+  let queued = false;
+  scroller.addEventListener("scroll", () => {
+    if (queued) return;
+    queued = true;
+    requestAnimationFrame(() => {
+      queued = false;
+      void draw();
+    });
+  });
+  void draw();
+}
+
+/**
+ * Loads every <img data-photo="zip path"> under host from the ZIP; lazily,
+ * as each one nears the viewport, unless lazy is false.
+ */
+async function fillPhotos(host, { lazy = true } = {}) {
+  const imgs = [...host.querySelectorAll("img[data-photo]")];
+  if (lazy && typeof IntersectionObserver !== "undefined") {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        for (const e of entries) {
+          if (!e.isIntersecting) continue;
+          observer.unobserve(e.target);
+          void loadPhoto(e.target);
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    for (const img of imgs) observer.observe(img);
+    return;
+  }
+  for (const img of imgs) await loadPhoto(img);
+}
+
+async function loadPhoto(img) {
+  const p = img.getAttribute("data-photo");
+  const url = await blobUrlFromZipPath(p);
+  if (url) {
+    img.src = url;
+  } else {
+    const missing = document.createElement("span");
+    missing.className = "warn";
+    missing.title = `${p} isn’t in this ZIP (see the Health tab)`;
+    missing.textContent = "Missing";
+    img.replaceWith(missing);
+  }
+}
+
+// Bumped by every applySearchFilter; an SQL filter that finishes after a
+// newer one started (typing, sorting, another table) is dropped.
+let filterSeq = 0;
+
+/**
+ * Applies the search filter (and header sort) to the currently-rendered
+ * table: in memory for renderTable rows, as SQL for renderSqlTable.
+ */
+async function applySearchFilter() {
+  // Nothing rendered
+  if (!lastRenderedHost || !lastRenderedCols.length) return;
+  // A sort from a link may name a column this table doesn't have
+  if (lastSort && !lastRenderedCols.includes(lastSort.col)) lastSort = null;
+
+  const seq = ++filterSeq;
+  const { terms, unknownCols } = parseFilterQuery(searchEl.value || "", lastRenderedCols);
+  showFilterHint(unknownCols);
+  const table = { cols: lastRenderedCols, kindOf: lastColumnKind };
+
+  let view;
+  let total;
+  if (lastSqlQuery) {
+    const q = lastSqlQuery;
+    try {
+      view = await sqlRowView(q, terms, lastSort, table);
+    } catch (err) {
+      if (seq !== filterSeq) return;
+      throw err;
+    }
+    if (seq !== filterSeq || q !== lastSqlQuery) return;
+    total = q.total;
+  } else {
+    const visible = filterRows(lastRenderedRows, terms, table);
+    view = arrayRowView(lastSort ? sortRows(visible, lastSort, table) : visible);
+    total = lastRenderedRows.length;
+  }
+
+  lastVisibleView = view;
+  drawTable(lastRenderedHost, view, { ...lastRenderedOpts, onSort: sortByColumn, sort: lastSort });
+  setCountPill(view.count, total);
+}
+
+/** Header click: ascending, then descending on the same column. */
+function sortByColumn(col) {
+  lastSort = lastSort?.col === col && lastSort.dir > 0 ? { col, dir: -1 } : { col, dir: 1 };
+  refilter();
+  syncHash(true);
+}
+
+/** applySearchFilter from an event handler: failures go to the status line. */
+function refilter() {
+  applySearchFilter().catch((err) => {
+    console.error(err);
+    setStatus(`Search failed: ${err.message || err}`, "err");
+  });
+}
+
+/** Search box columns it doesn't know (see the filter language in lib/filter.js). */
+function showFilterHint(unknownCols) {
+  if (!unknownCols.length) {
+    filterHintEl.textContent = "";
+    return;
+  }
+  filterHintEl.textContent =
+    `Unknown column: ${unknownCols.join(", ")} (ignored). Columns: ${lastRenderedCols.join(", ")}`;
+}
+
+searchEl.addEventListener("input", () => {
+  refilter();
+  syncHash(true);
+});
+
+// -------------------------
+// Export: the current table view (after search) as CSV / JSON / XLSX.
+// Uses raw DB values (RAW_ROW), not the fmtDate display strings.
+// -------------------------
+
+/** Sheets for the current view: tables shown alongside + the searchable one. */
+async function exportSheets() {
+  const sheets = lastExportExtraSheets.map((sh) => ({ name: sh.name, rows: exportRows(sh.rows) }));
+  const visible = lastVisibleView ? await lastVisibleView.all() : [];
+  if (visible.length) sheets.push({ name: lastExportName, rows: exportRows(visible) });
+  return sheets;
+}
+
+function xmlEscape(s) {
+  return escapeHtml(s).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "");
+}
+
+function xlsxColName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxSheetXml(rows) {
+  const cols = rows.length ? Object.keys(rows[0]) : [];
+  const dateCols = new Set(cols.filter(isDateColumn));
+
+  let xml =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    "</sheetView></sheetViews><sheetData>";
+
+  const strCell = (ref, v, style = "") =>
+    `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+
+  if (cols.length) {
+    xml += '<row r="1">';
+    cols.forEach((c, i) => (xml += strCell(`${xlsxColName(i)}1`, c, ' s="2"')));
+    xml += "</row>";
+  }
+
+  rows.forEach((r, ri) => {
+    const rn = ri + 2;
+    xml += `<row r="${rn}">`;
+    cols.forEach((c, ci) => {
+      const v = r[c];
+      if (v == null || v === "") return;
+      const ref = `${xlsxColName(ci)}${rn}`;
+      const n = typeof v === "number" ? v : NaN;
+      if (dateCols.has(c) && Number.isFinite(n) && n > 0) {
+        // Millis since epoch -> Excel serial date (days since 1899-12-30)
+        xml += `<c r="${ref}" s="1"><v>${n / 86400000 + 25569}</v></c>`;
+      } else if (Number.isFinite(n)) {
+        xml += `<c r="${ref}"><v>${n}</v></c>`;
+      } else {
+        xml += strCell(ref, v);
+      }
+    });
+    xml += "</row>";
+  });
+
+  return xml + "</sheetData></worksheet>";
+}
+
+/** Builds a real .xlsx (SpreadsheetML in a ZIP) with one sheet per entry. */
+async function buildXlsx(sheets) {
+  const zip = new JSZip();
+  const used = new Set();
+  const names = sheets.map((sh, i) => {
+    let name = String(sh.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+    while (used.has(name.toLowerCase())) name = `${name.slice(0, 28)} ${i + 1}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+
+  zip.file(
+    "[Content_Types].xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets
+        .map(
+          (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        )
+        .join("") +
+      "</Types>"
+  );
+
+  zip.file(
+    "_rels/.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      "</Relationships>"
+  );
+
+  zip.file(
+    "xl/workbook.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+      'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+      "</sheets></workbook>"
+  );
+
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets
+        .map(
+          (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        )
+        .join("") +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      "</Relationships>"
+  );
+
+  // Styles: 0 = default, 1 = yyyy-mm-dd date, 2 = bold header
+  zip.file(
+    "xl/styles.xml",
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      "</cellXfs>" +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      "</styleSheet>"
+  );
+
+  sheets.forEach((sh, i) => zip.file(`xl/worksheets/sheet${i + 1}.xml`, xlsxSheetXml(sh.rows)));
+
+  return zip.generateAsync({
+    type: "blob",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    compression: "DEFLATE",
+  });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFileBase() {
+  const backup = (loadedFileName || "backup").replace(/\.zip$/i, "");
+  return `${backup}-${lastExportName}`.replace(/[^\w.-]+/g, "_");
+}
+
+async function exportCurrentView(format) {
+  const sheets = await exportSheets();
+  if (!sheets.some((sh) => sh.rows.length)) {
+    setStatus("Nothing to export in this view.", "warn");
+    return;
+  }
+
+  const base = exportFileBase();
+  const main = sheets[sheets.length - 1];
+
+  if (format === "csv") {
+    // CSV holds one table: the searchable one
+    downloadBlob(new Blob(["\ufeff" + toCsv(main.rows)], { type: "text/csv" }), `${base}.csv`);
+  } else if (format === "json") {
+    const data =
+      sheets.length === 1 ? main.rows : Object.fromEntries(sheets.map((sh) => [sh.name, sh.rows]));
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), `${base}.json`);
+  } else if (format === "xlsx") {
+    downloadBlob(await buildXlsx(sheets), `${base}.xlsx`);
+  } else {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  setStatus(`Exported ${base}.${format}.`, "ok");
+}
+
+document.getElementById("reportBtn").addEventListener("click", () => void renderTab("report"));
+
+toolbarEl.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-export]");
+  if (!btn) return;
+  try {
+    await exportCurrentView(btn.dataset.export);
+  } catch (err) {
+    console.error(err);
+    setStatus(`Export failed: ${err.message || err}`, "err");
+  }
+});
+
+function setActiveTab(tab) {
+  for (const btn of tabsEl.querySelectorAll("button.tabbtn")) {
+    btn.classList.toggle("active", btn.dataset.tab === tab);
+  }
+
+  // Only the report prints on its own (see @media print)
+  document.body.classList.toggle("report-mode", tab === "report");
+
+  // Each tab keeps its own search and sort; redrawing a tab (another record
+  // or sub-view) keeps the sort for its next table
+  if (tab !== currentTab) {
+    tabFilters.set(currentTab, { q: searchEl.value, sort: lastSort ?? pendingSort });
+    const saved = tabFilters.get(tab);
+    searchEl.value = saved?.q ?? "";
+    pendingSort = saved?.sort ?? null;
+  } else {
+    pendingSort ??= lastSort;
+  }
+  currentTab = tab;
+  resetRenderedTable();
+}
+
+/** Forget the searchable table (views without one: profile, diagnostics). */
+function resetRenderedTable() {
+  lastRenderedRows = [];
+  lastRenderedCols = [];
+  lastRenderedHost = null;
+  lastSqlQuery = null;
+  lastVisibleView = null;
+  lastSort = null;
+  lastExportExtraSheets = [];
+  filterHintEl.textContent = "";
+}
+
+let tabsWired = false;
+function wireTabsOnce() {
+  if (tabsWired) return;
+  tabsWired = true;
+
+  tabsEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button.tabbtn");
+    if (!btn) return;
+    const tab = btn.dataset.tab;
+    await renderTab(tab);
+  });
+}
+
+// -------------------------
+// URL hash: the view as a link (lib/link.js). Opening a view adds a history
+// entry; typing in the search box or sorting updates the current one.
+// -------------------------
+
+function isTabName(tab) {
+  return tab === "report" || [...tabsEl.querySelectorAll("button.tabbtn")].some((b) => b.dataset.tab === tab);
+}
+
+/** The current view as viewHash() fields; records only count on their own tab. */
+function currentView() {
+  const on = (tab, v) => (currentTab === tab ? v : null);
+  return {
+    tab: currentTab,
+    view: {
+      overview: overviewDrill,
+      feed: feedView,
+      inventory: inventoryView,
+      breeding: breedingView,
+      attachments: attachmentsView,
+    }[currentTab],
+    session: on("breeding", breedingView === "sessions" ? breedingSessionId : null),
+    cattle: on("cattle", cattleProfileId),
+    table: on("tables", tablesSelected),
+    check: on("health", healthSelected),
+    ledger: on("inventory", inventoryView === "snapshot" ? inventoryLedgerKey : null),
+    asof: on("inventory", inventoryAsOf),
+    q: searchEl.value,
+    sort: lastSort,
+  };
+}
+
+/** Sets the page state from a parseViewHash() view; renderTab(view.tab) then draws it. */
+function applyView(view) {
+  const { tab } = view;
+  if (tab === "overview") overviewDrill = view.view;
+  if (tab === "feed") feedView = view.view ?? "entries";
+  if (tab === "inventory") {
+    inventoryView = view.view ?? "snapshot";
+    inventoryAsOf = view.asof ?? "";
+    inventoryLedgerKey = view.ledger;
+  }
+  if (tab === "breeding") {
+    breedingView = view.view ?? "sessions";
+    breedingSessionId = view.session;
+  }
+  if (tab === "attachments") attachmentsView = view.view ?? "grid";
+  if (tab === "cattle") cattleProfileId = view.cattle;
+  if (tab === "tables") tablesSelected = view.table;
+  if (tab === "health") healthSelected = view.check;
+
+  if (tab === currentTab) {
+    searchEl.value = view.q;
+    lastSort = view.sort;
+    pendingSort = null;
+  } else {
+    tabFilters.set(tab, { q: view.q, sort: view.sort });
+  }
+}
+
+/** Puts the current view in the URL: a new history entry, or replacing the current one. */
+function syncHash(replace = false) {
+  const hash = viewHash(currentView());
+  if (hash === location.hash) return;
+  history[replace ? "replaceState" : "pushState"](null, "", hash || location.pathname + location.search);
+}
+
+// Back / forward (or a link pasted into the address bar) while a backup is open
+window.addEventListener("popstate", () => {
+  const view = parseViewHash(location.hash);
+  if (!schema || !isTabName(view.tab)) return;
+  applyView(view);
+  void renderTab(view.tab, { replaceHash: true });
+});
+
+// Opened from a link: the view shows once its backup is chosen
+if (isTabName(parseViewHash(location.hash).tab)) setStatus("Choose or drop the backup to open the linked view…");
+
+/**
+ * Writes a row of sub-view buttons into the main view and returns the
+ * element the chosen sub-view should render into.
+ */
+function renderSubviews(views, active, onPick) {
+  viewEl.innerHTML = `
+    <div class="row subviews">
+      ${views
+        .map(
+          ([id, label]) =>
+            `<button class="btn${id === active ? " active" : ""}" data-subview="${escapeHtml(id)}">${escapeHtml(label)}</button>`
+        )
+        .join("")}
+    </div>
+    <div id="subviewHost" style="margin-top:10px;"></div>
+  `;
+  viewEl.querySelector(".subviews").addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-subview]");
+    if (btn && btn.dataset.subview !== active) onPick(btn.dataset.subview);
+  });
+  return document.getElementById("subviewHost");
+}
+
+// -------------------------
+// Overview: head counts (lib/cattle.js), where the cows stand now
+// (currentPregnancies) and low feed stock (lowStockRows). Every number links
+// to the rows it counts: cattle and feed as a filtered tab, cows listed below.
+// -------------------------
+
+const HERD_DIMENSION_LABELS = { status: "Status", sex: "Sex", role: "Role", group_name: "Group", cohort: "Cohort" };
+const PREG_STATUS_LABELS = { pregnant: "Pregnant", open: "Open", pending: "Not checked yet" };
+
+/** Link to view with terms in the search box; null when a term can't be written (see equalsTerm). */
+function searchHref(view, ...terms) {
+  if (terms.includes(null)) return null;
+  return viewHash({ ...view, q: terms.filter(Boolean).join(" ") });
+}
+
+/** text linking to href, or plain text without one. */
+function linkHtml(text, href) {
+  return href ? `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+/** A count linking to href; 0 links nowhere. */
+function countLinkHtml(n, href) {
+  return n ? linkHtml(fmtNumber(n, 0), href) : `<span class="muted">0</span>`;
+}
+
+async function renderOverview() {
+  viewEl.innerHTML = `
+    <div class="row">
+      <div class="pill">Herd overview</div>
+      <label>Count
+        <select id="ovScope">
+          <option value="place"${overviewScope === "place" ? " selected" : ""}>animals on the place</option>
+          <option value="all"${overviewScope === "all" ? " selected" : ""}>all animals</option>
+        </select>
+      </label>
+      <span class="muted">Click a number to list what it counts.</span>
+    </div>
+    <div id="ovHerd" style="margin-top:10px;"></div>
+    <div class="overview-grid" style="margin-top:14px;">
+      <div id="ovPregnancy"></div>
+      <div id="ovFeed"></div>
+    </div>
+    <div id="ovDrill" style="margin-top:14px;"></div>
+  `;
+  document.getElementById("ovScope").addEventListener("change", (e) => {
+    overviewScope = e.target.value;
+    void renderTab("overview");
+  });
+
+  const herd = await renderOverviewHerd(document.getElementById("ovHerd"));
+  const preg = await currentPregnancies(schema, Date.now());
+  renderOverviewPregnancy(document.getElementById("ovPregnancy"), preg);
+  const low = await renderOverviewFeed(document.getElementById("ovFeed"));
+
+  // The cows behind a pregnancy count are the searchable table
+  const drillHost = document.getElementById("ovDrill");
+  if (PREG_STATUS_LABELS[overviewDrill]) {
+    const rows = preg.rows.filter((r) => r.preg_status === overviewDrill);
+    drillHost.innerHTML = `
+      <div class="row">
+        <div class="pill">${escapeHtml(PREG_STATUS_LABELS[overviewDrill])} (latest exposure per cow)</div>
+        <a href="${escapeHtml(viewHash({ tab: "overview" }))}">Close</a>
+      </div>
+      <div id="ovDrillTable"></div>
+    `;
+    renderTable(mapDateColumns(rows, Object.keys(rows[0] || {})), {
+      host: document.getElementById("ovDrillTable"),
+      photoPathKey: "cow_photo_path",
+      exportName: PREG_STATUS_LABELS[overviewDrill],
+    });
+  } else {
+    overviewDrill = null;
+    setCountPill(0, 0);
+  }
+  lastExportExtraSheets = [{ name: "Head counts", rows: herd.counts }];
+
+  setStatus(
+    `Overview: ${herd.head} head${overviewScope === "place" ? " on the place" : ""}, ` +
+      `${preg.rows.filter((r) => r.preg_status === "pregnant").length} pregnant` +
+      (low ? `, ${low} feed row(s) low.` : "."),
+    low ? "warn" : "ok"
+  );
+}
+
+/**
+ * Head counts by each HERD_DIMENSIONS column (bar charts) and a cross-tab
+ * of two of them. Resolves to { head, counts } (counts: one row per value,
+ * for export).
+ */
+async function renderOverviewHerd(host) {
+  if (!schema.cattleRows) {
+    host.innerHTML = `<div class="muted">No cattle table in this backup.</div>`;
+    return { head: 0, counts: [] };
+  }
+
+  const all = await schema.cattleRows();
+  const rows = overviewScope === "place" ? all.filter(isOnPlace) : all;
+  const scopeQ = overviewScope === "place" ? ON_PLACE_FILTER : "";
+  const cattleHref = (...terms) => searchHref({ tab: "cattle" }, scopeQ, ...terms);
+  const dims = HERD_DIMENSIONS.filter((d) => schema.has("cattle", d));
+  const valueLabel = (v) => (v == null ? "(none)" : String(v));
+
+  const counts = [];
+  let charts = "";
+  for (const d of dims) {
+    const byValue = herdCounts(rows, d);
+    counts.push(...byValue.map((c) => ({ count_by: d, value: c.value, head: c.head })));
+    charts += `
+      <div>
+        <h3>${escapeHtml(HERD_DIMENSION_LABELS[d])}</h3>
+        ${barChartHtml(
+          byValue.map((c) => ({ label: valueLabel(c.value), value: c.head, href: cattleHref(equalsTerm(d, c.value)) })),
+          (v) => fmtNumber(v, 0)
+        )}
+      </div>`;
+  }
+
+  if (!dims.includes(overviewCross.rows)) overviewCross.rows = dims[0];
+  if (!dims.includes(overviewCross.cols)) overviewCross.cols = dims[dims.length - 1];
+  const dimOptions = (selected) =>
+    dims
+      .map((d) => `<option value="${escapeHtml(d)}"${d === selected ? " selected" : ""}>${escapeHtml(HERD_DIMENSION_LABELS[d])}</option>`)
+      .join("");
+
+  host.innerHTML = `
+    <div><b>${countLinkHtml(rows.length, cattleHref())}</b> head${overviewScope === "place" ? ` on the place (not counting status ${escapeHtml(INACTIVE_CATTLE_STATUSES.join("/"))})` : ""}.</div>
+    <div class="overview-grid" style="margin-top:6px;">${charts}</div>
+    ${
+      dims.length > 1
+        ? `<div class="toolbar" style="margin-top:14px;">
+             <div class="pill">Cross-tab</div>
+             <select id="ovCrossRows">${dimOptions(overviewCross.rows)}</select>
+             <span>by</span>
+             <select id="ovCrossCols">${dimOptions(overviewCross.cols)}</select>
+           </div>
+           <div id="ovCross"></div>`
+        : ""
+    }
+  `;
+
+  if (dims.length > 1) {
+    const { rows: rowValues, cols: colValues, cells } = herdCrossTab(rows, overviewCross.rows, overviewCross.cols);
+    const rowTerm = (i) => equalsTerm(overviewCross.rows, rowValues[i].value);
+    const colTerm = (j) => equalsTerm(overviewCross.cols, colValues[j].value);
+    document.getElementById("ovCross").innerHTML = `
+      <table class="crosstab">
+        <thead><tr>
+          <th>${escapeHtml(HERD_DIMENSION_LABELS[overviewCross.rows])} \\ ${escapeHtml(HERD_DIMENSION_LABELS[overviewCross.cols])}</th>
+          ${colValues.map((c) => `<th>${escapeHtml(valueLabel(c.value))}</th>`).join("")}
+          <th>Total</th>
+        </tr></thead>
+        <tbody>
+          ${rowValues
+            .map(
+              (r, i) => `<tr>
+                <th>${escapeHtml(valueLabel(r.value))}</th>
+                ${cells[i].map((n, j) => `<td>${countLinkHtml(n, cattleHref(rowTerm(i), colTerm(j)))}</td>`).join("")}
+                <td><b>${countLinkHtml(r.head, cattleHref(rowTerm(i)))}</b></td>
+              </tr>`
+            )
+            .join("")}
+          <tr>
+            <th>Total</th>
+            ${colValues.map((c, j) => `<td><b>${countLinkHtml(c.head, cattleHref(colTerm(j)))}</b></td>`).join("")}
+            <td><b>${countLinkHtml(rows.length, cattleHref())}</b></td>
+          </tr>
+        </tbody>
+      </table>
+    `;
+    const pickCross = () => {
+      overviewCross.rows = document.getElementById("ovCrossRows").value;
+      overviewCross.cols = document.getElementById("ovCrossCols").value;
+      void renderTab("overview");
+    };
+    document.getElementById("ovCrossRows").addEventListener("change", pickCross);
+    document.getElementById("ovCrossCols").addEventListener("change", pickCross);
+  }
+
+  return { head: rows.length, counts };
+}
+
+/** Pregnant / open / not checked cows (currentPregnancies()), each count opening its cows below. */
+function renderOverviewPregnancy(host, preg) {
+  if (!schema.breedingExposures) {
+    host.innerHTML = `<h3>Pregnancy</h3><div class="muted">No breeding exposures in this backup.</div>`;
+    return;
+  }
+
+  const count = (status) => preg.rows.filter((r) => r.preg_status === status).length;
+  const decided = count("pregnant") + count("open");
+  host.innerHTML = `
+    <h3>Pregnancy</h3>
+    <table class="kv">
+      ${Object.entries(PREG_STATUS_LABELS)
+        .map(
+          ([status, label]) => `<tr${status === overviewDrill ? ` class="selected"` : ""}>
+            <th>${escapeHtml(label)}</th>
+            <td>${countLinkHtml(count(status), viewHash({ tab: "overview", view: status }))}</td>
+          </tr>`
+        )
+        .join("")}
+    </table>
+    <div class="muted" style="margin-top:6px;">
+      Each cow’s latest exposure, not counting cows that are no longer on the place.
+      ${decided ? `${escapeHtml(fmtNumber((count("pregnant") / decided) * 100, 1))}% of checked cows are pregnant.` : ""}
+      ${preg.calved ? `${escapeHtml(preg.calved)} pregnant cow(s) due over ${CALVING_OVERDUE_DAYS} days ago are left out as calved.` : ""}
+    </div>
+  `;
+}
+
+/**
+ * Low feed stock (lowStockRows): snapshot rows with nothing left on hand, and
+ * rows under forecastSettings.warnDays days of feed when there are dated feed
+ * entries to forecast from. Resolves to how many rows are listed.
+ */
+async function renderOverviewFeed(host) {
+  const inv = schema.inventorySources.length ? await loadInventory(schema) : null;
+  if (!inv) {
+    host.innerHTML = `<h3>Low feed stock</h3><div class="muted">No feed inventory in this backup.</div>`;
+    return 0;
+  }
+
+  const canForecast = !!schema.feedEntries && schema.has("feed_entries", "date") && schema.has("feed_entries", "amount");
+  const forecast = canForecast ? (await feedForecast(schema, inv, forecastSettings)).rows : null;
+  const rows = lowStockRows(inventorySnapshotRows(inv), forecast);
+  const snapshotHref = (...terms) => searchHref({ tab: "inventory" }, "on_hand<=0", ...terms);
+  const forecastHref = (...terms) => searchHref({ tab: "inventory", view: "forecast" }, "status:low", ...terms);
+  const rowTerms = (r) => [equalsTerm("storage", r.storage), equalsTerm("feed_type", r.feed_type)];
+
+  host.innerHTML = `
+    <h3>Low feed stock</h3>
+    <div>
+      ${countLinkHtml(rows.filter((r) => r.out).length, snapshotHref())} storage / feed row(s) with nothing on hand
+      <span class="muted">(inventory snapshot)</span>
+    </div>
+    <div>
+      ${
+        canForecast
+          ? `${countLinkHtml(rows.filter((r) => r.low).length, forecastHref())} under ${escapeHtml(forecastSettings.warnDays)} days of feed
+             <span class="muted">(use over the last ${escapeHtml(forecastSettings.windowDays)} days)</span>`
+          : `<span class="muted">No dated feed entries, so no days of feed to warn on.</span>`
+      }
+    </div>
+    ${
+      rows.length
+        ? `<table>
+             <thead><tr><th>Storage</th><th>Feed type</th><th>On hand</th><th>Days left</th><th>Runs out</th></tr></thead>
+             <tbody>
+               ${rows
+                 .map(
+                   (r) => `<tr class="flag">
+                     <td>${escapeHtml(r.storage)}</td>
+                     <td>${escapeHtml(r.feed_type)}</td>
+                     <td>${
+                       r.out
+                         ? linkHtml(fmtNumber(r.on_hand), snapshotHref(...rowTerms(r)))
+                         : escapeHtml(fmtNumber(r.on_hand))
+                     } ${escapeHtml(r.unit ?? "")}</td>
+                     <td>${r.low ? linkHtml(fmtNumber(r.days_left, 1), forecastHref(...rowTerms(r))) : ""}</td>
+                     <td>${escapeHtml(fmtDate(r.run_out_date))}</td>
+                   </tr>`
+                 )
+                 .join("")}
+             </tbody>
+           </table>`
+        : ""
+    }
+  `;
+  return rows.length;
+}
+
+/**
+ * Feed cost summary: cost and quantity (amount × feed_lots.cost_per_unit)
+ * by group, by feed type and by week/month within a date range.
+ */
+async function renderFeedSummary(host) {
+  if (!schema.has("feed_entries", "date") || !schema.has("feed_entries", "amount")) {
+    host.innerHTML = `<div class="warn">Feed entries in this backup have no date/amount columns (${escapeHtml(schema.label)}).</div>`;
+    resetRenderedTable();
+    setCountPill(0, 0);
+    setStatus("Feed summary not available in this schema.", "warn");
+    return;
+  }
+
+  const bounds = (await queryAll(`SELECT MIN(date) AS min_date, MAX(date) AS max_date FROM feed_entries`))[0];
+  if (!bounds || bounds.min_date == null) {
+    host.innerHTML = `<div class="muted">No feed entries.</div>`;
+    resetRenderedTable();
+    setCountPill(0, 0);
+    setStatus("Feed summary: no entries.", "warn");
+    return;
+  }
+
+  if (!feedRange) {
+    feedRange = { from: fmtDate(bounds.min_date), to: fmtDate(bounds.max_date), period: "month" };
+  }
+
+  host.innerHTML = `
+    <div class="toolbar">
+      <label>From <input type="date" id="feedFrom" value="${escapeHtml(feedRange.from)}"/></label>
+      <label>To <input type="date" id="feedTo" value="${escapeHtml(feedRange.to)}"/></label>
+      <label>By
+        <select id="feedPeriod">
+          <option value="week"${feedRange.period === "week" ? " selected" : ""}>week</option>
+          <option value="month"${feedRange.period === "month" ? " selected" : ""}>month</option>
+        </select>
+      </label>
+      <button class="btn" id="feedAll">All dates</button>
+    </div>
+    <div id="feedTotals" style="margin-top:10px;"></div>
+    <div style="height:14px;"></div>
+    <div class="pill">By group</div>
+    <div id="feedByGroupChart" style="margin-top:10px;"></div>
+    <div id="feedByGroup"></div>
+    <div class="muted" style="margin-top:6px;">
+      Head counts are cattle rows per group_name, not counting status ${escapeHtml(INACTIVE_CATTLE_STATUSES.join("/"))}.
+    </div>
+    <div style="height:14px;"></div>
+    <div class="pill">By feed type</div>
+    <div id="feedByTypeChart" style="margin-top:10px;"></div>
+    <div id="feedByType"></div>
+    <div style="height:14px;"></div>
+    <div class="pill">By ${escapeHtml(feedRange.period)}</div>
+    <div id="feedByPeriodChart" style="margin-top:10px;"></div>
+    <div id="feedByPeriod"></div>
+  `;
+
+  const rerender = () => {
+    feedRange = {
+      from: document.getElementById("feedFrom").value,
+      to: document.getElementById("feedTo").value,
+      period: document.getElementById("feedPeriod").value,
+    };
+    void renderFeedSummary(host);
+  };
+  for (const id of ["feedFrom", "feedTo", "feedPeriod"]) {
+    document.getElementById(id).addEventListener("change", rerender);
+  }
+  document.getElementById("feedAll").addEventListener("click", () => {
+    feedRange = null;
+    void renderFeedSummary(host);
+  });
+
+  // Empty inputs mean "from the first / through the last entry"
+  const fromMs = parseDateInput(feedRange.from) ?? Number(bounds.min_date);
+  const toMs = parseDateInput(feedRange.to);
+  const toExclusive = toMs == null ? Number(bounds.max_date) + 1 : toMs + 86400000;
+  const { days, totals, byGroup, byType, byPeriod } = await feedCostSummary(schema, fromMs, toExclusive, feedRange.period);
+
+  document.getElementById("feedTotals").innerHTML = `
+    <b>${escapeHtml(fmtNumber(totals.cost))}</b> total cost over
+    <b>${escapeHtml(totals.entries)}</b> entries (${escapeHtml(days)} days).
+    ${totals.unpriced ? `<span class="warn">${escapeHtml(totals.unpriced)} entries have no cost_per_unit (counted as 0).</span>` : ""}
+  `;
+
+  document.getElementById("feedByGroupChart").innerHTML = barChartHtml(
+    costBars(byGroup, (r) => r.group_name ?? "(none)")
+  );
+  document.getElementById("feedByTypeChart").innerHTML = barChartHtml(
+    byType.map((r) => ({ label: r.feed_type ?? "(none)", value: r.cost }))
+  );
+  document.getElementById("feedByPeriodChart").innerHTML = barChartHtml(
+    costBars(byPeriod, (r) => r.week_of ?? r.month ?? "(no date)")
+  );
+
+  drawTable(document.getElementById("feedByType"), byType);
+  drawTable(document.getElementById("feedByPeriod"), byPeriod);
+
+  // By group is the searchable table; the other two go along in exports
+  renderTable(byGroup, { host: document.getElementById("feedByGroup"), exportName: "Cost by group" });
+  lastExportExtraSheets = [
+    { name: "Cost by feed type", rows: byType },
+    { name: `Cost by ${feedRange.period}`, rows: byPeriod },
+  ];
+
+  setStatus(`Loaded Feed cost summary (${feedRange.from || "start"} – ${feedRange.to || "end"}).`, "ok");
+}
+
+/** One bar per label for rows split by unit (feedCostSummary), with the units' costs added up. */
+function costBars(rows, labelOf) {
+  const cost = new Map();
+  for (const r of rows) cost.set(labelOf(r), (cost.get(labelOf(r)) ?? 0) + Number(r.cost || 0));
+  return [...cost].map(([label, value]) => ({ label, value: Math.round(value * 100) / 100 }));
+}
+
+// -------------------------
+// Inventory: snapshot "as of" a date, per-row ledger, days of feed. Loading
+// txns (pooled / legacy fallback) and balances are in lib/inventory.js.
+// -------------------------
+
+/** Exclusive upper bound for the "as of" date (end of that day), or null for latest. */
+function inventoryAsOfBound() {
+  const ms = parseDateInput(inventoryAsOf);
+  return ms == null ? null : ms + 86400000;
+}
+
+function renderInventorySnapshot(inv, host) {
+  inventoryLedgerKey = null;
+  host.innerHTML = `
+    <div class="toolbar" style="margin-top:0;">
+      <label>As of
+        <input type="date" id="invAsOf" value="${escapeHtml(inventoryAsOf)}"${inv.dateCol ? "" : " disabled"}/>
+      </label>
+      <button class="btn" id="invLatest">Latest</button>
+      <span class="muted">${
+        inv.dateCol
+          ? "Click a row to see its transactions with a running balance."
+          : "Transactions have no date column, so only the latest totals are available."
+      }</span>
+    </div>
+    <div id="invHost"></div>
+  `;
+
+  document.getElementById("invAsOf").addEventListener("change", (e) => {
+    inventoryAsOf = e.target.value;
+    renderInventorySnapshot(inv, host);
+    syncHash();
+  });
+  document.getElementById("invLatest").addEventListener("click", () => {
+    inventoryAsOf = "";
+    renderInventorySnapshot(inv, host);
+    syncHash();
+  });
+
+  const rows = inventorySnapshotRows(inv, inventoryAsOfBound());
+
+  renderTable(rows, {
+    host: document.getElementById("invHost"),
+    exportName: "Inventory",
+    onRowClick: (r) => {
+      renderInventoryLedger(inv, inventoryKey(r), host);
+      syncHash();
+    },
+    rowClass: (r) => (r.went_negative ? "flag" : ""),
+  });
+
+  const asOf = inventoryAsOf ? ` as of ${inventoryAsOf}` : "";
+  const negatives = rows.filter((r) => r.went_negative).length;
+  setStatus(
+    `Loaded Inventory snapshot (${inv.source.label})${asOf}.` +
+      (negatives ? ` ${negatives} row(s) went negative at some point.` : ""),
+    negatives ? "warn" : "ok"
+  );
+}
+
+/** Transaction ledger behind one snapshot row, with running balance (the snapshot if key has none). */
+function renderInventoryLedger(inv, key, host) {
+  const g = inventoryBalances(inv.txns, inventoryAsOfBound()).get(key);
+  if (!g) {
+    renderInventorySnapshot(inv, host);
+    return;
+  }
+  inventoryLedgerKey = key;
+
+  host.innerHTML = `
+    <div class="row">
+      <button class="btn" id="ledgerBack">← Back to Inventory</button>
+      <b>${escapeHtml(g.storage)} • ${escapeHtml(g.feed_type)}${g.unit ? ` (${escapeHtml(g.unit)})` : ""}</b>
+      <span class="pill">on hand ${escapeHtml(round3(g.balance))}${inventoryAsOf ? ` as of ${escapeHtml(inventoryAsOf)}` : ""}</span>
+    </div>
+    ${
+      g.firstNegative
+        ? `<div class="warn" style="margin-top:8px;">Balance first went negative at txn ${escapeHtml(g.firstNegative.txn_id)}${
+            g.firstNegative.date ? ` on ${escapeHtml(fmtDate(g.firstNegative.date))}` : ""
+          } (lowest ${escapeHtml(round3(g.lowest))}).</div>`
+        : ""
+    }
+    <div id="ledgerHost"></div>
+  `;
+  document.getElementById("ledgerBack").addEventListener("click", () => {
+    renderInventorySnapshot(inv, host);
+    syncHash();
+  });
+
+  const rows = g.entries.map((e) => ({
+    txn_id: e.txn_id,
+    date: e.date,
+    type: e.type,
+    qty: e.qty,
+    change: e.change,
+    balance: e.balance,
+    flag: e.flag,
+    notes: e.notes,
+  }));
+
+  renderTable(mapDateColumns(rows, Object.keys(rows[0] || {})), {
+    host: document.getElementById("ledgerHost"),
+    exportName: "Ledger",
+    rowClass: (r) => (r.flag ? "flag" : ""),
+  });
+  setStatus(`Inventory ledger: ${g.storage} • ${g.feed_type} (${inv.source.label}).`, g.firstNegative ? "warn" : "ok");
+}
+
+/** Forecast sub-view: feedForecast() with its window / warning settings. */
+async function renderInventoryForecast(inv, host) {
+  const { windowDays, warnDays } = forecastSettings;
+
+  host.innerHTML = `
+    <div class="toolbar" style="margin-top:0;">
+      <label>Use over last
+        <select id="fcWindow">
+          ${[7, 14, 30, 60, 90]
+            .map((d) => `<option value="${d}"${d === windowDays ? " selected" : ""}>${d} days</option>`)
+            .join("")}
+        </select>
+      </label>
+      <label>Warn under <input type="number" id="fcWarn" min="0" step="1" value="${escapeHtml(warnDays)}" style="width:70px;"/> days</label>
+    </div>
+    <div id="fcNote" class="muted" style="margin-top:8px;"></div>
+    <div id="fcHost"></div>
+  `;
+
+  const rerender = () => {
+    forecastSettings.windowDays = Number(document.getElementById("fcWindow").value) || 14;
+    forecastSettings.warnDays = Math.max(0, Number(document.getElementById("fcWarn").value) || 0);
+    saveForecastSettings();
+    void renderInventoryForecast(inv, host);
+  };
+  document.getElementById("fcWindow").addEventListener("change", rerender);
+  document.getElementById("fcWarn").addEventListener("change", rerender);
+
+  if (!schema.feedEntries || !schema.has("feed_entries", "date") || !schema.has("feed_entries", "amount")) {
+    document.getElementById("fcHost").innerHTML =
+      `<div class="warn">This backup doesn’t have dated feed entries, so there is no consumption to forecast from.</div>`;
+    resetRenderedTable();
+    setCountPill(0, 0);
+    setStatus("Forecast: feed tables missing.", "warn");
+    return;
+  }
+
+  const { rows, startMs, endMs } = await feedForecast(schema, inv, forecastSettings);
+
+  document.getElementById("fcNote").textContent =
+    endMs == null
+      ? "No feed entries, so no consumption rate."
+      : `Daily use = feed entries from ${fmtDate(startMs + 86400000)} to ${fmtDate(endMs)} ÷ ${windowDays} days. ` +
+        `Run-out dates count from ${fmtDate(endMs)}. Feed entries have no storage, so each storage row assumes it is the only one fed from.`;
+
+  renderTable(mapDateColumns(rows, Object.keys(rows[0] || {})), {
+    host: document.getElementById("fcHost"),
+    exportName: "Days of feed",
+    rowClass: (r) => (r.status === "LOW" ? "flag" : ""),
+  });
+
+  const low = rows.filter((r) => r.status === "LOW").length;
+  setStatus(
+    low ? `Forecast: ${low} row(s) under ${warnDays} days of feed.` : `Forecast: nothing under ${warnDays} days of feed.`,
+    low ? "warn" : "ok"
+  );
+}
+
+const FORECAST_SETTINGS_KEY = "bfv.forecastSettings";
+
+function loadForecastSettings() {
+  const defaults = { windowDays: 14, warnDays: 14 };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(FORECAST_SETTINGS_KEY) || "{}") };
+  } catch {
+    return defaults;
+  }
+}
+
+function saveForecastSettings() {
+  try {
+    localStorage.setItem(FORECAST_SETTINGS_KEY, JSON.stringify(forecastSettings));
+  } catch {
+    // Private mode / storage disabled: settings just won't persist
+  }
+}
+
+const forecastSettings = loadForecastSettings(); // { windowDays, warnDays }
+
+// -------------------------
+// Calving calendar (expected calvings: calvingEntries in lib/breeding.js)
+// -------------------------
+
+async function renderCalvingCalendar(host) {
+  const entries = await calvingEntries(schema);
+  const today = utcDay(Date.now());
+
+  if (!calendarMonth) calendarMonth = fmtDate(today).slice(0, 7);
+  const [y, m] = calendarMonth.split("-").map(Number);
+  const monthStart = Date.UTC(y, m - 1, 1);
+  const monthEnd = Date.UTC(y, m, 1);
+  const gridStart = monthStart - new Date(monthStart).getUTCDay() * DAY_MS; // back to Sunday
+  const weeks = Math.ceil((monthEnd - gridStart) / DAY_MS / 7);
+
+  const byDay = new Map();
+  for (const e of entries) {
+    if (!byDay.has(e.due)) byDay.set(e.due, []);
+    byDay.get(e.due).push(e);
+  }
+
+  const monthName = new Date(monthStart).toLocaleString(undefined, { month: "long", year: "numeric", timeZone: "UTC" });
+  const overdue = entries.filter((e) => calvingStatus(e.due, today) === "overdue").length;
+  const soon = entries.filter((e) => calvingStatus(e.due, today) === "soon").length;
+
+  let grid = `<div class="cal">`;
+  for (const d of ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]) grid += `<div class="cal-head">${d}</div>`;
+  for (let i = 0; i < weeks * 7; i++) {
+    const day = gridStart + i * DAY_MS;
+    const cls = ["cal-day", day < monthStart || day >= monthEnd ? "other" : "", day === today ? "today" : ""]
+      .filter(Boolean)
+      .join(" ");
+    grid += `<div class="${cls}"><div class="cal-date">${new Date(day).getUTCDate()}</div>`;
+    for (const e of byDay.get(day) || []) {
+      const title = `${e.cow_tag} • ${e.session}${e.derived ? ` • est. from breeding + ${e.gestation} days` : ""}`;
+      grid += `
+        <div class="cal-entry ${calvingStatus(e.due, today)}" title="${escapeHtml(title)}">
+          ${e.photo ? `<img class="cal-photo" data-photo="${escapeHtml(e.photo)}" alt=""/>` : ""}
+          <span>${escapeHtml(e.cow_tag)}${e.derived ? "*" : ""}</span>
+        </div>`;
+    }
+    grid += `</div>`;
+  }
+  grid += `</div>`;
+
+  host.innerHTML = `
+    <div class="row">
+      <button class="btn" id="calPrev">‹</button>
+      <b style="min-width:140px; text-align:center;">${escapeHtml(monthName)}</b>
+      <button class="btn" id="calNext">›</button>
+      <button class="btn" id="calToday">Today</button>
+      <span class="spacer"></span>
+      <button class="btn" id="calIcs">Export .ics</button>
+    </div>
+    <div class="row muted" style="margin-top:8px;">
+      <span class="cal-entry overdue">overdue: ${escapeHtml(overdue)}</span>
+      <span class="cal-entry soon">next ${CALVING_SOON_DAYS} days: ${escapeHtml(soon)}</span>
+      <span class="cal-entry later">later</span>
+      <span>* = estimated from observed breeding date + gestation days</span>
+    </div>
+    <div id="calGrid" style="margin-top:10px;">${grid}</div>
+    <div style="height:14px;"></div>
+    <div class="pill">Due in ${escapeHtml(monthName)}</div>
+    <div id="calList" style="margin-top:10px;"></div>
+  `;
+
+  const shiftMonth = (delta) => {
+    calendarMonth = fmtDate(Date.UTC(y, m - 1 + delta, 1)).slice(0, 7);
+    void renderCalvingCalendar(host);
+  };
+  document.getElementById("calPrev").addEventListener("click", () => shiftMonth(-1));
+  document.getElementById("calNext").addEventListener("click", () => shiftMonth(1));
+  document.getElementById("calToday").addEventListener("click", () => {
+    calendarMonth = null;
+    void renderCalvingCalendar(host);
+  });
+  document.getElementById("calIcs").addEventListener("click", () => {
+    // Overdue + upcoming; long-past dates would only clutter a phone calendar
+    const current = entries.filter((e) => calvingStatus(e.due, today) !== "past");
+    if (!current.length) {
+      setStatus("No upcoming or overdue calvings to export.", "warn");
+      return;
+    }
+    const base = (loadedFileName || "backup").replace(/\.zip$/i, "").replace(/[^\w.-]+/g, "_");
+    downloadBlob(new Blob([calvingIcs(current, loadedFileName)], { type: "text/calendar" }), `${base}-calving.ics`);
+    setStatus(`Exported ${current.length} calving dates to .ics.`, "ok");
+  });
+
+  void fillPhotos(document.getElementById("calGrid"));
+
+  const monthRows = entries
+    .filter((e) => e.due >= monthStart && e.due < monthEnd)
+    .map((e) => ({
+      due_date: e.due,
+      cow_tag: e.cow_tag,
+      status: calvingStatus(e.due, today),
+      preg_result: e.preg_result,
+      session: e.session,
+      source: e.derived ? `bred + ${e.gestation} days` : "due_date",
+      cow_photo_path: e.photo,
+    }));
+
+  renderTable(mapDateColumns(monthRows, Object.keys(monthRows[0] || {})), {
+    host: document.getElementById("calList"),
+    photoPathKey: "cow_photo_path",
+    exportName: `Calving ${calendarMonth}`,
+    rowClass: (r) => (r.status === "overdue" || r.status === "soon" ? "flag" : ""),
+  });
+
+  setStatus(
+    `Calving calendar: ${overdue} overdue, ${soon} due in the next ${CALVING_SOON_DAYS} days.`,
+    overdue ? "warn" : "ok"
+  );
+}
+
+// -------------------------
+// SQL console: read-only SELECTs against the loaded db, saved queries in localStorage
+// -------------------------
+
+const SAVED_QUERIES_KEY = "bfv.savedQueries";
+const SQL_WRITE_WORDS =
+  /\b(INSERT|UPDATE|DELETE|REPLACE\s+INTO|CREATE|DROP|ALTER|ATTACH|DETACH|VACUUM|REINDEX|ANALYZE|BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+function loadSavedQueries() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SAVED_QUERIES_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((q) => q && q.name && typeof q.sql === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeSavedQueries(list) {
+  localStorage.setItem(SAVED_QUERIES_KEY, JSON.stringify(list));
+}
+
+/** SQL with comments and quoted strings/identifiers blanked out, for keyword checks. */
+function sqlCodeOnly(sql) {
+  return sql
+    .replace(/--[^\n]*/g, " ")
+    .replace(/\/\*[\s\S]*?(\*\/|$)/g, " ")
+    .replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]/g, " x ");
+}
+
+/**
+ * Returns why sql isn't an allowed read-only statement, or null if it is.
+ * One statement, starting with SELECT / WITH / VALUES / EXPLAIN / PRAGMA
+ * (reads only), with no write keywords anywhere.
+ */
+function readOnlySqlError(sql) {
+  const code = sqlCodeOnly(sql).trim().replace(/;\s*$/, "");
+  if (!code) return "Enter a query.";
+  if (code.includes(";")) return "Run one statement at a time.";
+
+  const first = (code.match(/^\w+/)?.[0] || "").toUpperCase();
+  if (!["SELECT", "WITH", "VALUES", "EXPLAIN", "PRAGMA"].includes(first)) {
+    return `Only read-only queries are allowed (SELECT, WITH, VALUES, EXPLAIN, PRAGMA), not ${first || "that"}.`;
+  }
+  if (first === "PRAGMA" && code.includes("=")) return "PRAGMA assignments change the database and aren't allowed.";
+
+  const write = code.match(SQL_WRITE_WORDS);
+  if (write) return `Write statements aren't allowed (found ${write[1].toUpperCase().replace(/\s+/g, " ")}).`;
+  return null;
+}
+
+/**
+ * Runs a checked read-only statement. query_only makes SQLite itself refuse
+ * any change, as a second line of defence behind readOnlySqlError.
+ */
+async function runReadOnlyQuery(sql) {
+  const problem = readOnlySqlError(sql);
+  if (problem) throw new Error(problem);
+  return queryOnly(sql);
+}
+
+/** queryAll with PRAGMA query_only on for the duration (set in the worker). */
+function queryOnly(sql, params = []) {
+  return db.query(sql, params, { readOnly: true });
+}
+
+function renderSqlConsole() {
+  const saved = loadSavedQueries();
+
+  viewEl.innerHTML = `
+    <textarea id="sqlText" class="sql" spellcheck="false" placeholder="SELECT * FROM cattle WHERE status = 'active'">${escapeHtml(
+      sqlText
+    )}</textarea>
+    <div class="toolbar">
+      <button class="btn" id="sqlRun">Run (Ctrl+Enter)</button>
+      <span class="spacer"></span>
+      <select id="sqlSaved">
+        <option value="">Saved queries…</option>
+        ${saved.map((q, i) => `<option value="${i}">${escapeHtml(q.name)}</option>`).join("")}
+      </select>
+      <button class="btn" id="sqlSave">Save…</button>
+      <button class="btn" id="sqlDelete">Delete</button>
+    </div>
+    <div id="sqlMsg" class="muted" style="margin-top:8px;">Read-only: write statements are rejected.</div>
+    <div id="sqlResult"></div>
+  `;
+
+  const textEl = document.getElementById("sqlText");
+  const savedEl = document.getElementById("sqlSaved");
+  const msgEl = document.getElementById("sqlMsg");
+  const resultEl = document.getElementById("sqlResult");
+
+  const run = async () => {
+    sqlText = textEl.value;
+    const problem = readOnlySqlError(sqlText);
+    if (problem) {
+      msgEl.className = "err";
+      msgEl.textContent = problem;
+      return;
+    }
+
+    try {
+      const t0 = performance.now();
+      const photoColOf = (cols) => cols.find((c) => c === "photo_path" || c === "cow_photo_path") || null;
+      let count;
+      msgEl.className = "muted";
+      msgEl.textContent = "Running…";
+
+      // SELECT / WITH / VALUES can be wrapped as a subquery: rows are paged in
+      // as they scroll into view and search/sort run in SQL. PRAGMA and
+      // EXPLAIN output is small, so it's read in full.
+      if (/^(SELECT|WITH|VALUES)$/i.test(sqlCodeOnly(sqlText).trim().match(/^\w+/)?.[0] || "")) {
+        count = await renderSqlTable(
+          { sql: sqlText, run: queryOnly },
+          { host: resultEl, photoPathKey: photoColOf(await queryColumns(sqlText)), exportName: "Query" }
+        );
+      } else {
+        const rows = await runReadOnlyQuery(sqlText);
+        const cols = Object.keys(rows[0] || {});
+        renderTable(mapDateColumns(rows, cols), { host: resultEl, photoPathKey: photoColOf(cols), exportName: "Query" });
+        count = rows.length;
+      }
+
+      msgEl.className = "muted";
+      msgEl.textContent = `${count} row(s) in ${Math.round(performance.now() - t0)} ms.`;
+      setStatus("Query ran.", "ok");
+    } catch (err) {
+      resetRenderedTable();
+      resultEl.innerHTML = "";
+      setCountPill(0, 0);
+      msgEl.className = "err";
+      msgEl.textContent = `SQL error: ${err.message || err}`;
+    }
+  };
+
+  document.getElementById("sqlRun").addEventListener("click", () => void run());
+  textEl.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      void run();
+    }
+  });
+  textEl.addEventListener("input", () => (sqlText = textEl.value));
+
+  savedEl.addEventListener("change", () => {
+    const q = loadSavedQueries()[Number(savedEl.value)];
+    if (!q) return;
+    textEl.value = sqlText = q.sql;
+    void run();
+  });
+
+  document.getElementById("sqlSave").addEventListener("click", () => {
+    const text = textEl.value.trim();
+    if (!text) return;
+    const current = loadSavedQueries()[Number(savedEl.value)];
+    const name = (prompt("Name for this query:", current?.name || "") || "").trim();
+    if (!name) return;
+
+    const list = loadSavedQueries().filter((q) => q.name !== name);
+    list.push({ name, sql: text });
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    try {
+      storeSavedQueries(list);
+      sqlText = text;
+      renderSqlConsole();
+      setStatus(`Saved query "${name}".`, "ok");
+    } catch (err) {
+      setStatus(`Couldn't save query: ${err.message || err}`, "err");
+    }
+  });
+
+  document.getElementById("sqlDelete").addEventListener("click", () => {
+    const list = loadSavedQueries();
+    const q = list[Number(savedEl.value)];
+    if (!q || savedEl.value === "") {
+      setStatus("Pick a saved query to delete.", "warn");
+      return;
+    }
+    if (!confirm(`Delete saved query "${q.name}"?`)) return;
+    storeSavedQueries(list.filter((x) => x !== q));
+    renderSqlConsole();
+    setStatus(`Deleted query "${q.name}".`, "ok");
+  });
+
+  resetRenderedTable();
+  setCountPill(0, 0);
+  setStatus("SQL console ready.", "ok");
+}
+
+// -------------------------
+// Tables: every table/view in sqlite_master, its schema, and paged raw rows
+// -------------------------
+
+/**
+ * Date columns of a raw table: by name like mapDateColumns, or a
+ * date/time-ish name whose sampled values all look like millis since epoch
+ * (2000–2100).
+ */
+function detectDateColumns(cols, sample) {
+  return cols.filter((c) => {
+    if (isDateColumn(c)) return true;
+    if (!/(date|time|_on$|stamp)/i.test(c)) return false;
+    const vals = sample.map((r) => r[c]).filter((v) => v != null && v !== "");
+    return vals.length > 0 && vals.every((v) => typeof v === "number" && v > 946684800000 && v < 4102444800000);
+  });
+}
+
+/** First column whose sampled values are image paths (photo_path, cow_photo_path, …). */
+function detectPhotoColumn(cols, sample) {
+  return (
+    cols.find((c) => {
+      if (!/(photo|image|picture|_path$)/i.test(c)) return false;
+      const vals = sample.map((r) => r[c]).filter((v) => v != null && v !== "");
+      return vals.length > 0 && vals.every((v) => typeof v === "string" && IMAGE_EXT_RE.test(v));
+    }) ?? null
+  );
+}
+
+async function renderTablesList() {
+  tablesSelected = null;
+
+  const objects = await queryAll(`
+    SELECT name, type
+    FROM sqlite_master
+    WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+    ORDER BY type ASC, name ASC
+  `);
+  const extras = await queryAll(`
+    SELECT tbl_name, type, COUNT(*) AS n
+    FROM sqlite_master
+    WHERE type IN ('index', 'trigger')
+    GROUP BY tbl_name, type
+  `);
+  const extraCount = (name, type) => extras.find((x) => x.tbl_name === name && x.type === type)?.n ?? 0;
+
+  const rows = [];
+  for (const o of objects) {
+    let rowCount = null;
+    try {
+      rowCount = (await queryAll(`SELECT COUNT(*) AS n FROM ${quoteIdent(o.name)}`))[0].n;
+    } catch {
+      // Broken views (missing base table) still get listed
+    }
+    rows.push({
+      name: o.name,
+      type: o.type,
+      rows: rowCount,
+      columns: (await tableColumns(o.name, db)).length,
+      indexes: extraCount(o.name, "index"),
+      triggers: extraCount(o.name, "trigger"),
+    });
+  }
+
+  viewEl.innerHTML = `
+    <div class="muted">Everything in this backup’s ranch.db. Click a table to see its schema and rows.</div>
+    <div id="tablesHost"></div>
+  `;
+  renderTable(rows, {
+    host: document.getElementById("tablesHost"),
+    exportName: "Tables",
+    onRowClick: (r) => {
+      tablesSelected = r.name;
+      void renderTab("tables");
+    },
+  });
+  setStatus(`Loaded ${rows.length} tables/views.`, "ok");
+}
+
+async function renderTableBrowser(name) {
+  const qn = quoteIdent(name);
+  const master = (await queryAll(`SELECT type, sql FROM sqlite_master WHERE name = ?`, [name]))[0];
+  if (!master) {
+    await renderTablesList();
+    return;
+  }
+
+  const columns = await queryAll(`PRAGMA table_info(${qn})`);
+  const colNames = columns.map((c) => c.name);
+  const indexes = [];
+  for (const ix of await queryAll(`PRAGMA index_list(${qn})`)) {
+    indexes.push({
+      name: ix.name,
+      unique: ix.unique ? "yes" : "",
+      origin: ix.origin,
+      columns: (await queryAll(`PRAGMA index_info(${quoteIdent(ix.name)})`)).map((c) => c.name).join(", "),
+    });
+  }
+  const foreignKeys = (await queryAll(`PRAGMA foreign_key_list(${qn})`)).map((fk) => ({
+    from: fk.from,
+    table: fk.table,
+    to: fk.to,
+    on_update: fk.on_update,
+    on_delete: fk.on_delete,
+  }));
+
+  // rowid order when there is one (views and WITHOUT ROWID tables fall back to natural order)
+  let rowsSql = `SELECT * FROM ${qn} ORDER BY rowid`;
+  try {
+    await queryColumns(rowsSql);
+  } catch {
+    rowsSql = `SELECT * FROM ${qn}`;
+  }
+
+  const sample = await queryAll(`SELECT * FROM ${qn} LIMIT 200`);
+  const dateCols = detectDateColumns(colNames, sample);
+  const photoCol = detectPhotoColumn(colNames, sample);
+
+  const columnRows = columns.map((c) => ({
+    cid: c.cid,
+    name: c.name,
+    type: c.type,
+    notnull: c.notnull ? "yes" : "",
+    default: c.dflt_value,
+    pk: c.pk || "",
+    shown_as: c.name === photoCol ? "photo" : dateCols.includes(c.name) ? "date" : "",
+  }));
+
+  viewEl.innerHTML = `
+    <div class="row">
+      <button class="btn" id="tablesBack">← All tables</button>
+      <b>${escapeHtml(name)}</b>
+      <span class="pill">${escapeHtml(master.type)}</span>
+      <span class="pill" id="tblCount"></span>
+    </div>
+    <details style="margin-top:10px;" open>
+      <summary><b>Columns</b> (${columns.length})</summary>
+      <div id="tblColumns"></div>
+    </details>
+    <details style="margin-top:10px;"${indexes.length ? " open" : ""}>
+      <summary><b>Indexes</b> (${indexes.length})</summary>
+      <div id="tblIndexes"></div>
+    </details>
+    <details style="margin-top:10px;"${foreignKeys.length ? " open" : ""}>
+      <summary><b>Foreign keys</b> (${foreignKeys.length})</summary>
+      <div id="tblForeignKeys"></div>
+    </details>
+    <details style="margin-top:10px;">
+      <summary><b>CREATE statement</b></summary>
+      <pre class="sqlsrc">${escapeHtml(master.sql || "")}</pre>
+    </details>
+    <div class="muted" style="margin-top:10px;">Search and sort run over every row of the table.</div>
+    <div id="tblRows"></div>
+  `;
+
+  drawTable(document.getElementById("tblColumns"), columnRows);
+  drawTable(document.getElementById("tblIndexes"), indexes);
+  drawTable(document.getElementById("tblForeignKeys"), foreignKeys);
+
+  document.getElementById("tablesBack").addEventListener("click", () => {
+    tablesSelected = null;
+    void renderTab("tables");
+  });
+  const total = await renderSqlTable(
+    { sql: rowsSql, dateCols },
+    { host: document.getElementById("tblRows"), photoPathKey: photoCol, exportName: name }
+  );
+  document.getElementById("tblCount").textContent = `${total} rows`;
+  setStatus(`Table ${name}: ${total} rows.`, "ok");
+}
+
+// -------------------------
+// Health check: the checks (lib/health.js) run once per loaded backup and
+// are listed with the records behind each one.
+// -------------------------
+
+const HEALTH_LEVEL_LABELS = { ok: "OK", warn: "Warning", err: "Problem", skip: "Skipped" };
+
+async function renderHealthCheck() {
+  if (!healthResults) {
+    setStatus("Running health checks…");
+    healthResults = await runHealthChecks(schema, zipIndex);
+  }
+  const results = healthResults;
+  let selected = results.find((r) => r.id === healthSelected);
+  if (!selected) {
+    selected = results.find((r) => r.rows.length) ?? null;
+    healthSelected = selected?.id ?? null;
+  }
+
+  const problems = results.filter((r) => r.level === "err").length;
+  const warnings = results.filter((r) => r.level === "warn").length;
+
+  viewEl.innerHTML = `
+    <div class="row">
+      <div class="pill">Health check</div>
+      <span class="${problems ? "err" : warnings ? "warn" : "ok"}">
+        ${problems ? `${problems} problem(s)` : warnings ? `${warnings} warning(s)` : "No problems found."}
+      </span>
+      <span class="spacer"></span>
+      <button class="btn" id="healthRerun">Run again</button>
+    </div>
+    <div class="muted" style="margin-top:8px;">Click a check to list the records it found.</div>
+    <div id="healthSummary" style="margin-top:10px;"></div>
+    <div style="height:14px;"></div>
+    <div class="pill">${selected ? escapeHtml(selected.title) : "Details"}</div>
+    <div id="healthDetail" style="margin-top:10px;"></div>
+  `;
+
+  const summary = results.map((r) => ({
+    check: r.title,
+    result: HEALTH_LEVEL_LABELS[r.level],
+    found: r.rows.length,
+    details: r.summary,
+  }));
+  drawTable(document.getElementById("healthSummary"), summary, {
+    onRowClick: (s) => {
+      healthSelected = results[summary.indexOf(s)].id;
+      void renderTab("health");
+    },
+    rowClass: (s) => {
+      const r = results[summary.indexOf(s)];
+      return [r.id === healthSelected ? "selected" : "", r.level === "err" || r.level === "warn" ? "flag" : ""]
+        .filter(Boolean)
+        .join(" ");
+    },
+  });
+
+  document.getElementById("healthRerun").addEventListener("click", () => {
+    healthResults = null;
+    void renderHealthCheck();
+  });
+
+  const detailHost = document.getElementById("healthDetail");
+  if (!selected || !selected.rows.length) {
+    detailHost.innerHTML = `<div class="muted">${selected ? escapeHtml(selected.summary) : "Nothing to list."}</div>`;
+    resetRenderedTable();
+    setCountPill(0, 0);
+  } else {
+    renderTable(selected.rows, { host: detailHost, exportName: selected.title });
+  }
+  lastExportExtraSheets = [{ name: "Health check", rows: summary }];
+
+  setStatus(
+    problems || warnings
+      ? `Health check: ${problems} problem(s), ${warnings} warning(s).`
+      : "Health check: no problems found.",
+    problems ? "err" : warnings ? "warn" : "ok"
+  );
+}
+
+// -------------------------
+// Compare: a second backup ZIP opened beside the loaded one, diffed record by
+// record (cattle, feed entries, inventory balances, breeding exposures).
+// -------------------------
+
+async function loadCompareBackup(file) {
+  setStatus(`Reading ${file.name}…`);
+  const conn = await openBackupFile(file, {
+    ...backupQuestions,
+    onProgress: (p) => setStatus(loadProgressText(file.name, p)),
+  });
+  let backupSchema;
+  try {
+    backupSchema = await detectSchema(conn);
+  } catch (err) {
+    conn.close();
+    throw err;
+  }
+
+  compareBackup?.db.close();
+  compareBackup = { fileName: file.name, zipIndex: conn.zipIndex, db: conn, schema: backupSchema };
+  compareDiff = null;
+  await renderCompare();
+}
+
+async function renderCompare() {
+  const picker = `
+    <label>${compareBackup ? "Compare with another backup:" : "Second backup ZIP:"}
+      <input id="compareFile" type="file" accept="${BACKUP_FILE_TYPES}" />
+    </label>
+  `;
+
+  if (!compareBackup) {
+    viewEl.innerHTML = `
+      <div class="muted">
+        Load a second backup (e.g. last week’s) to see what changed between it and
+        ${escapeHtml(loadedFileName || "the loaded backup")}: cattle added, removed or moved,
+        new feed entries, inventory changes and breeding updates.
+      </div>
+      <div class="row" style="margin-top:10px;">${picker}</div>
+    `;
+    wireComparePicker();
+    resetRenderedTable();
+    setCountPill(0, 0);
+    setStatus("Compare: choose a second backup ZIP.", "ok");
+    return;
+  }
+
+  const loaded = { fileName: loadedFileName, db, schema, zipIndex };
+  const [beforeBackup, afterBackup] = compareSwapped ? [loaded, compareBackup] : [compareBackup, loaded];
+
+  if (!compareDiff) {
+    setStatus("Comparing backups…");
+    const [before, after] = await Promise.all([
+      compareSnapshot(beforeBackup.schema),
+      compareSnapshot(afterBackup.schema),
+    ]);
+    compareDiff = compareBackups(before, after);
+  }
+  const sections = compareDiff;
+  const selected = sections.find((s) => s.id === compareSection) ?? sections[0];
+  compareSection = selected.id;
+
+  viewEl.innerHTML = `
+    <div class="row">
+      <span>Before: <b>${escapeHtml(beforeBackup.fileName)}</b></span>
+      <span>→</span>
+      <span>After: <b>${escapeHtml(afterBackup.fileName)}</b></span>
+      <button class="btn" id="compareSwap">Swap</button>
+      <span class="spacer"></span>
+      ${picker}
+    </div>
+    ${
+      beforeBackup.schema.version !== afterBackup.schema.version
+        ? `<div class="warn" style="margin-top:8px;">Different schemas: ${escapeHtml(beforeBackup.schema.label)} → ${escapeHtml(
+            afterBackup.schema.label
+          )}. Sections missing from either backup show everything as added or removed.</div>`
+        : ""
+    }
+    <div class="muted" style="margin-top:8px;">Click a section to list its changed rows.</div>
+    <div id="compareSummary" style="margin-top:10px;"></div>
+    <div style="height:14px;"></div>
+    <div class="pill">${escapeHtml(selected.title)}: changes</div>
+    <div id="compareDetail" style="margin-top:10px;"></div>
+  `;
+
+  const summary = sections.map((s) => ({
+    section: s.title,
+    added: s.added,
+    removed: s.removed,
+    changed: s.changed,
+  }));
+  drawTable(document.getElementById("compareSummary"), summary, {
+    onRowClick: (r) => {
+      compareSection = sections[summary.indexOf(r)].id;
+      void renderCompare();
+    },
+    rowClass: (r) => (sections[summary.indexOf(r)] === selected ? "selected" : ""),
+  });
+
+  document.getElementById("compareSwap").addEventListener("click", () => {
+    compareSwapped = !compareSwapped;
+    compareDiff = null;
+    void renderCompare();
+  });
+  wireComparePicker();
+
+  const detailHost = document.getElementById("compareDetail");
+  if (!selected.rows.length) {
+    detailHost.innerHTML = `<div class="muted">No changes.</div>`;
+    resetRenderedTable();
+    setCountPill(0, 0);
+  } else {
+    renderTable(selected.rows, {
+      host: detailHost,
+      exportName: `Changes ${selected.title}`,
+      rowClass: (r) => (r.change === "removed" || r.change === "gone" ? "flag" : ""),
+    });
+  }
+  lastExportExtraSheets = [{ name: "Summary", rows: summary }];
+
+  const total = sections.reduce((n, s) => n + s.added + s.removed + s.changed, 0);
+  setStatus(`Compared ${beforeBackup.fileName} → ${afterBackup.fileName}: ${total} change(s).`, "ok");
+}
+
+function wireComparePicker() {
+  document.getElementById("compareFile").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      await loadCompareBackup(file);
+    } catch (err) {
+      console.error(err);
+      setStatus(`Couldn’t open ${file.name}: ${err.message || err}`, "err");
+    }
+  });
+}
+
+// -------------------------
+// Trends: several backup ZIPs, each opened on its own just long enough to
+// take a few herd / feed / breeding counts, charted over the backup dates.
+// -------------------------
+
+/** Opens each ZIP in turn, keeps its trendMetrics() and closes it again. */
+async function addTrendBackups(files) {
+  const failed = [];
+  for (const [i, file] of files.entries()) {
+    setStatus(`Reading backup ${i + 1} / ${files.length}: ${file.name}…`);
+    let conn = null;
+    try {
+      conn = await openBackupFile(file, {
+        ...backupQuestions,
+        onProgress: (p) => setStatus(`Backup ${i + 1} / ${files.length}: ${loadProgressText(file.name, p)}`),
+      });
+      const backupSchema = await detectSchema(conn);
+      const date = backupDate(file.name, conn.zipIndex);
+      const metrics = await trendMetrics(backupSchema);
+
+      trendBackups = trendBackups.filter((b) => b.fileName !== file.name);
+      trendBackups.push({ fileName: file.name, date: date.ms, dateSource: date.source, schemaLabel: backupSchema.label, metrics });
+    } catch (err) {
+      console.error(err);
+      failed.push(`${file.name} (${err.message || err})`);
+    } finally {
+      conn?.close();
+    }
+  }
+  trendBackups.sort((a, b) => (a.date ?? Infinity) - (b.date ?? Infinity) || a.fileName.localeCompare(b.fileName));
+  return failed;
+}
+
+function renderTrends() {
+  const picker = `
+    <label>Backup ZIPs:
+      <input id="trendFiles" type="file" accept="${BACKUP_FILE_TYPES}" multiple />
+    </label>
+    ${trendBackups.length ? `<button class="btn" id="trendClear">Clear</button>` : ""}
+  `;
+
+  if (!trendBackups.length) {
+    viewEl.innerHTML = `
+      <div class="muted">
+        Pick several backup ZIPs (e.g. every weekly export) to chart head counts, feed on hand
+        and pregnancy rates over time. Each backup’s date comes from its file name
+        (e.g. backup-2026-10-19.zip) or, failing that, the ZIP’s timestamps.
+      </div>
+      <div class="row" style="margin-top:10px;">${picker}</div>
+    `;
+    wireTrendControls();
+    resetRenderedTable();
+    setCountPill(0, 0);
+    setStatus("Trends: choose backup ZIPs.", "ok");
+    return;
+  }
+
+  const metric = TREND_METRICS.find((m) => m.id === trendMetric) ?? TREND_METRICS[0];
+  const dated = trendBackups.filter((b) => b.date != null);
+  const undated = trendBackups.length - dated.length;
+
+  // Series for the chart, and one table row per backup
+  let series;
+  let rows;
+  let hidden = 0; // series left off the chart (table still has them)
+  if (metric.id === "pregnancy") {
+    series = [{ label: "Pregnancy rate (%)", values: dated.map((b) => b.metrics.pregnancy.rate) }];
+    rows = trendBackups.map((b) => ({
+      backup_date: b.date,
+      file: b.fileName,
+      pregnant: b.metrics.pregnancy.pregnant,
+      open: b.metrics.pregnancy.open,
+      not_checked: b.metrics.pregnancy.pending,
+      pregnancy_rate: b.metrics.pregnancy.rate,
+    }));
+  } else {
+    const keys = [...new Set(trendBackups.flatMap((b) => Object.keys(b.metrics[metric.id])))];
+    const latest = trendBackups[trendBackups.length - 1].metrics[metric.id];
+    keys.sort((a, b) => (latest[b] ?? 0) - (latest[a] ?? 0) || a.localeCompare(b));
+    series = keys
+      .slice(0, CHART_COLORS.length)
+      .map((k) => ({ label: k, values: dated.map((b) => b.metrics[metric.id][k] ?? 0) }));
+    hidden = keys.length - series.length;
+    rows = trendBackups.map((b) => {
+      const r = { backup_date: b.date, file: b.fileName };
+      if (metric.id === "status") r.total = b.metrics.head;
+      for (const k of keys) r[k] = b.metrics[metric.id][k] ?? 0;
+      return r;
+    });
+  }
+
+  viewEl.innerHTML = `
+    <div class="row">
+      ${picker}
+      <span class="spacer"></span>
+      <select id="trendMetric">
+        ${TREND_METRICS.map((m) => `<option value="${m.id}"${m === metric ? " selected" : ""}>${escapeHtml(m.label)}</option>`).join("")}
+      </select>
+    </div>
+    ${
+      undated
+        ? `<div class="warn" style="margin-top:8px;">${undated} backup(s) have no date in the file name or ZIP and are left off the chart.</div>`
+        : ""
+    }
+    ${
+      hidden
+        ? `<div class="muted" style="margin-top:8px;">Chart shows the ${series.length} largest; the table also has the other ${hidden}.</div>`
+        : ""
+    }
+    <div id="trendChart" style="margin-top:10px;">${lineChartHtml(
+      dated.map((b) => b.date),
+      series,
+      metric.id === "pregnancy" ? (v) => `${fmtNumber(v, 0)}%` : (v) => fmtNumber(v, 0)
+    )}</div>
+    <div style="height:14px;"></div>
+    <div class="pill">${escapeHtml(metric.label)} per backup</div>
+    <div id="trendTable" style="margin-top:10px;"></div>
+  `;
+  wireTrendControls();
+
+  document.getElementById("trendMetric").addEventListener("change", (e) => {
+    trendMetric = e.target.value;
+    renderTrends();
+  });
+
+  renderTable(mapDateColumns(rows, ["backup_date"]), {
+    host: document.getElementById("trendTable"),
+    exportName: `Trends ${metric.label}`,
+  });
+  lastExportExtraSheets = [
+    {
+      name: "Backups",
+      rows: mapDateColumns(
+        trendBackups.map((b) => ({ backup_date: b.date, date_from: b.dateSource, file: b.fileName, schema: b.schemaLabel })),
+        ["backup_date"]
+      ),
+    },
+  ];
+  setStatus(`Trends over ${trendBackups.length} backup(s).`, "ok");
+}
+
+function wireTrendControls() {
+  document.getElementById("trendFiles").addEventListener("change", async (e) => {
+    const files = [...(e.target.files || [])];
+    if (!files.length) return;
+    const failed = await addTrendBackups(files);
+    renderTrends();
+    if (failed.length) setStatus(`Couldn’t read ${failed.join(", ")}.`, "err");
+  });
+  document.getElementById("trendClear")?.addEventListener("click", () => {
+    trendBackups = [];
+    renderTrends();
+  });
+}
+
+// -------------------------
+// Attachments: every file in the backup ZIP besides ranch.db (photos, vet
+// records, receipts, …) by folder, with the records that reference each one,
+// a full-size viewer and single-file download.
+// -------------------------
+
+async function renderAttachments() {
+  if (!zipIndex) {
+    viewEl.innerHTML = `
+      <div class="muted">
+        This backup was opened as a bare ranch.db, so there are no attachment files.
+        Open the backup ZIP to see its photos and documents.
+      </div>
+    `;
+    setStatus("No attachments: opened as a bare ranch.db.", "warn");
+    return;
+  }
+  if (!attachmentFiles) {
+    setStatus("Indexing attachments…");
+    attachmentFiles = await attachmentList(schema, zipIndex);
+  }
+  const all = attachmentFiles;
+  const files = attachmentsKind === "all" ? all : all.filter((f) => f.kind === attachmentsKind);
+
+  const host = renderSubviews(
+    [
+      ["grid", "Gallery"],
+      ["list", "List"],
+    ],
+    attachmentsView,
+    (v) => {
+      attachmentsView = v;
+      void renderTab("attachments");
+    }
+  );
+  host.innerHTML = `
+    <div class="row">
+      <label class="muted">Show
+        <select id="attachmentsKind">
+          ${ATTACHMENT_KINDS.map(([id, label]) => {
+            const n = id === "all" ? all.length : all.filter((f) => f.kind === id).length;
+            return `<option value="${id}"${id === attachmentsKind ? " selected" : ""}>${label} (${n})</option>`;
+          }).join("")}
+        </select>
+      </label>
+      <span class="muted">Click a file to view it full size or download it.</span>
+    </div>
+    <div id="attachmentsBody" style="margin-top:10px;"></div>
+  `;
+  document.getElementById("attachmentsKind").addEventListener("change", (e) => {
+    attachmentsKind = e.target.value;
+    void renderTab("attachments");
+  });
+  const body = document.getElementById("attachmentsBody");
+  const unreferenced = files.filter((f) => !f.refs.length).length;
+  const summary = `${files.length} file(s)${unreferenced ? `, ${unreferenced} not referenced by any record` : ""}.`;
+
+  if (attachmentsView === "list") {
+    const byPath = new Map(files.map((f) => [f.path, f]));
+    const rows = files.map((f) => ({
+      folder: f.folder,
+      file: f.name,
+      kind: f.kind,
+      size_kb: f.size == null ? null : Math.round(f.size / 102.4) / 10,
+      modified_at: f.date,
+      referenced_by: f.refs.map(attachmentRefText).join("; "),
+      path: f.path,
+    }));
+    renderTable(mapDateColumns(rows, ["modified_at"]), {
+      host: body,
+      exportName: "Attachments",
+      onRowClick: async (r) => {
+        // Prev / Next follow the list as searched and sorted
+        const shown = (await lastVisibleView.all()).map((v) => byPath.get(v.path));
+        openLightbox(shown, shown.findIndex((f) => f.path === r.path));
+      },
+    });
+    setStatus(`Attachments: ${summary}`, "ok");
+    return;
+  }
+
+  resetRenderedTable();
+  const perFolder = new Map();
+  for (const f of files) perFolder.set(f.folder, (perFolder.get(f.folder) ?? 0) + 1);
+
+  let html = "";
+  files.forEach((f, i) => {
+    if (i === 0 || f.folder !== files[i - 1].folder) {
+      if (i) html += "</div>";
+      html += `
+        <div class="row" style="margin-top:${i ? 16 : 0}px;">
+          <div class="pill">${escapeHtml(f.folder)}</div>
+          <span class="muted">${perFolder.get(f.folder)} file(s)</span>
+        </div>
+        <div class="gallery">`;
+    }
+    html += attachmentTileHtml(f, i);
+  });
+  if (files.length) html += "</div>";
+  body.innerHTML = files.length ? html : `<div class="muted">No files of this kind in the backup.</div>`;
+
+  body.addEventListener("click", (e) => {
+    const tile = e.target.closest("button[data-file]");
+    if (tile) openLightbox(files, Number(tile.dataset.file));
+  });
+  void fillPhotos(body);
+  setCountPill(files.length, all.length);
+  setStatus(`Attachments: ${summary}`, "ok");
+}
+
+function attachmentTileHtml(f, i) {
+  const ext = f.name.includes(".") ? f.name.split(".").pop().toUpperCase() : "FILE";
+  const preview =
+    f.kind === "image"
+      ? `<img class="tile-img" data-photo="${escapeHtml(f.path)}" alt=""/>`
+      : `<div class="tile-icon">${escapeHtml(ext)}</div>`;
+  const refs = f.refs.length
+    ? `${escapeHtml(attachmentRefText(f.refs[0]))}${f.refs.length > 1 ? ` +${f.refs.length - 1} more` : ""}`
+    : `<span class="warn">Not referenced</span>`;
+  return `
+    <button class="tile" data-file="${i}" title="${escapeHtml(f.path)}">
+      ${preview}
+      <span class="tile-name">${escapeHtml(f.name)}</span>
+      <span class="tile-meta muted">${escapeHtml(fmtBytes(f.size))}</span>
+      <span class="tile-meta">${refs}</span>
+    </button>`;
+}
+
+/**
+ * Full-size viewer over the page for files[index] (attachmentList() entries):
+ * images fit to the window, PDFs in the browser's own PDF viewer, anything
+ * else offered as a download. Prev / Next (or ← →) step through files; Esc,
+ * ✕ or a click outside the panel closes it.
+ */
+function openLightbox(files, index) {
+  lightboxClose?.();
+  let i = Math.max(0, index);
+
+  const box = document.createElement("div");
+  box.className = "lightbox";
+  document.body.appendChild(box);
+
+  const show = async () => {
+    const f = files[i];
+    const single = files.length < 2 ? " disabled" : "";
+    box.innerHTML = `
+      <div class="lightbox-panel">
+        <div class="row">
+          <button class="btn" data-lb="prev"${single}>‹ Prev</button>
+          <span class="muted">${i + 1} / ${files.length}</span>
+          <button class="btn" data-lb="next"${single}>Next ›</button>
+          <b>${escapeHtml(f.path)}</b>
+          <span class="muted">${escapeHtml(fmtBytes(f.size))}</span>
+          <span class="spacer"></span>
+          <button class="btn" data-lb="download">Download</button>
+          <button class="btn" data-lb="close" title="Close (Esc)">✕</button>
+        </div>
+        <div class="muted" style="margin-top:6px;">
+          ${
+            f.refs.length
+              ? `Referenced by ${f.refs.map((r) => escapeHtml(attachmentRefText(r))).join(", ")}`
+              : "Not referenced by any record."
+          }
+        </div>
+        <div class="lightbox-body"><span class="muted">Loading…</span></div>
+      </div>
+    `;
+    const body = box.querySelector(".lightbox-body");
+    let url = null;
+    try {
+      url = await blobUrlFromZipPath(f.path);
+    } catch (err) {
+      console.error(err);
+    }
+    // Stepped on or closed while it loaded
+    if (files[i] !== f || !box.isConnected) return;
+
+    if (!url) {
+      body.innerHTML = `<div class="warn">${escapeHtml(f.path)} couldn’t be read from the ZIP.</div>`;
+    } else if (f.kind === "image") {
+      body.innerHTML = `<img src="${url}" alt="${escapeHtml(f.name)}"/>`;
+    } else if (f.kind === "pdf") {
+      body.innerHTML = `<iframe src="${url}" title="${escapeHtml(f.name)}"></iframe>`;
+    } else {
+      body.innerHTML = `<div class="muted">No preview for this kind of file. Download it to open it.</div>`;
+    }
+  };
+
+  const step = (d) => {
+    if (files.length < 2) return;
+    i = (i + d + files.length) % files.length;
+    void show();
+  };
+  const onKey = (e) => {
+    if (e.key === "Escape") close();
+    else if (e.key === "ArrowLeft") step(-1);
+    else if (e.key === "ArrowRight") step(1);
+  };
+  const close = () => {
+    box.remove();
+    document.removeEventListener("keydown", onKey);
+    lightboxClose = null;
+  };
+
+  box.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-lb]");
+    if (!btn) {
+      if (e.target === box) close();
+      return;
+    }
+    const action = btn.dataset.lb;
+    if (action === "prev") step(-1);
+    else if (action === "next") step(1);
+    else if (action === "close") close();
+    else if (action === "download") void downloadAttachment(files[i].path);
+  });
+  document.addEventListener("keydown", onKey);
+  lightboxClose = close;
+  void show();
+}
+
+/** Saves one file from the ZIP under its own name. */
+async function downloadAttachment(path) {
+  try {
+    const bytes = await db.fileBytes(path);
+    if (!bytes) {
+      setStatus(`${path} isn’t in this ZIP.`, "warn");
+      return;
+    }
+    downloadBlob(new Blob([bytes], { type: mimeForPath(path) }), path.split("/").pop());
+    setStatus(`Downloaded ${path}.`, "ok");
+  } catch (err) {
+    console.error(err);
+    setStatus(`Download failed: ${err.message || err}`, "err");
+  }
+}
+
+// -------------------------
+// Report: a print-ready page (herd roster with photos, a pregnancy check sheet
+// per breeding session, feed and inventory summary) for the browser's Print /
+// Save as PDF. Only the report prints (body.report-mode, see index.html).
+// -------------------------
 
-function queryAll(sql, params = []) {
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
-  const rows = [];
-  while (stmt.step()) rows.push(stmt.getAsObject());
-  stmt.free();
-  return rows;
-}
+const REPORT_SECTIONS = [
+  ["roster", "Herd roster"],
+  ["pregChecks", "Pregnancy check sheets"],
+  ["feed", "Feed & inventory"],
+];
 
-function hasTable(tableName) {
+const REPORT_SETTINGS_KEY = "bfv.reportSettings";
+
+function loadReportSettings() {
+  const defaults = { ranchName: "", onHandOnly: true, roster: true, pregChecks: true, feed: true };
   try {
-    const rows = queryAll(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name=?",
-      [tableName]
-    );
-    return rows.length > 0;
+    return { ...defaults, ...JSON.parse(localStorage.getItem(REPORT_SETTINGS_KEY) || "{}") };
   } catch {
-    return false;
+    return defaults;
   }
 }
 
-function setCountPill(filteredCount, totalCount) {
-  if (totalCount === filteredCount) {
-    countPillEl.textContent = `${totalCount} rows`;
-  } else {
-    countPillEl.textContent = `${filteredCount} / ${totalCount} rows`;
+function saveReportSettings() {
+  try {
+    localStorage.setItem(REPORT_SETTINGS_KEY, JSON.stringify(reportSettings));
+  } catch {
+    // Private mode / storage disabled: settings just won't persist
   }
 }
 
-async function blobUrlFromZipPath(path) {
-  if (!path) return null;
-  const entry = zipIndex.get(path);
-  if (!entry) return null;
-
-  const bytes = await entry.async("uint8array");
-
-  const lower = path.toLowerCase();
-  const mime =
-    lower.endsWith(".png")
-      ? "image/png"
-      : lower.endsWith(".jpg") || lower.endsWith(".jpeg")
-        ? "image/jpeg"
-        : lower.endsWith(".webp")
-          ? "image/webp"
-          : lower.endsWith(".pdf")
-            ? "application/pdf"
-            : "application/octet-stream";
-
-  const blob = new Blob([bytes], { type: mime });
-  return URL.createObjectURL(blob);
+const reportSettings = loadReportSettings(); // { ranchName, onHandOnly, and a flag per REPORT_SECTIONS id }
+
+/** Top of every report section: ranch, backup date and file, print date, title. */
+function reportHeaderHtml(title) {
+  const backup = backupDate(loadedFileName, zipIndex);
+  return `
+    <div class="report-head">
+      <b class="report-ranch">${escapeHtml(reportSettings.ranchName || "Ranch report")}</b>
+      <span class="muted">
+        Backup ${escapeHtml(backup.ms == null ? "date unknown" : fmtDate(backup.ms))} · ${escapeHtml(loadedFileName)} ·
+        printed ${escapeHtml(fmtDate(Date.now()))}
+      </span>
+    </div>
+    <h2 class="report-title">${escapeHtml(title)}</h2>
+  `;
 }
 
-/**
- * Renders a single table into the main view container.
- * Sets search/filter globals for that table.
- */
-function renderTable(rows, { photoPathKey = null, extraColTitle = "Photo" } = {}) {
-  lastRenderedRows = rows || [];
-  lastRenderedPhotoCol = photoPathKey;
-
-  if (!rows || rows.length === 0) {
-    lastRenderedCols = [];
-    viewEl.innerHTML = `<div class="muted">No rows.</div>`;
-    setCountPill(0, 0);
-    return;
+/** Roster section: cattle by group_name, ear tag order, with photos. */
+async function reportRosterHtml() {
+  if (!schema.cattleRows) return null;
+  let rows = await schema.cattleRows();
+  if (reportSettings.onHandOnly) {
+    rows = rows.filter(isOnPlace);
   }
 
-  const cols = Object.keys(rows[0]);
-  lastRenderedCols = cols;
-
-  let html = "<table><thead><tr>";
-  for (const c of cols) html += `<th>${escapeHtml(c)}</th>`;
-  if (photoPathKey) html += `<th>${escapeHtml(extraColTitle)}</th>`;
-  html += "</tr></thead><tbody>";
-
+  const groups = new Map();
   for (const r of rows) {
-    html += "<tr>";
-    for (const c of cols) html += `<td>${escapeHtml(r[c])}</td>`;
-
-    if (photoPathKey) {
-      const p = r[photoPathKey];
-      if (!p) {
-        html += `<td class="muted">—</td>`;
-      } else {
-        html += `<td><img class="thumb" data-photo="${escapeHtml(p)}" alt="photo"/></td>`;
-      }
-    }
-    html += "</tr>";
+    const g = r.group_name || "(no group)";
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(r);
   }
-
-  html += "</tbody></table>";
-  viewEl.innerHTML = html;
-
-  // Search: initial count
-  setCountPill(rows.length, rows.length);
-
-  // Fill photo blobs async
-  if (photoPathKey) {
-    void (async () => {
-      const imgs = viewEl.querySelectorAll("img[data-photo]");
-      for (const img of imgs) {
-        const p = img.getAttribute("data-photo");
-        const url = await blobUrlFromZipPath(p);
-        if (url) img.src = url;
-        else img.replaceWith(document.createTextNode("Missing"));
-      }
-    })();
+  const names = [...groups.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  let html = `
+    <p>
+      ${rows.length} head in ${names.length} group(s)${
+        reportSettings.onHandOnly
+          ? `, not counting status ${escapeHtml(INACTIVE_CATTLE_STATUSES.join("/"))}`
+          : ""
+      }.
+    </p>`;
+  for (const g of names) {
+    html += `<h3>${escapeHtml(g)} · ${groups.get(g).length} head</h3>`;
+    html += reportTableHtml(
+      groups.get(g),
+      [
+        ["photo_path", "Photo"],
+        ["ear_tag", "Ear tag"],
+        ["sex", "Sex"],
+        ["role", "Role"],
+        ["status", "Status"],
+        ["cohort", "Cohort"],
+      ],
+      { photoKey: "photo_path" }
+    );
   }
+  return html;
 }
 
 /**
- * Applies the search filter to the currently-rendered table
- * without re-querying the DB.
+ * One pregnancy check sheet per breeding session: the session's details and
+ * results so far, and every exposed cow with write-in columns for the check.
+ * Resolves to [[title, html]].
  */
-function applySearchFilter() {
-  const q = (searchEl.value || "").trim().toLowerCase();
-
-  // Nothing rendered
-  if (!lastRenderedRows.length || !lastRenderedCols.length) return;
-
-  // No query -> re-render the full set we stored
-  if (!q) {
-    renderTable(lastRenderedRows, { photoPathKey: lastRenderedPhotoCol });
-    return;
+async function reportPregCheckSections() {
+  if (!schema.breedingSessions || !schema.breedingExposures) return [];
+  const sessions = await schema.breedingSessions();
+  const stats = await breedingSessionStats(schema);
+  const byTag = (a, b) => String(a.cow_tag ?? "").localeCompare(String(b.cow_tag ?? ""), undefined, { numeric: true });
+
+  const sections = [];
+  for (const s of sessions) {
+    const exposures = mapDateColumns(await queryRows(schema.breedingExposures({ sessionId: s.id })), EXPOSURE_LIST_COLS)
+      .filter((r) => r.exposed == null || Number(r.exposed) !== 0)
+      .sort(byTag);
+    const st = stats.get(s.id) ?? emptySessionStats();
+
+    const details = ["group_name", "bull", "start_date", "end_date", "gestation_days", "notes"]
+      .filter((c) => s[c] != null && s[c] !== "")
+      .map((c) => `${escapeHtml(c)}: <b>${escapeHtml(isDateColumn(c) ? fmtDate(s[c]) : s[c])}</b>`)
+      .join(" · ");
+    const html = `
+      ${details ? `<p>${details}</p>` : ""}
+      <p>
+        ${st.exposed} exposed · ${st.pregnant} pregnant · ${st.open} open · ${st.pending} not checked${
+          st.conception_rate == null ? "" : ` · conception rate ${st.conception_rate}%`
+        }
+      </p>
+      ${reportTableHtml(
+        exposures,
+        [
+          ["cow_tag", "Cow tag"],
+          ["observed_breeding_date", "Bred"],
+          ["preg_check_date", "Checked"],
+          ["preg_result", "Result"],
+          ["due_date", "Due"],
+        ],
+        { writeIn: ["Check result", "Notes"] }
+      )}
+    `;
+    sections.push([`Pregnancy check – session ${s.id}${s.group_name ? ` (${s.group_name})` : ""}`, html]);
   }
-
-  const filtered = lastRenderedRows.filter((r) => {
-    for (const c of lastRenderedCols) {
-      const v = r[c];
-      if (v == null) continue;
-      if (String(v).toLowerCase().includes(q)) return true;
-    }
-    return false;
-  });
-
-  renderTable(filtered, { photoPathKey: lastRenderedPhotoCol });
-  setCountPill(filtered.length, lastRenderedRows.length);
+  return sections;
 }
 
-searchEl.addEventListener("input", () => applySearchFilter());
-
-function setActiveTab(tab) {
-  currentTab = tab;
-  for (const btn of tabsEl.querySelectorAll("button.tabbtn")) {
-    btn.classList.toggle("active", btn.dataset.tab === tab);
+/** Feed & inventory section: cost over every feed entry, days of feed on hand. */
+async function reportFeedHtml() {
+  let html = "";
+
+  const datedFeed = !!schema.feedEntries && schema.has("feed_entries", "date") && schema.has("feed_entries", "amount");
+  const bounds = datedFeed
+    ? (await queryAll(`SELECT MIN(date) AS min_date, MAX(date) AS max_date FROM feed_entries`))[0]
+    : null;
+  if (bounds?.min_date != null) {
+    const { days, totals, byGroup, byType, byPeriod } = await feedCostSummary(
+      schema,
+      Number(bounds.min_date),
+      Number(bounds.max_date) + 1,
+      "month"
+    );
+    html += `
+      <h3>Feed cost ${escapeHtml(fmtDate(bounds.min_date))} – ${escapeHtml(fmtDate(bounds.max_date))}</h3>
+      <p>
+        ${escapeHtml(fmtNumber(totals.cost))} total over ${totals.entries} entries (${days} days).
+        ${totals.unpriced ? `${totals.unpriced} entries have no cost_per_unit (counted as 0).` : ""}
+      </p>
+      <h3>By feed type</h3>
+      ${reportTableHtml(byType, [
+        ["feed_type", "Feed type"],
+        ["unit", "Unit"],
+        ["quantity", "Quantity"],
+        ["cost", "Cost"],
+      ])}
+      <h3>By group</h3>
+      ${reportTableHtml(byGroup, [
+        ["group_name", "Group"],
+        ["head", "Head"],
+        ["unit", "Unit"],
+        ["quantity", "Quantity"],
+        ["cost", "Cost"],
+        ["cost_per_head", "Cost / head"],
+      ])}
+      <h3>By month</h3>
+      ${reportTableHtml(byPeriod, [
+        ["month", "Month"],
+        ["unit", "Unit"],
+        ["entries", "Entries"],
+        ["quantity", "Quantity"],
+        ["cost", "Cost"],
+      ])}
+    `;
   }
 
-  // Clear search when switching tabs
-  searchEl.value = "";
-}
-
-let tabsWired = false;
-function wireTabsOnce() {
-  if (tabsWired) return;
-  tabsWired = true;
+  const inv = schema.inventorySources.length ? await loadInventory(schema) : null;
+  if (inv) {
+    const rows = datedFeed
+      ? mapDateColumns((await feedForecast(schema, inv, forecastSettings)).rows, ["run_out_date"], () => true)
+      : [...inventoryBalances(inv.txns).values()].map((g) => ({ ...g, on_hand: round3(g.balance) }));
+    html += `
+      <h3>Feed on hand (${escapeHtml(inv.source.label)})</h3>
+      ${reportTableHtml(rows, [
+        ["storage", "Storage"],
+        ["feed_type", "Feed type"],
+        ["unit", "Unit"],
+        ["on_hand", "On hand"],
+        ...(datedFeed
+          ? [
+              ["days_left", `Days left (use over ${forecastSettings.windowDays} days)`],
+              ["run_out_date", "Runs out"],
+              ["status", "Status"],
+            ]
+          : []),
+      ])}
+    `;
+  }
 
-  tabsEl.addEventListener("click", async (e) => {
-    const btn = e.target.closest("button.tabbtn");
-    if (!btn) return;
-    const tab = btn.dataset.tab;
-    await renderTab(tab);
-  });
+  return html || null;
 }
 
-function fmtDate(ms) {
-  if (!ms) return "";
-  const n = Number(ms);
-  if (!Number.isFinite(n) || n <= 0) return String(ms);
+async function renderReport() {
+  resetRenderedTable();
+  setCountPill(0, 0);
+  setStatus("Building report…");
 
-  // Your DB stores millis since epoch. Render as local date.
-  try {
-    const d = new Date(n);
-    if (Number.isNaN(d.getTime())) return String(ms);
-    return d.toISOString().slice(0, 10); // YYYY-MM-DD
-  } catch {
-    return String(ms);
+  const sections = [];
+  if (reportSettings.roster) {
+    const html = await reportRosterHtml();
+    if (html) sections.push(["Herd roster", html]);
+  }
+  if (reportSettings.pregChecks) sections.push(...(await reportPregCheckSections()));
+  if (reportSettings.feed) {
+    const html = await reportFeedHtml();
+    if (html) sections.push(["Feed & inventory", html]);
   }
-}
 
-function mapDateColumns(rows, cols) {
-  // Replace common timestamp columns with YYYY-MM-DD for readability
-  // (keeps values as strings for viewing/searching)
-  const dateCols = new Set(cols.filter((c) =>
-    c.endsWith("_date") || c === "date" || c.endsWith("_at") || c === "created_at"
-  ));
-  if (!dateCols.size) return rows;
+  viewEl.innerHTML = `
+    <div class="row no-print">
+      <div class="pill">Report</div>
+      <label>Ranch name
+        <input type="text" id="reportRanch" value="${escapeHtml(reportSettings.ranchName)}" placeholder="Printed in the header"/>
+      </label>
+      ${REPORT_SECTIONS.map(
+        ([id, label]) =>
+          `<label><input type="checkbox" data-report-section="${id}"${reportSettings[id] ? " checked" : ""}/> ${escapeHtml(label)}</label>`
+      ).join("")}
+      <label><input type="checkbox" id="reportOnHand"${reportSettings.onHandOnly ? " checked" : ""}/> On-hand cattle only</label>
+      <span class="spacer"></span>
+      <button class="btn" id="reportPrint" disabled>Print / Save as PDF</button>
+    </div>
+    <div class="muted no-print" style="margin-top:8px;">
+      Only the report below prints, each section starting on a new page. For a PDF, pick “Save as PDF” as the printer.
+    </div>
+    <div class="report" id="report">
+      ${
+        sections.length
+          ? sections
+              .map(([title, html]) => `<section class="report-section">${reportHeaderHtml(title)}${html}</section>`)
+              .join("")
+          : `<div class="muted" style="margin-top:14px;">Nothing to print: none of the chosen sections have data in this backup.</div>`
+      }
+    </div>
+  `;
 
-  return rows.map((r) => {
-    const out = { ...r };
-    for (const c of dateCols) {
-      if (out[c] != null && out[c] !== "") out[c] = fmtDate(out[c]);
-    }
-    return out;
+  document.getElementById("reportRanch").addEventListener("input", (e) => {
+    reportSettings.ranchName = e.target.value.trim();
+    saveReportSettings();
+    for (const el of viewEl.querySelectorAll(".report-ranch")) el.textContent = reportSettings.ranchName || "Ranch report";
+  });
+  viewEl.querySelector(".no-print").addEventListener("change", (e) => {
+    if (e.target.id === "reportOnHand") reportSettings.onHandOnly = e.target.checked;
+    else if (e.target.dataset.reportSection) reportSettings[e.target.dataset.reportSection] = e.target.checked;
+    else return;
+    saveReportSettings();
+    void renderTab("report");
   });
+  const printBtn = document.getElementById("reportPrint");
+  printBtn.addEventListener("click", () => window.print());
+
+  // Every photo has to be in before printing
+  setStatus("Loading report photos…");
+  await fillPhotos(document.getElementById("report"), { lazy: false });
+  printBtn.disabled = !sections.length;
+  setStatus(
+    sections.length ? `Report ready: ${sections.length} section(s).` : "Report: nothing to print.",
+    sections.length ? "ok" : "warn"
+  );
+}
+
+// Tabs render one at a time: a tab still waiting on the worker finishes
+// before the next one clicked starts drawing, so it can't draw over it.
+let renderQueue = Promise.resolve();
+
+/** replaceHash: record the view in place of the current history entry (views restored from the URL). */
+function renderTab(tab, { replaceHash = false } = {}) {
+  const run = renderQueue
+    .then(() => drawTab(tab))
+    .then(() => syncHash(replaceHash));
+  renderQueue = run.catch(() => {});
+  return run;
 }
 
-async function renderTab(tab) {
+async function drawTab(tab) {
   setActiveTab(tab);
 
   try {
+    if (tab === "overview") {
+      await renderOverview();
+      return;
+    }
+
     if (tab === "cattle") {
-      if (!hasTable("cattle")) {
-        viewEl.innerHTML = `<div class="warn">This backup doesn’t have the cattle table.</div>`;
-        setCountPill(0, 0);
-        setStatus("Cattle table missing.", "warn");
+      if (!schema.cattle) {
+        renderNotInSchema("Cattle", "the cattle table");
+        return;
+      }
+      if (cattleProfileId != null) {
+        await renderCattleProfile(cattleProfileId);
         return;
       }
 
-      let rows = queryAll(`
-        SELECT id, ear_tag, status, sex, role, group_name, cohort, photo_path
-        FROM cattle
-        ORDER BY ear_tag ASC
-      `);
-      rows = mapDateColumns(rows, Object.keys(rows[0] || {}));
-
-      renderTable(rows, { photoPathKey: "photo_path", extraColTitle: "Photo" });
-      setStatus("Loaded Cattle.", "ok");
+      await renderSqlTable(schema.cattle(), {
+        photoPathKey: "photo_path",
+        extraColTitle: "Photo",
+        exportName: "Cattle",
+        onRowClick: (r) => {
+          cattleProfileId = r.id;
+          void renderTab("cattle");
+        },
+      });
+      setStatus("Loaded Cattle. Click a row to open its profile.", "ok");
       return;
     }
 
     if (tab === "feed") {
-      if (!hasTable("feed_entries") || !hasTable("feed_lots")) {
-        viewEl.innerHTML = `<div class="warn">This backup doesn’t have feed tables yet.</div>`;
-        setCountPill(0, 0);
-        setStatus("Feed tables missing.", "warn");
+      if (!schema.feedEntries) {
+        renderNotInSchema("Feed", "the feed_entries and feed_lots tables");
+        return;
+      }
+
+      const host = renderSubviews(
+        [
+          ["entries", "Entries"],
+          ["summary", "Cost summary"],
+        ],
+        feedView,
+        (v) => {
+          feedView = v;
+          void renderTab("feed");
+        }
+      );
+
+      if (feedView === "summary") {
+        await renderFeedSummary(host);
         return;
       }
 
-      let rows = queryAll(`
-        SELECT
-          fe.date,
-          fe.group_name,
-          fl.name AS feed_type,
-          fe.amount,
-          fl.unit,
-          fl.cost_per_unit
-        FROM feed_entries fe
-        JOIN feed_lots fl ON fl.id = fe.feed_lot_id
-        ORDER BY fe.date DESC
-        LIMIT 2000
-      `);
-
-      rows = mapDateColumns(rows, Object.keys(rows[0] || {}));
-      renderTable(rows);
+      await renderSqlTable(schema.feedEntries(), { exportName: "Feed", host });
       setStatus("Loaded Feed (recent first).", "ok");
       return;
     }
 
     if (tab === "inventory") {
+      if (!schema.inventorySources.length) {
+        renderNotInSchema("Inventory", "the feed_inventory_pools (V12+) or feed_inventory_lots (V11) tables");
+        return;
+      }
+
       const hasPooled =
-        hasTable("feed_inventory_pools") &&
-        hasTable("feed_inventory_pool_txns") &&
-        hasTable("feed_storages") &&
-        hasTable("feed_lots");
+        schema.has("feed_inventory_pools") &&
+        schema.has("feed_inventory_pool_txns") &&
+        schema.has("feed_storages") &&
+        schema.has("feed_lots");
 
       const hasLegacy =
-        hasTable("feed_inventory_lots") &&
-        hasTable("feed_inventory_txns") &&
-        hasTable("feed_storages") &&
-        hasTable("feed_lots");
-
-      // -------------------------
-      // Try POOLED snapshot first (V12+)
-      // -------------------------
-      if (hasPooled) {
-        const pooledSnapshot = queryAll(`
-          SELECT
-            s.name AS storage,
-            fl.name AS feed_type,
-            fl.unit AS unit,
-            ROUND(SUM(
-              CASE UPPER(it.type)
-                WHEN 'ADD' THEN it.qty
-                WHEN 'REMOVE' THEN -it.qty
-                WHEN 'ADJUST' THEN it.qty
-                ELSE 0
-              END
-            ), 3) AS on_hand
-          FROM feed_inventory_pool_txns it
-          JOIN feed_inventory_pools p ON p.id = it.pool_id
-          JOIN feed_storages s ON s.id = p.storage_id
-          JOIN feed_lots fl ON fl.id = p.feed_lot_id
-          GROUP BY s.name, fl.name, fl.unit
-          ORDER BY s.name ASC, fl.name ASC
-        `);
-
-        if (pooledSnapshot.length > 0) {
-          renderTable(pooledSnapshot);
-          setStatus("Loaded Inventory snapshot (pooled).", "ok");
-          return;
-        }
-        // If pooled exists but empty, fall through to legacy.
-      }
-
-      // -------------------------
-      // Fallback: LEGACY snapshot (V11 batches)
-      // -------------------------
-      if (hasLegacy) {
-        const legacySnapshot = queryAll(`
-          SELECT
-            s.name AS storage,
-            fl.name AS feed_type,
-            fl.unit AS unit,
-            ROUND(SUM(
-              CASE UPPER(it.type)
-                WHEN 'ADD' THEN it.qty
-                WHEN 'REMOVE' THEN -it.qty
-                WHEN 'ADJUST' THEN it.qty
-                ELSE 0
-              END
-            ), 3) AS on_hand
-          FROM feed_inventory_txns it
-          JOIN feed_inventory_lots il ON il.id = it.lot_id
-          JOIN feed_storages s ON s.id = il.storage_id
-          JOIN feed_lots fl ON fl.id = il.feed_lot_id
-          GROUP BY s.name, fl.name, fl.unit
-          ORDER BY s.name ASC, fl.name ASC
-        `);
-
-        if (legacySnapshot.length > 0) {
-          renderTable(legacySnapshot);
-          setStatus("Loaded Inventory snapshot (legacy batches).", "ok");
-          return;
-        }
+        schema.has("feed_inventory_lots") &&
+        schema.has("feed_inventory_txns") &&
+        schema.has("feed_storages") &&
+        schema.has("feed_lots");
+
+      // Pooled (V12+) first; if pooled exists but is empty, legacy (V11 batches)
+      const inv = await loadInventory(schema);
+      if (inv) {
+        const host = renderSubviews(
+          [
+            ["snapshot", "Snapshot"],
+            ["forecast", "Days of feed"],
+          ],
+          inventoryView,
+          (v) => {
+            inventoryView = v;
+            inventoryLedgerKey = null;
+            void renderTab("inventory");
+          }
+        );
+        if (inventoryView === "forecast") await renderInventoryForecast(inv, host);
+        else if (inventoryLedgerKey) renderInventoryLedger(inv, inventoryLedgerKey, host);
+        else renderInventorySnapshot(inv, host);
+        return;
       }
 
       // -------------------------
       // Diagnostics if nothing to show
       // -------------------------
       const pooledCounts = hasPooled
-        ? queryAll(`
-            SELECT
-              (SELECT COUNT(*) FROM feed_inventory_pools) AS pools,
-              (SELECT COUNT(*) FROM feed_inventory_pool_txns) AS pool_txns
-          `)[0]
+        ? (
+            await queryAll(`
+              SELECT
+                (SELECT COUNT(*) FROM feed_inventory_pools) AS pools,
+                (SELECT COUNT(*) FROM feed_inventory_pool_txns) AS pool_txns
+            `)
+          )[0]
         : { pools: 0, pool_txns: 0 };
 
       const legacyCounts = hasLegacy
-        ? queryAll(`
-            SELECT
-              (SELECT COUNT(*) FROM feed_inventory_lots) AS lots,
-              (SELECT COUNT(*) FROM feed_inventory_txns) AS txns
-          `)[0]
+        ? (
+            await queryAll(`
+              SELECT
+                (SELECT COUNT(*) FROM feed_inventory_lots) AS lots,
+                (SELECT COUNT(*) FROM feed_inventory_txns) AS txns
+            `)
+          )[0]
         : { lots: 0, txns: 0 };
 
       viewEl.innerHTML = `
@@ -408,124 +3089,131 @@ async function renderTab(tab) {
     }
 
     if (tab === "breeding") {
-      if (!hasTable("breeding_sessions") || !hasTable("breeding_exposures")) {
-        viewEl.innerHTML = `<div class="warn">This backup doesn’t have breeding tables yet.</div>`;
-        setCountPill(0, 0);
-        setStatus("Breeding tables missing.", "warn");
+      if (!schema.breedingSessions || !schema.breedingExposures) {
+        renderNotInSchema("Breeding", "the breeding_sessions and breeding_exposures tables");
         return;
       }
 
-      // Sessions summary
-      let sessions = queryAll(`
-        SELECT
-          group_name,
-          start_date,
-          end_date,
-          gestation_days,
-          notes
-        FROM breeding_sessions
-        ORDER BY start_date DESC
-        LIMIT 200
-      `);
+      const host = renderSubviews(
+        [
+          ["sessions", "Sessions & exposures"],
+          ["calendar", "Calving calendar"],
+        ],
+        breedingView,
+        (v) => {
+          breedingView = v;
+          void renderTab("breeding");
+        }
+      );
+
+      if (breedingView === "calendar") {
+        await renderCalvingCalendar(host);
+        return;
+      }
+
+      // Sessions with per-session performance (all exposures, not just recent)
+      let sessions = await breedingSessionRows(schema);
       sessions = mapDateColumns(sessions, Object.keys(sessions[0] || {}));
 
-      // Exposures (recent) — this is what search will filter
-      let exposures = queryAll(`
-        SELECT
-          session_id,
-          cow_tag,
-          cow_status,
-          exposed,
-          observed_breeding_date,
-          preg_check_date,
-          preg_result,
-          due_date,
-          notes,
-          cow_photo_path
-        FROM breeding_exposures
-        ORDER BY created_at DESC
-        LIMIT 500
-      `);
-      exposures = mapDateColumns(exposures, Object.keys(exposures[0] || {}));
+      const selected = breedingSessionId == null ? null : sessions.find((r) => r.id === breedingSessionId);
+      if (!selected) breedingSessionId = null;
+
+      // Exposures — this is what search will filter.
+      // A selected session shows its exposures; otherwise all, most recent first.
 
       // Render stacked sections
-      viewEl.innerHTML = `
+      host.innerHTML = `
         <div class="pill">Sessions</div>
+        <span class="muted">Click a session to show only its exposures.</span>
+        <div id="sessionsChart" style="margin-top:10px;"></div>
         <div id="sessionsHost" style="margin-top:10px;"></div>
         <div style="height:14px;"></div>
-        <div class="pill">Exposures (most recent)</div>
+        <div class="row">
+          <div class="pill">${
+            selected
+              ? `Exposures in session #${escapeHtml(selected.id)} (${escapeHtml(selected.group_name ?? "")} ${escapeHtml(selected.start_date ?? "")})`
+              : "Exposures (all sessions, most recent first)"
+          }</div>
+          ${selected ? `<button class="btn" id="allExposures">Show exposures from all sessions</button>` : ""}
+        </div>
         <div id="exposuresHost" style="margin-top:10px;"></div>
       `;
 
       const sessionsHost = document.getElementById("sessionsHost");
       const exposuresHost = document.getElementById("exposuresHost");
 
-      // Render sessions into sessionsHost (simple table, no photos)
+      const pickSession = (id) => {
+        breedingSessionId = id;
+        void renderTab("breeding");
+      };
+      document.getElementById("allExposures")?.addEventListener("click", () => pickSession(null));
+
+      // Render sessions into sessionsHost (no photos); rows pick a session
       if (!sessions.length) {
         sessionsHost.innerHTML = `<div class="muted">No sessions.</div>`;
       } else {
-        const cols = Object.keys(sessions[0]);
-        let t = "<table><thead><tr>";
-        for (const c of cols) t += `<th>${escapeHtml(c)}</th>`;
-        t += "</tr></thead><tbody>";
-        for (const r of sessions) {
-          t += "<tr>";
-          for (const c of cols) t += `<td>${escapeHtml(r[c])}</td>`;
-          t += "</tr>";
-        }
-        t += "</tbody></table>";
-        sessionsHost.innerHTML = t;
+        document.getElementById("sessionsChart").innerHTML = barChartHtml(
+          sessions
+            .filter((r) => r.conception_rate != null)
+            .map((r) => ({ label: `#${r.id} ${r.group_name ?? ""} ${r.start_date ?? ""}`, value: r.conception_rate })),
+          (v) => `${fmtNumber(v, 1)}% conceived`
+        );
+        drawTable(sessionsHost, sessions, {
+          onRowClick: (r) => pickSession(r.id === breedingSessionId ? null : r.id),
+          rowClass: (r) => (r.id === breedingSessionId ? "selected" : ""),
+        });
       }
 
-      // Render exposures into exposuresHost with photos
-      if (!exposures.length) {
-        exposuresHost.innerHTML = `<div class="muted">No exposures.</div>`;
-        setCountPill(0, 0);
-        setStatus("Loaded Breeding (no exposures).", "ok");
-        // Update search globals to empty
-        lastRenderedRows = [];
-        lastRenderedCols = [];
-        lastRenderedPhotoCol = null;
-        return;
-      }
+      // Exposures are the searchable table; photos render from ZIP
+      const exposureCount = await renderSqlTable(schema.breedingExposures(selected ? { sessionId: selected.id } : {}), {
+        photoPathKey: "cow_photo_path",
+        host: exposuresHost,
+        exportName: "Exposures",
+      });
+      lastExportExtraSheets = [{ name: "Sessions", rows: sessions }];
+
+      setStatus(
+        selected
+          ? `Loaded Breeding: session #${selected.id} (${exposureCount} exposures).`
+          : `Loaded Breeding (${sessions.length} sessions, ${exposureCount} exposures).`,
+        "ok"
+      );
+      return;
+    }
 
-      // Set search globals to exposures
-      lastRenderedRows = exposures;
-      lastRenderedCols = Object.keys(exposures[0]);
-      lastRenderedPhotoCol = "cow_photo_path";
-      setCountPill(exposures.length, exposures.length);
-
-      // Build exposures table manually into exposuresHost so photos render from ZIP
-      {
-        const cols = lastRenderedCols;
-        let h = "<table><thead><tr>";
-        for (const c of cols) h += `<th>${escapeHtml(c)}</th>`;
-        h += "<th>Photo</th></tr></thead><tbody>";
-
-        for (const r of exposures) {
-          h += "<tr>";
-          for (const c of cols) h += `<td>${escapeHtml(r[c])}</td>`;
-          const p = r.cow_photo_path;
-          if (!p) h += `<td class="muted">—</td>`;
-          else h += `<td><img class="thumb" data-photo="${escapeHtml(p)}" alt="photo"/></td>`;
-          h += "</tr>";
-        }
+    if (tab === "tables") {
+      if (tablesSelected) await renderTableBrowser(tablesSelected);
+      else await renderTablesList();
+      return;
+    }
 
-        h += "</tbody></table>";
-        exposuresHost.innerHTML = h;
-
-        void (async () => {
-          const imgs = exposuresHost.querySelectorAll("img[data-photo]");
-          for (const img of imgs) {
-            const p = img.getAttribute("data-photo");
-            const url = await blobUrlFromZipPath(p);
-            if (url) img.src = url;
-            else img.replaceWith(document.createTextNode("Missing"));
-          }
-        })();
-      }
+    if (tab === "sql") {
+      renderSqlConsole();
+      return;
+    }
+
+    if (tab === "health") {
+      await renderHealthCheck();
+      return;
+    }
+
+    if (tab === "compare") {
+      await renderCompare();
+      return;
+    }
+
+    if (tab === "trends") {
+      renderTrends();
+      return;
+    }
+
+    if (tab === "attachments") {
+      await renderAttachments();
+      return;
+    }
 
-      setStatus("Loaded Breeding (sessions + exposures).", "ok");
+    if (tab === "report") {
+      await renderReport();
       return;
     }
 
@@ -541,51 +3229,523 @@ async function renderTab(tab) {
   }
 }
 
-async function loadFromZipFile(file) {
-  setStatus("Reading zip…");
-  const bytes = await file.arrayBuffer();
-  const zip = await JSZip.loadAsync(bytes);
+/**
+ * Per-animal profile: every cattle column, a large photo, and the cow's
+ * breeding history (exposures + preg checks + due dates) in date order.
+ * Breeding rows are matched on breeding_exposures.cow_tag = cattle.ear_tag.
+ */
+async function renderCattleProfile(cattleId) {
+  try {
+    const cow = schema.cattleById ? await schema.cattleById(cattleId) : null;
+    if (!cow) {
+      cattleProfileId = null;
+      viewEl.innerHTML = `<div class="warn">No cattle row with id ${escapeHtml(cattleId)}.</div>`;
+      setStatus("Animal not found.", "warn");
+      return;
+    }
+
+    // Search box doesn't apply to the profile view
+    resetRenderedTable();
+    setCountPill(1, 1);
+
+    const shown = mapDateColumns([cow], Object.keys(cow))[0];
+    let details = `<table class="kv"><tbody>`;
+    for (const c of Object.keys(shown)) {
+      details += `<tr><th>${escapeHtml(c)}</th><td>${escapeHtml(shown[c])}</td></tr>`;
+    }
+    details += "</tbody></table>";
+
+    viewEl.innerHTML = `
+      <div class="row">
+        <button class="btn" id="profileBack">← Back to Cattle</button>
+        <b>Ear tag ${escapeHtml(cow.ear_tag)}</b>
+        <span class="pill">${escapeHtml(cow.status ?? "no status")}</span>
+      </div>
+      <div class="profile">
+        <div id="profilePhoto" class="muted">${cow.photo_path ? "Loading photo…" : "No photo."}</div>
+        <div>${details}</div>
+      </div>
+      <div style="height:14px;"></div>
+      <div class="pill">Breeding history</div>
+      <div id="historyHost" style="margin-top:10px;"></div>
+    `;
+
+    document.getElementById("profileBack").addEventListener("click", () => {
+      cattleProfileId = null;
+      void renderTab("cattle");
+    });
+
+    const historyHost = document.getElementById("historyHost");
+    if (!schema.has("breeding_exposures")) {
+      historyHost.innerHTML = `<div class="muted">This backup doesn’t have breeding tables yet.</div>`;
+    } else {
+      const events = await cattleBreedingEvents(String(cow.ear_tag ?? ""));
+      if (!events.length) {
+        historyHost.innerHTML = `<div class="muted">No breeding records for this animal.</div>`;
+      } else {
+        let h = "<table><thead><tr><th>date</th><th>event</th><th>session</th><th>detail</th></tr></thead><tbody>";
+        for (const ev of events) {
+          h += `<tr>
+            <td>${escapeHtml(fmtDate(ev.date))}</td>
+            <td>${escapeHtml(ev.event)}</td>
+            <td>${escapeHtml(ev.session)}</td>
+            <td>${escapeHtml(ev.detail)}</td>
+          </tr>`;
+        }
+        h += "</tbody></table>";
+        historyHost.innerHTML = h;
+      }
+    }
+
+    setStatus(`Cattle ${cow.ear_tag ?? cow.id}.`, "ok");
+
+    if (cow.photo_path) {
+      const photoEl = document.getElementById("profilePhoto");
+      const url = await blobUrlFromZipPath(cow.photo_path);
+      if (url) photoEl.outerHTML = `<img class="hero" src="${escapeHtml(url)}" alt="photo"/>`;
+      else photoEl.textContent = `Missing photo: ${cow.photo_path}`;
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus(`Error rendering profile: ${err.message || err}`, "err");
+    viewEl.innerHTML = `<div class="err">Error: ${escapeHtml(err.message || err)}</div>`;
+    setCountPill(0, 0);
+  }
+}
+
+/**
+ * Flattens a cow's exposures into dated events (exposed / preg check / due),
+ * oldest first. Undated events sort last.
+ */
+async function cattleBreedingEvents(earTag) {
+  if (!schema.has("breeding_exposures", "cow_tag")) return [];
+  const withSessions = schema.has("breeding_sessions", "id") && schema.has("breeding_exposures", "session_id");
+  const exposures = await queryAll(`
+    SELECT
+      be.*
+      ${
+        withSessions
+          ? `, ${schema.selectCols("bs", "breeding_sessions", [
+              ["group_name", "session_group"],
+              ["start_date", "session_start"],
+            ])}`
+          : ""
+      }
+    FROM breeding_exposures be
+    ${withSessions ? "LEFT JOIN breeding_sessions bs ON bs.id = be.session_id" : ""}
+    WHERE CAST(be.cow_tag AS TEXT) = ?
+  `, [earTag]);
+
+  const events = [];
+  for (const x of exposures) {
+    const session = x.session_group
+      ? `${x.session_group} (${fmtDate(x.session_start)})`
+      : `#${x.session_id ?? "?"}`;
+
+    events.push({
+      date: x.observed_breeding_date || x.session_start || null,
+      event: x.observed_breeding_date ? "Bred (observed)" : "Exposed",
+      session,
+      detail: [x.cow_status, x.notes].filter(Boolean).join(" • "),
+    });
+    if (x.preg_check_date || x.preg_result) {
+      events.push({
+        date: x.preg_check_date || null,
+        event: "Preg check",
+        session,
+        detail: x.preg_result || "No result",
+      });
+    }
+    if (x.due_date) {
+      events.push({ date: x.due_date, event: "Due", session, detail: "" });
+    }
+  }
+
+  const key = (ev) => Number(ev.date) || Infinity;
+  return events.sort((a, b) => (key(a) === key(b) ? 0 : key(a) - key(b)));
+}
+
+// -------------------------
+// Opening a backup: picked or dropped file, the questions a load can ask
+// (password, which ranch.db) in a dialog over the page
+// -------------------------
 
-  // Index entries for fast lookup (attachments)
-  zipIndex = new Map();
-  zip.forEach((relativePath, entry) => {
-    if (!entry.dir) zipIndex.set(relativePath, entry);
+// What the file pickers offer: backup ZIPs and bare databases (ranch.db, *.sqlite)
+const BACKUP_FILE_TYPES = ".zip,.db,.sqlite,.sqlite3";
+
+/**
+ * Asks in a dialog over the page (the lightbox's look): title, bodyHtml
+ * (form fields) and Open / Cancel. Resolves to read(form) on Open, null on
+ * Cancel, Esc, a click outside or another dialog opening.
+ */
+function askInDialog(title, bodyHtml, read) {
+  dialogClose?.();
+  return new Promise((resolve) => {
+    const box = document.createElement("div");
+    box.className = "lightbox";
+    box.innerHTML = `
+      <form class="lightbox-panel dialog-panel">
+        <b>${escapeHtml(title)}</b>
+        <div style="margin-top:10px;">${bodyHtml}</div>
+        <div class="row" style="margin-top:12px;">
+          <span class="spacer"></span>
+          <button class="btn" type="button" data-dialog="cancel">Cancel</button>
+          <button class="btn" type="submit">Open</button>
+        </div>
+      </form>
+    `;
+    const finish = (value) => {
+      box.remove();
+      document.removeEventListener("keydown", onKey);
+      dialogClose = null;
+      resolve(value);
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") finish(null);
+    };
+    const form = box.querySelector("form");
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      finish(read(form));
+    });
+    box.addEventListener("click", (e) => {
+      if (e.target === box || e.target.closest("[data-dialog=cancel]")) finish(null);
+    });
+    document.addEventListener("keydown", onKey);
+    document.body.appendChild(box);
+    dialogClose = () => finish(null);
+    box.querySelector("input")?.focus();
   });
+}
+
+/** openBackupFile()'s askPassword: the password for the encrypted ZIP at zipPath. */
+function askBackupPassword(zipPath, { retry }) {
+  return askInDialog(
+    retry ? "Wrong password" : "Password-protected ZIP",
+    `
+      <label>
+        ${retry ? "That password didn’t open" : "Password for"} <b>${escapeHtml(zipPath)}</b>:
+        <input name="password" type="password" autocomplete="off" style="display:block; width:100%; box-sizing:border-box; margin-top:6px;" />
+      </label>
+    `,
+    (form) => form.elements.password.value
+  );
+}
 
-  // Find ranch.db anywhere in zip by basename
-  const dbEntry = [...zipIndex.entries()].find(
-    ([name]) => name.split("/").pop() === "ranch.db"
+/** openBackupFile()'s chooseDatabase: which of several ranch.db files to open (newest preselected). */
+function chooseBackupDatabase(candidates) {
+  const newest = candidates.reduce((best, c, i) => ((c.date ?? -Infinity) > (candidates[best].date ?? -Infinity) ? i : best), 0);
+  return askInDialog(
+    "Several ranch.db files",
+    `
+      <div class="muted">This backup holds ${candidates.length} ranch.db files. Which one should open?</div>
+      ${candidates
+        .map(
+          (c, i) => `
+            <label class="row" style="margin-top:6px;">
+              <input type="radio" name="db" value="${i}"${i === newest ? " checked" : ""} />
+              <b>${escapeHtml(c.path)}</b>
+              <span class="muted">${escapeHtml([fmtBytes(c.size), c.date ? fmtDate(c.date) : ""].filter(Boolean).join(" · "))}</span>
+            </label>
+          `
+        )
+        .join("")}
+    `,
+    (form) => candidates[Number(form.elements.db.value)]?.path ?? null
   );
-  if (!dbEntry) throw new Error("ZIP missing ranch.db");
+}
 
-  setStatus("Loading ranch.db into SQLite (WASM)…");
-  const dbBytes = await dbEntry[1].async("uint8array");
+// Every openBackupFile() on the page asks through these
+const backupQuestions = { askPassword: askBackupPassword, chooseDatabase: chooseBackupDatabase };
 
-  // init sql.js (expects sql-wasm.wasm beside sql-wasm.js)
-  const SQL = await initSqlJs({ locateFile: (f) => `./${f}` });
-  db = new SQL.Database(dbBytes);
+/**
+ * Opens file as the loaded backup. Picking another file while this one is
+ * still loading cancels it (rejects with an AbortError); the previous backup
+ * stays open until the new one has loaded. dbPath answers "which ranch.db"
+ * up front (a remembered backup's choice); remember stores the file in
+ * Recent backups even with the checkbox off.
+ */
+async function loadBackupFile(file, { dbPath = null, remember = false } = {}) {
+  loadAbort?.abort();
+  dialogClose?.();
+  const abort = (loadAbort = new AbortController());
+
+  setStatus(`Reading ${file.name}…`);
+  const conn = await openBackupFile(file, {
+    ...backupQuestions,
+    chooseDatabase: (candidates) =>
+      candidates.some((c) => c.path === dbPath) ? dbPath : chooseBackupDatabase(candidates),
+    signal: abort.signal,
+    onProgress: (p) => setStatus(loadProgressText(file.name, p)),
+  });
+  let connSchema;
+  try {
+    connSchema = await detectSchema(conn);
+    if (abort.signal.aborted) throw new DOMException("Load cancelled.", "AbortError");
+  } catch (err) {
+    conn.close();
+    throw err;
+  }
+  loadAbort = null;
+
+  // Let a tab still drawing from the old backup finish before swapping it out
+  await renderQueue;
+  db?.close();
+  db = conn;
+  zipIndex = conn.zipIndex;
+  schema = connSchema;
+  loadedFileName = file.name;
+  loadedFile = file;
+  feedRange = null;
+  inventoryAsOf = "";
+  breedingSessionId = null;
+  tablesSelected = null;
+  cattleProfileId = null;
+  inventoryLedgerKey = null;
+  healthResults = null;
+  healthSelected = null;
+  compareDiff = null;
+  attachmentFiles = null;
+  lightboxClose?.();
 
   // Show UI
   tabsEl.style.display = "";
   toolbarEl.style.display = "";
   viewCardEl.style.display = "";
+  recentCardEl.style.display = "none";
+
+  if (remember || rememberEl.checked) void rememberLoadedBackup();
 
   wireTabsOnce();
 
-  // Default tab
-  await renderTab("cattle");
+  schemaPillEl.textContent = schema.label;
+  schemaPillEl.style.display = "";
+
+  searchEl.value = "";
+  lastSort = null;
+  pendingSort = null;
+  tabFilters.clear();
+
+  // Unrecognised schemas open on Tables, which works for any db
+  if (!schema.supported) {
+    await renderTab("tables", { replaceHash: true });
+    setStatus(
+      `Loaded, but this ranch.db doesn’t match a known Best Farmer schema. Only the Tables and SQL tabs can show it.`,
+      "warn"
+    );
+    return;
+  }
+
+  // The view in the URL (a shared link, or this page before a reload), else the overview
+  const linked = parseViewHash(location.hash);
+  if (isTabName(linked.tab)) {
+    applyView(linked);
+    await renderTab(linked.tab, { replaceHash: true });
+  } else {
+    overviewDrill = null;
+    await renderTab("overview", { replaceHash: true });
+  }
+
+  setStatus(`Loaded ${schema.label} backup. (All local, nothing uploaded.)`, "ok");
+}
 
-  setStatus("Loaded. (All local, nothing uploaded.)", "ok");
+/** Opens a picked or dropped file (loadBackupFile() options), reporting a failure in the status line. */
+async function openChosenFile(file, options = {}) {
+  try {
+    await loadBackupFile(file, options);
+  } catch (err) {
+    // Another file was picked while this one loaded
+    if (err.name === "AbortError") return;
+    console.error(err);
+    setStatus(`Error: ${err.message || err}`, "err");
+  }
 }
 
-inputEl.addEventListener("change", async (e) => {
+inputEl.addEventListener("change", (e) => {
   const file = e.target.files?.[0];
+  if (file) void openChosenFile(file);
+});
+
+// A file dropped anywhere on the page opens like a picked one (drops on the
+// Compare / Trends file inputs are theirs)
+const isFileDrag = (e) => e.dataTransfer?.types.includes("Files") && !e.target.closest?.('input[type="file"]');
+
+document.addEventListener("dragover", (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "copy";
+  document.body.classList.add("dropping");
+});
+document.addEventListener("dragleave", (e) => {
+  // relatedTarget is null once the drag leaves the window
+  if (!e.relatedTarget) document.body.classList.remove("dropping");
+});
+document.addEventListener("drop", (e) => {
+  document.body.classList.remove("dropping");
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  const file = e.dataTransfer.files[0];
   if (!file) return;
+  inputEl.value = "";
+  void openChosenFile(file);
+});
+
+// -------------------------
+// Recent backups: opt-in copies in IndexedDB (lib/recent.js), listed on the
+// start screen until a backup is open
+// -------------------------
+
+const REMEMBER_BACKUPS_KEY = "bfv.rememberBackups";
+
+function loadRememberSetting() {
+  try {
+    return localStorage.getItem(REMEMBER_BACKUPS_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+function saveRememberSetting() {
+  try {
+    localStorage.setItem(REMEMBER_BACKUPS_KEY, rememberEl.checked ? "1" : "0");
+  } catch {
+    // Private mode / storage disabled: the checkbox just won't stick
+  }
+}
+
+/** Stores the loaded backup's file in Recent backups; says so in the status line when it can't. */
+async function rememberLoadedBackup() {
+  const file = loadedFile;
+  const info = { schemaLabel: schema.label, dbPath: db.dbPath };
+  try {
+    // Ask the browser not to clear the stored backups under storage pressure
+    await navigator.storage?.persist?.();
+    await rememberBackup(file, info);
+    return true;
+  } catch (err) {
+    console.error(err);
+    const why = err?.name === "QuotaExceededError" ? "not enough storage space on this device" : err?.message || err;
+    setStatus(`Couldn’t remember ${file.name}: ${why}.`, "warn");
+    return false;
+  }
+}
+
+async function renderRecentBackups() {
+  let list = [];
+  try {
+    list = await listRecentBackups();
+  } catch (err) {
+    // IndexedDB unavailable (some private modes): nothing to list
+    console.error(err);
+  }
+  if (db || !list.length) {
+    recentCardEl.style.display = "none";
+    return;
+  }
+
+  recentCardEl.style.display = "";
+  recentCardEl.innerHTML = `
+    <div class="row">
+      <b>Recent backups</b>
+      <span class="muted">Kept in this browser on this device only. Click one to open it.</span>
+      <span class="spacer"></span>
+      <button class="btn" data-recent-clear>Clear all</button>
+    </div>
+    <table>
+      <thead><tr><th>file</th><th>loaded</th><th>schema</th><th>size</th><th></th></tr></thead>
+      <tbody>
+        ${list
+          .map(
+            (r) => `
+              <tr class="clickable" data-recent="${escapeHtml(r.id)}">
+                <td><b>${escapeHtml(r.fileName)}</b>${
+                  r.dbPath && r.dbPath !== r.fileName ? `<div class="muted">${escapeHtml(r.dbPath)}</div>` : ""
+                }</td>
+                <td>${escapeHtml(new Date(r.loadedAt).toLocaleString())}</td>
+                <td>${escapeHtml(r.schemaLabel || "")}</td>
+                <td>${escapeHtml(fmtBytes(r.size))}</td>
+                <td><button class="btn" data-recent-delete="${escapeHtml(r.id)}" title="Forget this backup">Delete</button></td>
+              </tr>
+            `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+async function openRecentBackup(id) {
+  const recent = (await listRecentBackups()).find((r) => r.id === id);
+  const file = recent && (await recentBackupFile(id));
+  if (!file) {
+    setStatus("That backup is no longer stored on this device.", "warn");
+    await renderRecentBackups();
+    return;
+  }
+  await openChosenFile(file, { dbPath: recent.dbPath, remember: true });
+}
 
+recentCardEl.addEventListener("click", async (e) => {
   try {
-    await loadFromZipFile(file);
+    const del = e.target.closest("[data-recent-delete]");
+    if (del) {
+      await forgetBackup(del.dataset.recentDelete);
+      await renderRecentBackups();
+      return;
+    }
+    if (e.target.closest("[data-recent-clear]")) {
+      if (!confirm("Forget every remembered backup on this device?")) return;
+      await forgetAllBackups();
+      await renderRecentBackups();
+      return;
+    }
+    const row = e.target.closest("tr[data-recent]");
+    if (row) await openRecentBackup(row.dataset.recent);
   } catch (err) {
     console.error(err);
     setStatus(`Error: ${err.message || err}`, "err");
   }
 });
+
+rememberEl.checked = loadRememberSetting();
+rememberEl.addEventListener("change", async () => {
+  saveRememberSetting();
+  // Ticked with a backup already open: remember that one now
+  if (rememberEl.checked && loadedFile && (await rememberLoadedBackup())) {
+    setStatus(`Remembered ${loadedFile.name} on this device.`, "ok");
+  }
+});
+
+void renderRecentBackups();
+
+// -------------------------
+// Offline / install: sw.js keeps the viewer's files cached (see there)
+// -------------------------
+
+let updateNoticeShown = false;
+
+function registerServiceWorker() {
+  // Service workers need http(s) (so do the modules and the backup worker: a file:// page doesn't load at all)
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  const firstInstall = !navigator.serviceWorker.controller;
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type !== "updated" || updateNoticeShown) return;
+    updateNoticeShown = true;
+    setStatus("An updated version of the viewer has been downloaded. Reload the page to use it.", "ok");
+  });
+
+  navigator.serviceWorker
+    .register("./sw.js")
+    .then((reg) => {
+      if (!firstInstall) return;
+      const installing = reg.installing;
+      installing?.addEventListener("statechange", () => {
+        // Only worth saying before a backup is open
+        if (installing.state === "activated" && !db) setStatus("Saved for offline use. Choose or drop a backup…", "ok");
+      });
+    })
+    .catch((err) => console.error("Service worker registration failed:", err));
+}
+
+registerServiceWorker();
@@ -0,0 +1,154 @@
+// docs/backup-worker.js
+//
+// Web Worker that owns one backup: reads the file (a backup ZIP, nested
+// ZIPs or a bare ranch.db; see lib/unpack.js), opens ranch.db with sql.js
+// and answers queries, so the page stays responsive while they run.
+// app.js starts one worker per opened backup (lib/backup.js) and
+// terminates it to cancel a load or close the backup.
+//
+// Messages in:  { id, type: "open", file, passwords: [{ zip, password }], dbPath }
+//               { id, type: "query", sql, params, readOnly }
+//               { id, type: "columns", sql, params }
+//               { id, type: "file", path }
+// Messages out: { id, type: "progress", phase: "read" | "zip" | "unzip" | "db", loaded, total, path }
+//               { id, type: "result", value }   (file bytes are transferred)
+//               { id, type: "error", message }
+
+importScripts("./jszip.min.js", "./sql-wasm.js");
+
+// The ES modules shared with bin/open-backup.js (a classic worker can still import() them)
+const unpack = import("./lib/unpack.js");
+
+let source = null; // { name, bytes } of the file being opened, kept while the page asks for a password or a choice
+let candidates = null; // findDatabases() candidates in source, once found
+let zip = null; // JSZip holding ranch.db; null for a bare database
+let db = null;
+
+// Progress is posted at most every PROGRESS_STEP of the way through a phase
+const PROGRESS_STEP = 0.01;
+
+self.onmessage = async (e) => {
+  const { id, type } = e.data;
+  try {
+    let value;
+    let transfer = [];
+    if (type === "open") {
+      value = await openBackup(id, e.data);
+    } else if (type === "query") {
+      value = query(e.data.sql, e.data.params, e.data.readOnly);
+    } else if (type === "columns") {
+      value = columns(e.data.sql, e.data.params);
+    } else if (type === "file") {
+      const entry = zip?.file(e.data.path);
+      value = entry ? await entry.async("uint8array") : null;
+      if (value) transfer = [value.buffer];
+    } else {
+      throw new Error(`Unknown message: ${type}`);
+    }
+    self.postMessage({ id, type: "result", value }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};
+
+function progress(id, phase, loaded, total, path = null) {
+  self.postMessage({ id, type: "progress", phase, loaded, total, path });
+}
+
+/** Reads the file in chunks so progress can be reported as bytes arrive. */
+async function readWithProgress(id, file) {
+  const total = file.size;
+  const bytes = new Uint8Array(total);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  let reported = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, loaded);
+    loaded += value.length;
+    if (loaded - reported >= total * PROGRESS_STEP) {
+      reported = loaded;
+      progress(id, "read", loaded, total);
+    }
+  }
+  progress(id, "read", total, total);
+  return bytes;
+}
+
+/**
+ * Opens the backup: { dbPath, files: [[path, { size, date }]] } where files
+ * lists every file in the ZIP holding ranch.db (zipFileList(); null for a
+ * bare database). Replies { need: "password", zip, retry } or
+ * { need: "choice", candidates: [{ path, size, date }] } instead when the
+ * page has to ask; it then sends "open" again without the file, adding
+ * passwords or the chosen dbPath.
+ */
+async function openBackup(id, { file = null, passwords = [], dbPath = null }) {
+  const { databaseBytes, findDatabases, pickDatabase, zipFileList } = await unpack;
+  if (file) {
+    source = { name: file.name, bytes: await readWithProgress(id, file) };
+    candidates = null;
+  }
+  if (!source) throw new Error("No backup file to open.");
+
+  if (!candidates) {
+    const found = await findDatabases(source.bytes, source.name, {
+      JSZip,
+      passwords,
+      onZip: (path) => progress(id, "zip", 0, 0, path),
+    });
+    if (found.need) return found;
+    candidates = found.candidates;
+  }
+  const picked = pickDatabase(candidates, dbPath);
+  if (!picked) return { need: "choice", candidates: candidates.map(({ path, size, date }) => ({ path, size, date })) };
+
+  let reported = 0;
+  const dbBytes = await databaseBytes(picked, (percent) => {
+    if (percent - reported >= PROGRESS_STEP * 100) {
+      reported = percent;
+      progress(id, "unzip", percent, 100);
+    }
+  });
+  zip = picked.zip;
+  source = null;
+  candidates = null;
+
+  progress(id, "db", 0, dbBytes.length);
+  // init sql.js (expects sql-wasm.wasm beside sql-wasm.js)
+  const SQL = await initSqlJs({ locateFile: (f) => `./${f}` });
+  db = new SQL.Database(dbBytes);
+  progress(id, "db", dbBytes.length, dbBytes.length);
+
+  return { dbPath: picked.path, files: zip ? zipFileList(zip) : null };
+}
+
+function query(sql, params = [], readOnly = false) {
+  // query_only makes SQLite itself refuse any change (SQL console)
+  if (readOnly) db.run("PRAGMA query_only = ON");
+  try {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.getAsObject());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  } finally {
+    if (readOnly) db.run("PRAGMA query_only = OFF");
+  }
+}
+
+/** Result column names of sql without running it. */
+function columns(sql, params = []) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    return stmt.getColumnNames();
+  } finally {
+    stmt.free();
+  }
+}
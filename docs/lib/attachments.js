@@ -0,0 +1,123 @@
+// docs/lib/attachments.js
+//
+// Attachments: files in the backup ZIP besides ranch.db and the *_path
+// columns that reference them (Attachments and Health tabs).
+
+import { firstColumn, quoteIdent, tableColumns } from "./schema.js";
+
+// Files shown as images (thumbnails, gallery tiles, the Tables tab's photo column)
+export const IMAGE_EXT_RE = /\.(png|jpe?g|webp|gif|heic)$/i;
+
+/** Content type for a ZIP entry's Blob, by file extension. */
+export function mimeForPath(path) {
+  const lower = path.toLowerCase();
+  return lower.endsWith(".png")
+    ? "image/png"
+    : lower.endsWith(".jpg") || lower.endsWith(".jpeg")
+      ? "image/jpeg"
+      : lower.endsWith(".webp")
+        ? "image/webp"
+        : lower.endsWith(".gif")
+          ? "image/gif"
+          : lower.endsWith(".heic")
+            ? "image/heic"
+            : lower.endsWith(".pdf")
+              ? "application/pdf"
+              : "application/octet-stream";
+}
+
+/** Folder of a ZIP path ("(root)" for top-level files). */
+export function zipFolder(path) {
+  return path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "(root)";
+}
+
+/** ranch.db itself and its -wal / -shm / -journal files. */
+export function isRanchDbFile(path) {
+  return path.split("/").pop().startsWith("ranch.db");
+}
+
+// Columns holding ZIP attachment paths (photo_path, cow_photo_path, receipt_path, …)
+export const ATTACHMENT_COLUMN_RE = /(^|_)path$/i;
+
+// Columns that name a row for people (cattle.ear_tag, breeding_exposures.cow_tag, …)
+export const RECORD_LABEL_COLUMNS = ["ear_tag", "cow_tag", "name", "title"];
+
+/**
+ * Every non-empty attachment path in the db of schema adapter s:
+ * [{ table, column, rowid, record, path }]. record is e.g. "ear_tag 1042"
+ * when the table has a RECORD_LABEL_COLUMNS column.
+ */
+export async function attachmentRefs(s) {
+  const refs = [];
+  for (const table of s.tableNames) {
+    const labelCol = firstColumn(table, RECORD_LABEL_COLUMNS, s);
+    const label = labelCol ? quoteIdent(labelCol) : "NULL";
+    for (const column of (await tableColumns(table, s)).filter((c) => ATTACHMENT_COLUMN_RE.test(c))) {
+      let rows;
+      try {
+        rows = await s.query(
+          `SELECT rowid AS rowid, ${label} AS record, ${quoteIdent(column)} AS path FROM ${quoteIdent(table)}
+           WHERE ${quoteIdent(column)} IS NOT NULL AND ${quoteIdent(column)} <> ''`
+        );
+      } catch {
+        // WITHOUT ROWID tables
+        rows = await s.query(
+          `SELECT NULL AS rowid, ${label} AS record, ${quoteIdent(column)} AS path FROM ${quoteIdent(table)}
+           WHERE ${quoteIdent(column)} IS NOT NULL AND ${quoteIdent(column)} <> ''`
+        );
+      }
+      for (const r of rows) {
+        const record = r.record == null || r.record === "" ? null : `${labelCol} ${r.record}`;
+        refs.push({ table, column, rowid: r.rowid, record, path: String(r.path) });
+      }
+    }
+  }
+  return refs;
+}
+
+export const ATTACHMENT_KINDS = [
+  ["all", "All"],
+  ["image", "Images"],
+  ["pdf", "PDFs"],
+  ["other", "Other"],
+];
+
+export function attachmentKind(path) {
+  if (IMAGE_EXT_RE.test(path)) return "image";
+  if (/\.pdf$/i.test(path)) return "pdf";
+  return "other";
+}
+
+/** A reference as shown: "cattle #12 (ear_tag 1042) · photo_path". */
+export function attachmentRefText(ref) {
+  const row = ref.rowid == null ? ref.table : `${ref.table} #${ref.rowid}`;
+  return `${row}${ref.record ? ` (${ref.record})` : ""} · ${ref.column}`;
+}
+
+/**
+ * Every attachment in the ZIP by folder, then name:
+ * [{ path, folder, name, kind, size, date, refs }] with refs from attachmentRefs(s).
+ * zipIndex is the backup's Map<zipPath, { size, date }> (null for a bare
+ * ranch.db, which has none).
+ */
+export async function attachmentList(s, zipIndex) {
+  if (!zipIndex) return [];
+  const refsByPath = new Map();
+  for (const ref of await attachmentRefs(s)) {
+    if (!refsByPath.has(ref.path)) refsByPath.set(ref.path, []);
+    refsByPath.get(ref.path).push(ref);
+  }
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+  return [...zipIndex.entries()]
+    .filter(([path]) => !isRanchDbFile(path))
+    .map(([path, meta]) => ({
+      path,
+      folder: zipFolder(path),
+      name: path.split("/").pop(),
+      kind: attachmentKind(path),
+      size: meta.size,
+      date: meta.date,
+      refs: refsByPath.get(path) ?? [],
+    }))
+    .sort((a, b) => byName(a.folder, b.folder) || byName(a.name, b.name));
+}
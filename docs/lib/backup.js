@@ -0,0 +1,115 @@
+// docs/lib/backup.js
+//
+// Backup worker client: backup-worker.js holds the ZIP and the sql.js db;
+// this side sends it messages and matches replies to requests by id.
+
+/**
+ * Opens file (a backup ZIP, a ZIP of them or a bare ranch.db) in a new
+ * backup worker. Resolves to the connection
+ * { fileName, dbPath, zipIndex, query(sql, params, { readOnly }),
+ *   columns(sql, params), fileBytes(path), close() }; every call returns a
+ * promise, and zipIndex is null for a bare database. onProgress({ phase:
+ * "read" | "zip" | "unzip" | "db", loaded, total, path }) is called while it
+ * loads. askPassword(zipPath, { retry }) and chooseDatabase([{ path, size,
+ * date }]) resolve to the password / the path of the ranch.db to open, or
+ * null to give up, when the file needs one. Aborting signal stops the worker
+ * and rejects with an AbortError; so does close() for calls still pending.
+ */
+export function openBackupFile(
+  file,
+  { onProgress = null, signal = null, askPassword = null, chooseDatabase = null } = {}
+) {
+  const worker = new Worker("./backup-worker.js");
+  const pending = new Map(); // id -> { resolve, reject, onProgress }
+  let nextId = 1;
+  let closed = false;
+
+  const close = (reason = new DOMException("Backup closed.", "AbortError")) => {
+    if (closed) return;
+    closed = true;
+    worker.terminate();
+    for (const p of pending.values()) p.reject(reason);
+    pending.clear();
+  };
+
+  const call = (type, payload = {}, progress = null) =>
+    new Promise((resolve, reject) => {
+      if (closed) {
+        reject(new DOMException("Backup closed.", "AbortError"));
+        return;
+      }
+      const id = nextId++;
+      pending.set(id, { resolve, reject, onProgress: progress });
+      worker.postMessage({ id, type, ...payload });
+    });
+
+  worker.onmessage = (e) => {
+    const { id, type } = e.data;
+    const p = pending.get(id);
+    if (!p) return;
+    if (type === "progress") {
+      p.onProgress?.(e.data);
+      return;
+    }
+    pending.delete(id);
+    if (type === "result") p.resolve(e.data.value);
+    else p.reject(new Error(e.data.message));
+  };
+  // Script failed to load (e.g. a vendored file like jszip.min.js is missing) or crashed
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    close(new Error(`Backup worker failed: ${e.message || "could not start"}`));
+  };
+
+  const conn = {
+    fileName: file.name,
+    dbPath: null,
+    zipIndex: null,
+    query: (sql, params = [], { readOnly = false } = {}) => call("query", { sql, params, readOnly }),
+    columns: (sql, params = []) => call("columns", { sql, params }),
+    fileBytes: (path) => call("file", { path }),
+    close: () => close(),
+  };
+
+  if (signal?.aborted) close();
+  signal?.addEventListener("abort", () => close());
+
+  const open = async () => {
+    const passwords = [];
+    let dbPath = null;
+    let reply = await call("open", { file }, onProgress);
+    // The worker keeps the file while the user is asked, then carries on
+    while (reply.need) {
+      if (reply.need === "password") {
+        const password = await askPassword?.(reply.zip, { retry: reply.retry });
+        if (closed) throw new DOMException("Backup closed.", "AbortError");
+        if (password == null) throw new Error(`${reply.zip} is password protected.`);
+        passwords.push({ zip: reply.zip, password });
+      } else {
+        dbPath = await chooseDatabase?.(reply.candidates);
+        if (closed) throw new DOMException("Backup closed.", "AbortError");
+        if (dbPath == null) {
+          throw new Error(`${file.name} holds ${reply.candidates.length} ranch.db files: ${reply.candidates.map((c) => c.path).join(", ")}.`);
+        }
+      }
+      reply = await call("open", { passwords, dbPath }, onProgress);
+    }
+    conn.dbPath = reply.dbPath;
+    conn.zipIndex = reply.files && new Map(reply.files);
+    return conn;
+  };
+
+  return open().catch((err) => {
+    close();
+    throw err;
+  });
+}
+
+/** Status text for an openBackupFile() progress report. */
+export function loadProgressText(fileName, { phase, loaded, total, path }) {
+  const mb = (n) => (n / 1048576).toFixed(1);
+  if (phase === "read") return `Reading ${fileName}… ${mb(loaded)} / ${mb(total)} MB`;
+  if (phase === "zip") return `Looking inside ${path}…`;
+  if (phase === "unzip") return `Unzipping ranch.db… ${Math.floor(loaded)}%`;
+  return loaded < total ? `Loading ranch.db into SQLite (${mb(total)} MB)…` : "Reading ranch.db schema…";
+}
@@ -0,0 +1,283 @@
+// docs/lib/breeding.js
+//
+// Breeding tab: preg check results, per-session stats, where each cow
+// stands now (herd overview) and the calving calendar's expected calvings
+// (with .ics export).
+
+import { isOnPlace } from "./cattle.js";
+import { fmtDate } from "./format.js";
+
+/**
+ * Classifies a free-text preg_result: "pregnant", "open" or "pending"
+ * (no result yet / unrecognised).
+ */
+export function pregStatus(result) {
+  const v = String(result ?? "").trim().toLowerCase();
+  if (!v) return "pending";
+  if (/^(open|o\b|no\b|neg|empty|(not|non)[\s-]*preg|dry)/.test(v)) return "open";
+  if (/^(preg|p\b|bred|yes|pos|positive|confirmed|settled|safe)/.test(v)) return "pregnant";
+  return "pending";
+}
+
+export function emptySessionStats() {
+  return {
+    exposed: 0,
+    preg_checked: 0,
+    pregnant: 0,
+    open: 0,
+    pending: 0,
+    conception_rate: null,
+    first_bred_date: null,
+    last_bred_date: null,
+    first_due_date: null,
+    last_due_date: null,
+  };
+}
+
+/**
+ * Per-session metrics over every exposure row: exposed (exposed != 0),
+ * preg-checked, pregnant / open / pending, conception rate
+ * (pregnant ÷ (pregnant + open), %), and the range of observed breeding
+ * and due dates. Returns Map<session_id, stats>.
+ */
+export async function breedingSessionStats(s) {
+  const rows = await s.query(`
+    SELECT ${s.selectCols("be", "breeding_exposures", [
+      "session_id",
+      "exposed",
+      "observed_breeding_date",
+      "preg_check_date",
+      "preg_result",
+      "due_date",
+    ])}
+    FROM breeding_exposures be
+  `);
+
+  const stats = new Map();
+  const minMax = (st, lo, hi, v) => {
+    if (v == null || v === "") return;
+    const n = Number(v);
+    if (st[lo] == null || n < st[lo]) st[lo] = n;
+    if (st[hi] == null || n > st[hi]) st[hi] = n;
+  };
+
+  for (const r of rows) {
+    let st = stats.get(r.session_id);
+    if (!st) {
+      st = emptySessionStats();
+      stats.set(r.session_id, st);
+    }
+    if (r.exposed != null && Number(r.exposed) === 0) continue;
+
+    st.exposed += 1;
+    const status = pregStatus(r.preg_result);
+    st[status] += 1;
+    if (r.preg_check_date || status !== "pending") st.preg_checked += 1;
+    minMax(st, "first_bred_date", "last_bred_date", r.observed_breeding_date);
+    minMax(st, "first_due_date", "last_due_date", r.due_date);
+  }
+
+  for (const st of stats.values()) {
+    const decided = st.pregnant + st.open;
+    st.conception_rate = decided ? Math.round((st.pregnant / decided) * 1000) / 10 : null;
+  }
+  return stats;
+}
+
+/** Every breeding session (newest first) with its breedingSessionStats. */
+export async function breedingSessionRows(s) {
+  const stats = await breedingSessionStats(s);
+  return (await s.breedingSessions()).map((r) => ({
+    ...r,
+    ...(stats.get(r.id) ?? emptySessionStats()),
+  }));
+}
+
+// -------------------------
+// Calving: expected calvings from due dates (or breeding date + gestation)
+// -------------------------
+
+export const DAY_MS = 86400000;
+export const DEFAULT_GESTATION_DAYS = 283;
+
+// overdue: due in the last CALVING_OVERDUE_DAYS days (probably still waiting);
+// soon: today through the next CALVING_SOON_DAYS days; later: after that;
+// past: due longer ago than CALVING_OVERDUE_DAYS.
+export const CALVING_OVERDUE_DAYS = 30;
+export const CALVING_SOON_DAYS = 14;
+
+/** Millis at UTC midnight of the day containing ms (dates render in UTC, see fmtDate). */
+export function utcDay(ms) {
+  return Math.floor(Number(ms) / DAY_MS) * DAY_MS;
+}
+
+/**
+ * Expected calvings: each exposure's due_date, or observed_breeding_date +
+ * the session's gestation_days when no due date was recorded. Cows checked
+ * open (pregStatus) and not-exposed rows are left out. s is the schema
+ * adapter of the backup to read.
+ */
+export async function calvingEntries(s) {
+  const dated = ["due_date", "observed_breeding_date"].filter((c) => s.has("breeding_exposures", c));
+  if (!dated.length) return [];
+
+  const withSessions = s.has("breeding_sessions", "id");
+  const withCattle = s.has("cattle", "ear_tag") && s.has("cattle", "photo_path");
+  const rows = await s.query(`
+    SELECT
+      ${s.has("breeding_exposures", "id") ? "be.id" : "be.rowid"} AS exposure_id,
+      ${s.selectCols("be", "breeding_exposures", [
+        "session_id",
+        "cow_tag",
+        "exposed",
+        "preg_result",
+        "observed_breeding_date",
+        "due_date",
+        "cow_photo_path",
+      ])}
+      ${
+        withSessions
+          ? `, ${s.selectCols("bs", "breeding_sessions", ["gestation_days", ["group_name", "session_group"]])}`
+          : ""
+      }
+      ${
+        withCattle
+          ? `, (SELECT c.photo_path FROM cattle c
+                WHERE CAST(c.ear_tag AS TEXT) = CAST(be.cow_tag AS TEXT) AND c.photo_path IS NOT NULL
+                LIMIT 1) AS cattle_photo_path`
+          : ""
+      }
+    FROM breeding_exposures be
+    ${withSessions ? "LEFT JOIN breeding_sessions bs ON bs.id = be.session_id" : ""}
+    WHERE ${dated.map((c) => `be.${c} IS NOT NULL`).join(" OR ")}
+  `);
+
+  const entries = [];
+  for (const r of rows) {
+    if (r.exposed != null && Number(r.exposed) === 0) continue;
+    if (pregStatus(r.preg_result) === "open") continue;
+
+    const gestation = Number(r.gestation_days) || DEFAULT_GESTATION_DAYS;
+    const derived = !r.due_date;
+    const due = derived ? Number(r.observed_breeding_date) + gestation * DAY_MS : Number(r.due_date);
+    if (!Number.isFinite(due) || due <= 0) continue;
+
+    entries.push({
+      exposure_id: r.exposure_id,
+      cow_tag: r.cow_tag,
+      due: utcDay(due),
+      derived,
+      gestation,
+      preg_result: r.preg_result,
+      session: r.session_group ? `${r.session_group} (#${r.session_id})` : `#${r.session_id ?? "?"}`,
+      photo: r.cow_photo_path || r.cattle_photo_path || null,
+    });
+  }
+  return entries.sort((a, b) => a.due - b.due || String(a.cow_tag).localeCompare(String(b.cow_tag)));
+}
+
+/**
+ * Where each exposed cow stands now: her latest recorded exposure, with
+ * preg_status (pregStatus). Cows whose cattle row says they're gone
+ * (INACTIVE_CATTLE_STATUSES) are left out, and so are pregnant cows due
+ * (due_date, or observed breeding + gestation) more than
+ * CALVING_OVERDUE_DAYS before today: they have most likely calved.
+ * Resolves to { rows, calved } (calved: how many were left out for that).
+ */
+export async function currentPregnancies(s, today) {
+  if (!s.breedingExposures) return { rows: [], calved: 0 };
+
+  const gone = new Set();
+  if (s.has("cattle", "ear_tag") && s.has("cattle", "status")) {
+    for (const r of await s.query(`SELECT ear_tag, status FROM cattle`)) {
+      if (!isOnPlace(r)) gone.add(String(r.ear_tag));
+    }
+  }
+  const gestation = new Map(
+    (s.breedingSessions ? await s.breedingSessions() : []).map((r) => [r.id, Number(r.gestation_days) || DEFAULT_GESTATION_DAYS])
+  );
+
+  // Most recently recorded first (see breedingExposures), so the first row per cow is hers
+  const spec = s.breedingExposures();
+  const seen = new Set();
+  const rows = [];
+  let calved = 0;
+  for (const r of await s.query(spec.sql, spec.params)) {
+    if (r.exposed != null && Number(r.exposed) === 0) continue;
+    const tag = String(r.cow_tag ?? "");
+    if (!tag || seen.has(tag)) continue;
+    seen.add(tag);
+    if (gone.has(tag)) continue;
+
+    const status = pregStatus(r.preg_result);
+    const due = r.due_date
+      ? Number(r.due_date)
+      : r.observed_breeding_date
+        ? Number(r.observed_breeding_date) + (gestation.get(r.session_id) ?? DEFAULT_GESTATION_DAYS) * DAY_MS
+        : null;
+    if (status === "pregnant" && due != null && calvingStatus(utcDay(due), utcDay(today)) === "past") {
+      calved += 1;
+      continue;
+    }
+    rows.push({ ...r, preg_status: status });
+  }
+  return { rows, calved };
+}
+
+export function calvingStatus(due, today) {
+  if (due < today - CALVING_OVERDUE_DAYS * DAY_MS) return "past";
+  if (due < today) return "overdue";
+  if (due <= today + CALVING_SOON_DAYS * DAY_MS) return "soon";
+  return "later";
+}
+
+function icsEscape(s) {
+  return String(s ?? "")
+    .replaceAll("\\", "\\\\")
+    .replaceAll(";", "\\;")
+    .replaceAll(",", "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Folds an iCalendar content line at 75 characters (continuations start with a space). */
+function icsFold(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(" " + line.slice(i, i + 74));
+  return parts.join("\r\n");
+}
+
+/** All-day VEVENTs, one per expected calving, in a calendar named after fileName. */
+export function calvingIcs(entries, fileName) {
+  const ymd = (ms) => fmtDate(ms).replaceAll("-", "");
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Best Farmer//Backup Viewer//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsEscape(`Calving – ${fileName || "backup"}`)}`,
+  ];
+  for (const e of entries) {
+    const description = [
+      `Session ${e.session}`,
+      e.preg_result ? `Preg check: ${e.preg_result}` : "Not preg-checked",
+      e.derived ? `Estimated: observed breeding + ${e.gestation} days` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:exposure-${e.exposure_id}@best-farmer-viewer`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${ymd(e.due)}`,
+      `DTEND;VALUE=DATE:${ymd(e.due + DAY_MS)}`,
+      `SUMMARY:${icsEscape(`Due: cow ${e.cow_tag}${e.derived ? " (est.)" : ""}`)}`,
+      `DESCRIPTION:${icsEscape(description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,74 @@
+// docs/lib/cattle.js
+//
+// Cattle: who is still on the place, head counts per group, and the herd
+// overview's counts by status / sex / role / group / cohort.
+
+// Cattle statuses that no longer count toward head counts
+export const INACTIVE_CATTLE_STATUSES = ["sold", "dead", "deceased", "culled", "removed"];
+
+// cattle columns the herd overview counts by
+export const HERD_DIMENSIONS = ["status", "sex", "role", "group_name", "cohort"];
+
+/** The animal (a cattle row) is still on the place: its status isn't one of INACTIVE_CATTLE_STATUSES. */
+export function isOnPlace(row) {
+  return !INACTIVE_CATTLE_STATUSES.includes(String(row.status ?? "").toLowerCase());
+}
+
+/** Search box terms (lib/filter.js) for the cattle isOnPlace() keeps. */
+export const ON_PLACE_FILTER = INACTIVE_CATTLE_STATUSES.map((status) => `-status:${status}`).join(" ");
+
+/**
+ * Head count per cattle.group_name, leaving out animals that are no longer
+ * on the place (INACTIVE_CATTLE_STATUSES).
+ */
+export async function headCountsByGroup(s) {
+  if (!s.has("cattle")) return new Map();
+  const rows = await s.query(
+    `
+    SELECT group_name, COUNT(*) AS head
+    FROM cattle
+    WHERE status IS NULL OR LOWER(status) NOT IN (${INACTIVE_CATTLE_STATUSES.map(() => "?").join(", ")})
+    GROUP BY group_name
+  `,
+    INACTIVE_CATTLE_STATUSES
+  );
+  return new Map(rows.map((r) => [r.group_name, r.head]));
+}
+
+// Values are counted case-insensitively, like col:value matches in the search box
+const valueKey = (v) => (v == null || v === "" ? "" : String(v).toLowerCase());
+
+/**
+ * Head count of rows per value of col, most first: [{ value, head }], value
+ * as first seen (null for empty cells). "Active" and "active" count as one.
+ */
+export function herdCounts(rows, col) {
+  const counts = new Map();
+  for (const r of rows) {
+    const k = valueKey(r[col]);
+    const c = counts.get(k) ?? { value: k ? r[col] : null, head: 0 };
+    c.head += 1;
+    counts.set(k, c);
+  }
+  return [...counts.values()].sort(
+    (a, b) =>
+      b.head - a.head ||
+      (a.value == null) - (b.value == null) ||
+      String(a.value).localeCompare(String(b.value), undefined, { numeric: true })
+  );
+}
+
+/**
+ * Head counts of rows by rowCol × colCol: { rows, cols, cells } where rows
+ * and cols are herdCounts() of each column and cells[i][j] counts the rows
+ * with value rows[i] and cols[j].
+ */
+export function herdCrossTab(rows, rowCol, colCol) {
+  const rowValues = herdCounts(rows, rowCol);
+  const colValues = herdCounts(rows, colCol);
+  const rowIndex = new Map(rowValues.map((v, i) => [valueKey(v.value), i]));
+  const colIndex = new Map(colValues.map((v, i) => [valueKey(v.value), i]));
+  const cells = rowValues.map(() => colValues.map(() => 0));
+  for (const r of rows) cells[rowIndex.get(valueKey(r[rowCol]))][colIndex.get(valueKey(r[colCol]))] += 1;
+  return { rows: rowValues, cols: colValues, cells };
+}
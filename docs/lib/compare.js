@@ -0,0 +1,175 @@
+// docs/lib/compare.js
+//
+// Compare tab: two backups diffed record by record (cattle, feed entries,
+// inventory balances, breeding exposures).
+
+import { fmtDate, isDateColumn, mapDateColumns } from "./format.js";
+import { EXPOSURE_LIST_COLS } from "./schema.js";
+import { inventoryBalances, loadInventory, round3 } from "./inventory.js";
+
+const CATTLE_COMPARE_FIELDS = ["ear_tag", "status", "group_name", "role", "sex", "cohort"];
+const FEED_COMPARE_FIELDS = ["date", "group_name", "feed_type", "amount", "unit"];
+const EXPOSURE_COMPARE_FIELDS = EXPOSURE_LIST_COLS.filter((c) => c !== "cow_photo_path");
+
+/** The records compareBackups diffs, read through schema adapter s. */
+export async function compareSnapshot(s) {
+  const cattle = s.cattleRows ? await s.cattleRows() : [];
+
+  const feedEntries =
+    s.has("feed_entries", "id") && s.has("feed_lots")
+      ? await s.query(`
+          SELECT
+            fe.id,
+            ${s.selectCols("fe", "feed_entries", ["date", "group_name"])},
+            ${s.selectCols("fl", "feed_lots", [["name", "feed_type"]])},
+            ${s.selectCols("fe", "feed_entries", ["amount"])},
+            ${s.selectCols("fl", "feed_lots", ["unit"])}
+          FROM feed_entries fe
+          LEFT JOIN feed_lots fl ON fl.id = fe.feed_lot_id
+          ORDER BY ${s.has("feed_entries", "date") ? "fe.date" : "fe.id"} DESC
+        `)
+      : [];
+
+  const inv = s.inventorySources.length ? await loadInventory(s) : null;
+  const inventory = inv ? inventoryBalances(inv.txns) : new Map();
+
+  const exposures = s.has("breeding_exposures", "id")
+    ? await s.query(`
+        SELECT be.id, ${s.selectCols("be", "breeding_exposures", EXPOSURE_LIST_COLS)}
+        FROM breeding_exposures be
+        ORDER BY be.id DESC
+      `)
+    : [];
+
+  return { cattle, feedEntries, inventory, exposures };
+}
+
+function sameValue(a, b) {
+  return String(a ?? "") === String(b ?? "");
+}
+
+/** "field: before → after" for each of fields that differs (dates as YYYY-MM-DD). */
+function changedFields(before, after, fields) {
+  const show = (f, v) => (v == null || v === "" ? "—" : isDateColumn(f) ? fmtDate(v) : String(v));
+  return fields
+    .filter((f) => !sameValue(before[f], after[f]))
+    .map((f) => `${f}: ${show(f, before[f])} → ${show(f, after[f])}`);
+}
+
+/**
+ * Matches before/after rows by key and sorts them into added / removed /
+ * changed (fields differ). Returns { added, removed, changed: [{ before, after, changes }] }.
+ */
+function diffByKey(beforeRows, afterRows, key, fields) {
+  const beforeMap = new Map(beforeRows.map((r) => [key(r), r]));
+  const afterKeys = new Set();
+  const added = [];
+  const changed = [];
+  for (const after of afterRows) {
+    const k = key(after);
+    afterKeys.add(k);
+    const before = beforeMap.get(k);
+    if (!before) {
+      added.push(after);
+      continue;
+    }
+    const changes = changedFields(before, after, fields);
+    if (changes.length) changed.push({ before, after, changes });
+  }
+  const removed = beforeRows.filter((r) => !afterKeys.has(key(r)));
+  return { added, removed, changed };
+}
+
+/**
+ * Diff of two compareSnapshot()s as sections
+ * [{ id, title, added, removed, changed, rows }]; rows (for drill-down) start
+ * with a `change` column.
+ */
+export function compareBackups(before, after) {
+  const sections = [];
+  const section = (id, title, diff, rows) =>
+    sections.push({
+      id,
+      title,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length,
+      rows: mapDateColumns(rows, Object.keys(rows[0] || {})),
+    });
+
+  // Cattle: by id when both backups have one, else by ear tag
+  const byId = before.cattle.every((r) => r.id != null) && after.cattle.every((r) => r.id != null);
+  const cattleKey = (r) => (byId ? `id:${r.id}` : `tag:${r.ear_tag}`);
+  const cattle = diffByKey(before.cattle, after.cattle, cattleKey, CATTLE_COMPARE_FIELDS);
+  const cattleRow = (change, b, a, changes = []) => ({
+    change,
+    id: (a ?? b).id,
+    ear_tag: (a ?? b).ear_tag,
+    status_before: b?.status ?? null,
+    status_after: a?.status ?? null,
+    group_before: b?.group_name ?? null,
+    group_after: a?.group_name ?? null,
+    changes: changes.join("; "),
+  });
+  section("cattle", "Cattle", cattle, [
+    ...cattle.added.map((r) => cattleRow("added", null, r)),
+    ...cattle.removed.map((r) => cattleRow("removed", r, null)),
+    ...cattle.changed.map((c) => cattleRow("changed", c.before, c.after, c.changes)),
+  ]);
+
+  const feed = diffByKey(before.feedEntries, after.feedEntries, (r) => r.id, FEED_COMPARE_FIELDS);
+  section("feed", "Feed entries", feed, [
+    ...feed.added.map((r) => ({ change: "new", ...r, changes: "" })),
+    ...feed.removed.map((r) => ({ change: "removed", ...r, changes: "" })),
+    ...feed.changed.map((c) => ({ change: "edited", ...c.after, changes: c.changes.join("; ") })),
+  ]);
+
+  // Inventory: balance per storage / feed type / unit, only rows that moved
+  const invRows = [];
+  let invAdded = 0;
+  let invRemoved = 0;
+  for (const key of new Set([...before.inventory.keys(), ...after.inventory.keys()])) {
+    const b = before.inventory.get(key);
+    const a = after.inventory.get(key);
+    const delta = round3((a?.balance ?? 0) - (b?.balance ?? 0));
+    if (b && a && Math.abs(delta) < 1e-9) continue;
+    if (!b) invAdded++;
+    if (!a) invRemoved++;
+    const g = a ?? b;
+    invRows.push({
+      change: !b ? "new" : !a ? "gone" : delta > 0 ? "up" : "down",
+      storage: g.storage,
+      feed_type: g.feed_type,
+      unit: g.unit,
+      before: b ? round3(b.balance) : null,
+      after: a ? round3(a.balance) : null,
+      delta,
+    });
+  }
+  sections.push({
+    id: "inventory",
+    title: "Inventory balances",
+    added: invAdded,
+    removed: invRemoved,
+    changed: invRows.length - invAdded - invRemoved,
+    rows: invRows,
+  });
+
+  const exposures = diffByKey(before.exposures, after.exposures, (r) => r.id, EXPOSURE_COMPARE_FIELDS);
+  const exposureRow = (change, r, changes = []) => ({
+    change,
+    id: r.id,
+    session_id: r.session_id,
+    cow_tag: r.cow_tag,
+    preg_result: r.preg_result,
+    due_date: r.due_date,
+    changes: changes.join("; "),
+  });
+  section("exposures", "Breeding exposures", exposures, [
+    ...exposures.added.map((r) => exposureRow("new", r)),
+    ...exposures.changed.map((c) => exposureRow("updated", c.after, c.changes)),
+    ...exposures.removed.map((r) => exposureRow("removed", r)),
+  ]);
+
+  return sections;
+}
@@ -0,0 +1,95 @@
+// docs/lib/feed.js
+//
+// Feed tab: cost summary by group / feed type / week or month.
+
+import { headCountsByGroup } from "./cattle.js";
+
+/**
+ * Feed cost over [fromMs, toExclusive): { days, totals: { entries, cost, unpriced },
+ * byGroup (with head counts and cost per head / per head per day), byType,
+ * byPeriod (by "week" | "month") }. Cost is amount × feed_lots.cost_per_unit.
+ * Quantities only add up within a unit, so byGroup and byPeriod have a row
+ * per unit fed (byGroup's highest-cost group first).
+ */
+export async function feedCostSummary(s, fromMs, toExclusive, period) {
+  const days = Math.max(1, Math.round((toExclusive - fromMs) / 86400000));
+  const range = [fromMs, toExclusive];
+
+  const base = `
+    FROM feed_entries fe
+    JOIN feed_lots fl ON fl.id = fe.feed_lot_id
+    WHERE fe.date >= ? AND fe.date < ?
+  `;
+
+  const totals = (
+    await s.query(
+      `SELECT COUNT(*) AS entries, ROUND(SUM(fe.amount * COALESCE(fl.cost_per_unit, 0)), 2) AS cost,
+              SUM(CASE WHEN fl.cost_per_unit IS NULL THEN 1 ELSE 0 END) AS unpriced
+       ${base}`,
+      range
+    )
+  )[0];
+
+  const heads = await headCountsByGroup(s);
+  const byGroup = (
+    await s.query(
+      `
+    SELECT
+      fe.group_name,
+      fl.unit,
+      COUNT(*) AS entries,
+      ROUND(SUM(fe.amount), 3) AS quantity,
+      ROUND(SUM(fe.amount * COALESCE(fl.cost_per_unit, 0)), 2) AS cost
+    ${base}
+    GROUP BY fe.group_name, fl.unit
+    ORDER BY SUM(SUM(fe.amount * COALESCE(fl.cost_per_unit, 0))) OVER (PARTITION BY fe.group_name) DESC,
+      fe.group_name, cost DESC
+  `,
+      range
+    )
+  ).map((r) => {
+    const head = heads.get(r.group_name) ?? null;
+    return {
+      ...r,
+      head,
+      cost_per_head: head ? Math.round((r.cost / head) * 100) / 100 : null,
+      cost_per_head_day: head ? Math.round((r.cost / head / days) * 1000) / 1000 : null,
+    };
+  });
+
+  const byType = await s.query(
+    `
+    SELECT
+      fl.name AS feed_type,
+      fl.unit,
+      COUNT(*) AS entries,
+      ROUND(SUM(fe.amount), 3) AS quantity,
+      ROUND(SUM(fe.amount * COALESCE(fl.cost_per_unit, 0)), 2) AS cost
+    ${base}
+    GROUP BY fl.name, fl.unit
+    ORDER BY cost DESC
+  `,
+    range
+  );
+
+  const periodExpr =
+    period === "week"
+      ? `date(fe.date / 1000, 'unixepoch', 'weekday 0', '-6 days')` // Monday of the week
+      : `strftime('%Y-%m', fe.date / 1000, 'unixepoch')`;
+  const byPeriod = await s.query(
+    `
+    SELECT
+      ${periodExpr} AS ${period === "week" ? "week_of" : "month"},
+      fl.unit,
+      COUNT(*) AS entries,
+      ROUND(SUM(fe.amount), 3) AS quantity,
+      ROUND(SUM(fe.amount * COALESCE(fl.cost_per_unit, 0)), 2) AS cost
+    ${base}
+    GROUP BY 1, fl.unit
+    ORDER BY 1 ASC, cost DESC
+  `,
+    range
+  );
+
+  return { days, totals, byGroup, byType, byPeriod };
+}
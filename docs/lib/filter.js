@@ -0,0 +1,258 @@
+// docs/lib/filter.js
+//
+// Filter language for the search box:
+//   word              any column contains "word" (the original behaviour)
+//   col:value         column equals value (case-insensitive; * wildcards;
+//                     date columns match a YYYY-MM-DD prefix, e.g. due_date:2026-12)
+//   col~value         column contains value
+//   col<v col<=v col>v col>=v col!=v
+//                     numeric / date / text comparison by column type (text
+//                     in character order, but as numbers when the cell and v
+//                     are both plain decimals: ear_tag>99 takes in 101)
+//   -term             negates any of the above
+//   col:"two words"   quote values with spaces
+//
+// Terms match in memory on formatted rows (filterRows) or as SQL on a
+// subquery (filterTermSql), with the same results. Both take the table
+// being searched as { cols, kindOf } (kindOf from columnKinds).
+
+import { isDateColumn, rawRow } from "./format.js";
+import { quoteIdent } from "./schema.js";
+
+const FILTER_TOKEN_RE = /(-?)(?:([A-Za-z_]\w*)(!=|<=|>=|:|=|<|>|~))?("[^"]*"?|\S+)/g;
+
+// A plain decimal, as text cells are compared by ordering terms (decimalSql says the same in SQL)
+const DECIMAL_RE = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+export function parseFilterQuery(q, cols) {
+  const terms = [];
+  const unknownCols = [];
+  const byLower = new Map(cols.map((c) => [c.toLowerCase(), c]));
+
+  for (const m of q.matchAll(FILTER_TOKEN_RE)) {
+    const [, neg, rawCol, op, rawValue] = m;
+    const value = rawValue.replace(/^"|"$/g, "");
+
+    if (!rawCol) {
+      if (value) terms.push({ neg: !!neg, col: null, op: "~", value: value.toLowerCase() });
+      continue;
+    }
+
+    const col = byLower.get(rawCol.toLowerCase());
+    if (!col) {
+      unknownCols.push(rawCol);
+      continue;
+    }
+    terms.push({ neg: !!neg, col, op, value: value.toLowerCase() });
+  }
+
+  return { terms, unknownCols };
+}
+
+/**
+ * The search box term for "col equals value" (links into a filtered table):
+ * col:value, quoted when it has spaces; col:"" for an empty value. null
+ * when the language can't say it: there's no escaping, so a * would be a
+ * wildcard and a " would end the quotes.
+ */
+export function equalsTerm(col, value) {
+  const v = value == null ? "" : String(value);
+  if (/[*"]/.test(v)) return null;
+  return v === "" || /\s/.test(v) ? `${col}:"${v}"` : `${col}:${v}`;
+}
+
+/** Rows matching every term (rows as mapDateColumns formats them). */
+export function filterRows(rows, terms, table) {
+  return terms.length ? rows.filter((r) => terms.every((t) => matchesTerm(r, t, table))) : rows;
+}
+
+export function matchesTerm(row, term, table) {
+  const hit = term.col ? matchesColumn(row, term, table.kindOf(term.col)) : matchesAnyColumn(row, term.value, table.cols);
+  return term.neg ? !hit : hit;
+}
+
+function matchesAnyColumn(row, needle, cols) {
+  for (const c of cols) {
+    const v = row[c];
+    if (v == null) continue;
+    if (String(v).toLowerCase().includes(needle)) return true;
+  }
+  return false;
+}
+
+function matchesColumn(row, { col, op, value }, kind) {
+  const raw = rawRow(row)[col];
+  const shown = row[col] == null ? "" : String(row[col]).toLowerCase();
+
+  if (op === ":" || op === "=") return equalsFilterValue(raw, shown, value, kind);
+  if (op === "!=") return !equalsFilterValue(raw, shown, value, kind);
+  if (op === "~") return shown.includes(value);
+
+  // Ordering comparisons never match empty cells
+  if (raw == null || raw === "") return false;
+
+  let cmp;
+  if (kind === "date") {
+    // YYYY-MM-DD strings order the same as the dates they name
+    cmp = shown < value ? -1 : shown > value ? 1 : 0;
+  } else if (kind === "number" && Number.isFinite(Number(value))) {
+    cmp = Number(raw) - Number(value);
+  } else if (DECIMAL_RE.test(shown) && DECIMAL_RE.test(value)) {
+    cmp = Number(shown) - Number(value);
+  } else {
+    cmp = shown < value ? -1 : shown > value ? 1 : 0;
+  }
+
+  if (op === "<") return cmp < 0;
+  if (op === "<=") return cmp <= 0;
+  if (op === ">") return cmp > 0;
+  return cmp >= 0; // ">="
+}
+
+function equalsFilterValue(raw, shown, value, kind) {
+  if (value === "") return raw == null || raw === "";
+  if (value.includes("*")) {
+    const re = new RegExp(`^${value.split("*").map(escapeRegExp).join(".*")}$`);
+    return re.test(shown);
+  }
+  if (kind === "date") return shown.startsWith(value);
+  if (kind === "number" && Number.isFinite(Number(value))) {
+    return raw != null && raw !== "" && Number(raw) === Number(value);
+  }
+  return shown === value;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * kindOf(col) for a table: the column type for sorting / comparison, from
+ * the raw values of sample (the table's rows, or the first rows of an SQL
+ * table): "date" (isDate(col), by name like mapDateColumns by default),
+ * "number" (all values numeric) or "text". Remembered per column.
+ */
+export function columnKinds(sample, isDate = isDateColumn) {
+  const kinds = new Map();
+  return (col) => {
+    if (!kinds.has(col)) kinds.set(col, sampleKind(sample, col, isDate));
+    return kinds.get(col);
+  };
+}
+
+function sampleKind(sample, col, isDate) {
+  let kind = isDate(col) ? "date" : "text";
+  if (kind === "text") {
+    let sawValue = false;
+    let allNumeric = true;
+    for (const r of sample) {
+      const v = rawRow(r)[col];
+      if (v == null || v === "") continue;
+      sawValue = true;
+      if (typeof v === "number" || (typeof v === "string" && Number.isFinite(Number(v.trim())))) continue;
+      allNumeric = false;
+      break;
+    }
+    if (sawValue && allNumeric) kind = "number";
+  }
+  return kind;
+}
+
+/** rows sorted by sort = { col, dir: 1 | -1 } (a header click), by column type. */
+export function sortRows(rows, { col, dir }, table) {
+  const kind = table.kindOf(col);
+  return [...rows].sort((a, b) => dir * compareValues(a, b, col, kind, dir));
+}
+
+/** Empty cells always sort last (the caller flips the rest by dir for descending). */
+export function compareValues(a, b, col, kind, dir = 1) {
+  const va = rawRow(a)[col];
+  const vb = rawRow(b)[col];
+  const emptyA = va == null || va === "";
+  const emptyB = vb == null || vb === "";
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1) * dir;
+
+  if (kind === "date" || kind === "number") {
+    const na = Number(va);
+    const nb = Number(vb);
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  }
+  return String(a[col]).localeCompare(String(b[col]), undefined, { numeric: true, sensitivity: "base" });
+}
+
+// The same filter language as SQL, for renderSqlTable: each term becomes a
+// WHERE condition on the subquery's columns that matches what matchesTerm
+// would match on the formatted rows.
+
+/** SQL for a column as it's shown: date columns as YYYY-MM-DD (like fmtDate). */
+function shownSql(col, kind) {
+  const c = quoteIdent(col);
+  if (kind !== "date") return `CAST(${c} AS TEXT)`;
+  return `CASE WHEN typeof(${c}) IN ('integer', 'real') AND ${c} > 0 THEN strftime('%Y-%m-%d', ${c} / 1000, 'unixepoch') ELSE CAST(${c} AS TEXT) END`;
+}
+
+/** SQL for "the text expr is a plain decimal" (DECIMAL_RE). */
+function decimalSql(expr) {
+  const unsigned = `(CASE WHEN substr(${expr}, 1, 1) IN ('+', '-') THEN substr(${expr}, 2) ELSE ${expr} END)`;
+  return `(${unsigned} GLOB '*[0-9]*' AND ${unsigned} NOT GLOB '*[^0-9.]*' AND ${unsigned} NOT GLOB '*.*.*')`;
+}
+
+/** A col:value wildcard as a GLOB pattern (other GLOB characters matched literally). */
+function globPattern(value) {
+  return value
+    .split("*")
+    .map((part) => part.replace(/[?[\]]/g, (ch) => `[${ch}]`))
+    .join("*");
+}
+
+/** { sql, params } for one parsed filter term (see parseFilterQuery). */
+export function filterTermSql({ neg, col, op, value }, table) {
+  let sql;
+  let params;
+
+  if (!col) {
+    const cols = table.cols;
+    sql = `(${cols.map((c) => `instr(LOWER(${shownSql(c, table.kindOf(c))}), ?) > 0`).join(" OR ")})`;
+    params = cols.map(() => value);
+  } else {
+    const kind = table.kindOf(col);
+    const c = quoteIdent(col);
+    const shown = `LOWER(${shownSql(col, kind)})`;
+    const empty = `(${c} IS NULL OR ${c} = '')`;
+    const numeric = kind === "number" && Number.isFinite(Number(value));
+
+    if (op === ":" || op === "=" || op === "!=") {
+      if (value === "") [sql, params] = [empty, []];
+      else if (value.includes("*")) [sql, params] = [`${shown} GLOB ?`, [globPattern(value)]];
+      else if (kind === "date") [sql, params] = [`substr(${shown}, 1, ?) = ?`, [value.length, value]];
+      else if (numeric) [sql, params] = [`NOT ${empty} AND CAST(${c} AS REAL) = ?`, [Number(value)]];
+      else [sql, params] = [`${shown} = ?`, [value]];
+      if (op === "!=") sql = `NOT COALESCE(${sql}, 0)`;
+    } else if (op === "~") {
+      [sql, params] = [`instr(${shown}, ?) > 0`, [value]];
+    } else if (numeric) {
+      // Ordering comparisons never match empty cells
+      [sql, params] = [`NOT ${empty} AND CAST(${c} AS REAL) ${op} ?`, [Number(value)]];
+    } else if (kind !== "date" && DECIMAL_RE.test(value)) {
+      // Text cells that are decimals too compare as numbers, like matchesColumn
+      sql = `NOT ${empty} AND CASE WHEN ${decimalSql(shown)} THEN CAST(${c} AS REAL) ${op} ? ELSE ${shown} ${op} ? END`;
+      params = [Number(value), value];
+    } else {
+      [sql, params] = [`NOT ${empty} AND ${shown} ${op} ?`, [value]];
+    }
+  }
+
+  sql = `COALESCE(${sql}, 0)`;
+  return { sql: neg ? `NOT ${sql}` : sql, params };
+}
+
+/**
+ * ORDER BY for a header sort: by type like compareValues, empty cells last.
+ * Text is plain case-insensitive order (no natural "cow2 < cow10" ordering).
+ */
+export function sortSql({ col, dir }, table) {
+  const c = quoteIdent(col);
+  const kind = table.kindOf(col);
+  const key = kind === "date" || kind === "number" ? `CAST(${c} AS REAL)` : `${shownSql(col, kind)} COLLATE NOCASE`;
+  return `(${c} IS NULL OR ${c} = '') ASC, ${key} ${dir > 0 ? "ASC" : "DESC"}`;
+}
@@ -0,0 +1,95 @@
+// docs/lib/format.js
+//
+// Formatting shared by every tab: timestamps as YYYY-MM-DD, numbers,
+// byte sizes, and rows back to raw DB values for CSV / JSON export.
+
+// Formatted rows (mapDateColumns) keep a pointer to the raw DB row here,
+// so export and comparisons can use real values instead of display strings.
+export const RAW_ROW = Symbol("rawRow");
+
+export function fmtDate(ms) {
+  if (!ms) return "";
+  const n = Number(ms);
+  if (!Number.isFinite(n) || n <= 0) return String(ms);
+
+  // Your DB stores millis since epoch. Render as local date.
+  try {
+    const d = new Date(n);
+    if (Number.isNaN(d.getTime())) return String(ms);
+    return d.toISOString().slice(0, 10); // YYYY-MM-DD
+  } catch {
+    return String(ms);
+  }
+}
+
+export function isDateColumn(c) {
+  return c.endsWith("_date") || c === "date" || c.endsWith("_at") || c === "created_at";
+}
+
+export function mapDateColumns(rows, cols, isDate = isDateColumn) {
+  // Replace common timestamp columns with YYYY-MM-DD for readability
+  // (keeps values as strings for viewing/searching; raw row stays on RAW_ROW)
+  const dateCols = new Set(cols.filter(isDate));
+  if (!dateCols.size) return rows;
+
+  return rows.map((r) => {
+    const out = { ...r, [RAW_ROW]: r };
+    for (const c of dateCols) {
+      if (out[c] != null && out[c] !== "") out[c] = fmtDate(out[c]);
+    }
+    return out;
+  });
+}
+
+export function rawRow(r) {
+  return r[RAW_ROW] ?? r;
+}
+
+export function fmtNumber(n, digits = 2) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return "";
+  return v.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+export function fmtBytes(n) {
+  if (n == null) return "";
+  if (n < 1024) return `${n} B`;
+  if (n < 1048576) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1048576).toFixed(1)} MB`;
+}
+
+/** YYYY-MM-DD (date input value) -> millis at UTC midnight, or null. */
+export function parseDateInput(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+// -------------------------
+// Export: raw values (not the formatted dates) as CSV / JSON
+// -------------------------
+
+function exportValue(v) {
+  if (v instanceof Uint8Array) return `[${v.length} bytes]`;
+  return v;
+}
+
+export function exportRows(rows) {
+  return rows.map((r) => {
+    const raw = rawRow(r);
+    const out = {};
+    for (const c of Object.keys(raw)) out[c] = exportValue(raw[c]);
+    return out;
+  });
+}
+
+export function toCsv(rows) {
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const cell = (v) => {
+    const s = String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+  };
+  const lines = [cols.map(cell).join(",")];
+  for (const r of rows) lines.push(cols.map((c) => cell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,149 @@
+// docs/lib/health.js
+//
+// Health check: SQLite integrity, attachments vs the ZIP, and logical
+// consistency between tables.
+
+import { mapDateColumns } from "./format.js";
+import { inventoryBalances, loadInventory, round3 } from "./inventory.js";
+import { attachmentRefs, isRanchDbFile, zipFolder } from "./attachments.js";
+
+/**
+ * Runs every check. Each result is { id, title, level: "ok" | "warn" | "err" | "skip",
+ * summary, rows } where rows are the offending records (empty when ok).
+ * s is the backup's schema adapter, zipIndex its Map<zipPath, { size, date }>
+ * (null for a bare ranch.db, which skips the attachment checks).
+ */
+export async function runHealthChecks(s, zipIndex) {
+  const results = [];
+  const add = (id, title, level, summary, rows = []) => results.push({ id, title, level, summary, rows });
+  const count = (rows, one, many = `${one}s`) => `${rows.length} ${rows.length === 1 ? one : many}`;
+
+  // SQLite's own checks
+  const integrity = (await s.query("PRAGMA integrity_check")).map((r) => ({ message: Object.values(r)[0] }));
+  const intact = integrity.length === 1 && integrity[0].message === "ok";
+  add(
+    "integrity",
+    "SQLite integrity_check",
+    intact ? "ok" : "err",
+    intact ? "Database file is intact." : count(integrity, "problem"),
+    intact ? [] : integrity
+  );
+
+  const fkRows = (await s.query("PRAGMA foreign_key_check")).map((r) => ({
+    table: r.table,
+    rowid: r.rowid,
+    references: r.parent,
+    fk_index: r.fkid,
+  }));
+  add(
+    "foreign_keys",
+    "SQLite foreign_key_check",
+    fkRows.length ? "err" : "ok",
+    fkRows.length ? `${count(fkRows, "row")} with a missing parent row.` : "All declared foreign keys resolve.",
+    fkRows
+  );
+
+  // Attachments vs the ZIP
+  if (zipIndex) {
+    await checkAttachments(s, zipIndex, add, count);
+  } else {
+    const summary = "Opened as a bare ranch.db: no ZIP to check attachments against.";
+    add("missing_files", "Attachment paths missing from the ZIP", "skip", summary);
+    add("unreferenced_files", "ZIP files nothing references", "skip", summary);
+  }
+
+  // Logical consistency
+  if (s.has("feed_entries", "feed_lot_id") && s.has("feed_lots", "id")) {
+    const orphans = await s.query(`
+      SELECT fe.*
+      FROM feed_entries fe
+      LEFT JOIN feed_lots fl ON fl.id = fe.feed_lot_id
+      WHERE fe.feed_lot_id IS NOT NULL AND fl.id IS NULL
+    `);
+    add(
+      "feed_lots",
+      "Feed entries with a missing feed lot",
+      orphans.length ? "err" : "ok",
+      orphans.length ? `${count(orphans, "feed entry", "feed entries")} with a missing feed lot.` : "Every feed entry’s feed lot exists.",
+      mapDateColumns(orphans, Object.keys(orphans[0] || {}))
+    );
+  } else {
+    add("feed_lots", "Feed entries with a missing feed lot", "skip", "No feed_entries / feed_lots tables.");
+  }
+
+  const inv = s.inventorySources.length ? await loadInventory(s) : null;
+  if (inv) {
+    const negative = [...inventoryBalances(inv.txns).values()]
+      .filter((g) => g.lowest < -1e-9)
+      .map((g) => ({
+        storage: g.storage,
+        feed_type: g.feed_type,
+        unit: g.unit,
+        balance: round3(g.balance),
+        lowest: round3(g.lowest),
+        first_negative: g.firstNegative?.date ?? null,
+        first_negative_txn: g.firstNegative?.txn_id ?? null,
+      }));
+    const nowNegative = negative.filter((g) => g.balance < -1e-9).length;
+    add(
+      "negative_inventory",
+      `Negative inventory balances (${inv.source.label})`,
+      nowNegative ? "err" : negative.length ? "warn" : "ok",
+      negative.length
+        ? `${nowNegative} below zero now; ${negative.length} went negative at some point.`
+        : "No storage/feed balance ever went below zero.",
+      mapDateColumns(negative, ["first_negative"], () => true)
+    );
+  } else {
+    add("negative_inventory", "Negative inventory balances", "skip", "No inventory transactions in this backup.");
+  }
+
+  if (s.has("breeding_exposures", "cow_tag") && s.has("cattle", "ear_tag")) {
+    const strays = await s.query(`
+      SELECT ${s.selectCols("be", "breeding_exposures", ["id", "session_id", "cow_tag", "preg_result", "created_at"])}
+      FROM breeding_exposures be
+      WHERE be.cow_tag IS NOT NULL AND be.cow_tag <> ''
+        AND NOT EXISTS (SELECT 1 FROM cattle c WHERE CAST(c.ear_tag AS TEXT) = CAST(be.cow_tag AS TEXT))
+    `);
+    add(
+      "exposure_cattle",
+      "Exposures whose cow_tag has no cattle row",
+      strays.length ? "warn" : "ok",
+      strays.length ? `${count(strays, "exposure")} for cows not in the cattle table.` : "Every exposed cow has a cattle row.",
+      mapDateColumns(strays, Object.keys(strays[0] || {}))
+    );
+  } else {
+    add("exposure_cattle", "Exposures whose cow_tag has no cattle row", "skip", "No breeding_exposures / cattle tables.");
+  }
+
+  return results;
+}
+
+/** Attachment paths against the files in the ZIP (runHealthChecks()' add / count). */
+async function checkAttachments(s, zipIndex, add, count) {
+  const refs = await attachmentRefs(s);
+  const missing = refs.filter((r) => !zipIndex.has(r.path));
+  add(
+    "missing_files",
+    "Attachment paths missing from the ZIP",
+    missing.length ? "warn" : "ok",
+    missing.length
+      ? `${count(missing, "reference")} to files not in the ZIP (of ${refs.length}).`
+      : `All ${refs.length} attachment paths are in the ZIP.`,
+    missing
+  );
+
+  const referenced = new Set(refs.map((r) => r.path));
+  const unreferenced = [...zipIndex.entries()]
+    .filter(([path]) => !referenced.has(path) && !isRanchDbFile(path))
+    .map(([path]) => ({ folder: zipFolder(path), path }));
+  add(
+    "unreferenced_files",
+    "ZIP files nothing references",
+    unreferenced.length ? "warn" : "ok",
+    unreferenced.length
+      ? `${count(unreferenced, "file")} in the ZIP not referenced by any *_path column.`
+      : "Every file in the ZIP is referenced.",
+    unreferenced
+  );
+}
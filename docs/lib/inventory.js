@@ -0,0 +1,216 @@
+// docs/lib/inventory.js
+//
+// Inventory tab: pooled (V12+) and legacy batch (V11) schemas share the txn
+// shape (type ADD/REMOVE/ADJUST + qty) but hang txns off different
+// containers (see INVENTORY_SOURCES). Balances, snapshot and days of feed.
+
+import { fmtDate } from "./format.js";
+import { firstColumn } from "./schema.js";
+
+/** Signed quantity change of one txn (same rules as the app's snapshot). */
+export function txnDelta(type, qty) {
+  const q = Number(qty) || 0;
+  switch (String(type ?? "").toUpperCase()) {
+    case "ADD":
+      return q;
+    case "REMOVE":
+      return -q;
+    case "ADJUST":
+      return q;
+    default:
+      return 0;
+  }
+}
+
+export function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Picks the inventory source to show from the schema adapter's list (V12:
+ * pooled first, legacy if pooled is missing or empty) and loads all of its txns, oldest first.
+ * Resolves to { source, txns, dateCol }, or null when neither has any txns.
+ * s is the schema adapter of the backup to read.
+ */
+export async function loadInventory(s) {
+  for (const source of s.inventorySources) {
+    const present =
+      s.has(source.txns) &&
+      s.has(source.containers) &&
+      s.has("feed_storages") &&
+      s.has("feed_lots");
+    if (!present) continue;
+
+    const dateCol = firstColumn(source.txns, ["date", "txn_date", "created_at"], s);
+    const notesCol = firstColumn(source.txns, ["notes", "note"], s);
+    const txns = await s.query(`
+      SELECT
+        it.id AS txn_id,
+        ${dateCol ? `it.${dateCol}` : "NULL"} AS date,
+        it.type,
+        it.qty,
+        ${notesCol ? `it.${notesCol}` : "NULL"} AS notes,
+        s.name AS storage,
+        fl.name AS feed_type,
+        fl.unit AS unit
+      FROM ${source.txns} it
+      JOIN ${source.containers} p ON p.id = it.${source.fk}
+      JOIN feed_storages s ON s.id = p.storage_id
+      JOIN feed_lots fl ON fl.id = p.feed_lot_id
+      ORDER BY COALESCE(date, 0) ASC, it.id ASC
+    `);
+
+    if (txns.length > 0) return { source, txns, dateCol };
+  }
+  return null;
+}
+
+export function inventoryKey(r) {
+  return JSON.stringify([r.storage, r.feed_type, r.unit]);
+}
+
+/**
+ * Running balance per storage/feed type/unit over txns dated before
+ * beforeMs (null = all). Undated txns count from the start.
+ * Returns Map<key, { storage, feed_type, unit, balance, lowest, firstNegative, entries }>,
+ * sorted by storage then feed type like the original snapshot.
+ */
+export function inventoryBalances(txns, beforeMs = null) {
+  const groups = new Map();
+  for (const t of txns) {
+    if (beforeMs != null && t.date != null && Number(t.date) >= beforeMs) continue;
+
+    const key = inventoryKey(t);
+    let g = groups.get(key);
+    if (!g) {
+      g = { storage: t.storage, feed_type: t.feed_type, unit: t.unit, balance: 0, lowest: 0, firstNegative: null, entries: [] };
+      groups.set(key, g);
+    }
+
+    const change = txnDelta(t.type, t.qty);
+    const wasNegative = g.balance < -1e-9;
+    g.balance += change;
+    const negative = g.balance < -1e-9;
+    if (negative && !g.firstNegative) g.firstNegative = t;
+    g.lowest = Math.min(g.lowest, g.balance);
+
+    g.entries.push({
+      ...t,
+      change: round3(change),
+      balance: round3(g.balance),
+      flag: negative ? (wasNegative ? "negative" : "went negative") : "",
+    });
+  }
+
+  const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return new Map(
+    [...groups.entries()].sort(
+      ([, a], [, b]) => byName(String(a.storage), String(b.storage)) || byName(String(a.feed_type), String(b.feed_type))
+    )
+  );
+}
+
+/**
+ * Inventory snapshot rows (what the Inventory tab lists) from inventoryBalances
+ * over txns dated before beforeMs (null = latest).
+ */
+export function inventorySnapshotRows(inv, beforeMs = null) {
+  return [...inventoryBalances(inv.txns, beforeMs).values()].map((g) => ({
+    storage: g.storage,
+    feed_type: g.feed_type,
+    unit: g.unit,
+    on_hand: round3(g.balance),
+    lowest_balance: round3(g.lowest),
+    went_negative: g.firstNegative ? `yes (${fmtDate(g.firstNegative.date) || `txn ${g.firstNegative.txn_id}`})` : "",
+  }));
+}
+
+/**
+ * Days of feed remaining: latest on-hand per storage/feed type divided by the
+ * feed type's average daily use in feed_entries over the last windowDays
+ * (counted back from the newest feed entry). Feed entries don't record a
+ * storage, so each storage row is "if fed only from here"; feed types kept in
+ * several storages get an extra "(all storages)" row. Status "LOW" under
+ * warnDays, soonest run-out first. Resolves to { rows, startMs, endMs }.
+ */
+export async function feedForecast(s, inv, { windowDays, warnDays }) {
+  const latest = (await s.query(`SELECT MAX(date) AS d FROM feed_entries`))[0]?.d;
+  const endMs = latest == null ? null : Number(latest);
+  const startMs = endMs == null ? null : endMs - windowDays * 86400000;
+
+  const use = new Map(
+    (endMs == null
+      ? []
+      : await s.query(
+          `
+          SELECT fl.name AS feed_type, fl.unit AS unit, SUM(fe.amount) AS used
+          FROM feed_entries fe
+          JOIN feed_lots fl ON fl.id = fe.feed_lot_id
+          WHERE fe.date > ? AND fe.date <= ?
+          GROUP BY fl.name, fl.unit
+        `,
+          [startMs, endMs]
+        )
+    ).map((r) => [JSON.stringify([r.feed_type, r.unit]), (Number(r.used) || 0) / windowDays])
+  );
+
+  const groups = [...inventoryBalances(inv.txns).values()];
+  const perType = new Map();
+  for (const g of groups) {
+    const k = JSON.stringify([g.feed_type, g.unit]);
+    const t = perType.get(k) || { feed_type: g.feed_type, unit: g.unit, balance: 0, storages: 0 };
+    t.balance += g.balance;
+    t.storages += 1;
+    perType.set(k, t);
+  }
+
+  const forecastRow = (storage, feedType, unit, onHand) => {
+    const daily = use.get(JSON.stringify([feedType, unit])) || 0;
+    const days = daily > 0 ? Math.max(0, onHand) / daily : null;
+    return {
+      storage,
+      feed_type: feedType,
+      unit,
+      on_hand: round3(onHand),
+      daily_use: round3(daily),
+      days_left: days == null ? null : Math.round(days * 10) / 10,
+      run_out_date: days == null ? null : endMs + Math.floor(days) * 86400000,
+      status: days == null ? "no recent use" : days < warnDays ? "LOW" : "",
+    };
+  };
+
+  const rows = groups.map((g) => forecastRow(g.storage, g.feed_type, g.unit, g.balance));
+  for (const t of perType.values()) {
+    if (t.storages > 1) rows.push(forecastRow("(all storages)", t.feed_type, t.unit, t.balance));
+  }
+  rows.sort((a, b) => (a.days_left ?? Infinity) - (b.days_left ?? Infinity) || 0);
+
+  return { rows, startMs, endMs };
+}
+
+/**
+ * Feed running out, for the herd overview: snapshot rows
+ * (inventorySnapshotRows) with nothing left on hand (out: on_hand <= 0) and
+ * feedForecast rows under warnDays of feed (low: status "LOW"; forecast is
+ * null when there's no feed use to forecast from). One row per storage /
+ * feed type / unit: { storage, feed_type, unit, on_hand, days_left,
+ * run_out_date, out, low }, out of stock first, then soonest run-out.
+ */
+export function lowStockRows(snapshot, forecast = null) {
+  const key = (r) => JSON.stringify([r.storage, r.feed_type, r.unit]);
+  const rows = new Map();
+  for (const r of snapshot) {
+    if (r.on_hand > 0) continue;
+    rows.set(key(r), { ...pickStock(r), days_left: null, run_out_date: null, out: true, low: false });
+  }
+  for (const r of forecast ?? []) {
+    if (r.status !== "LOW") continue;
+    const out = rows.get(key(r))?.out ?? false;
+    rows.set(key(r), { ...pickStock(r), days_left: r.days_left, run_out_date: r.run_out_date, out, low: true });
+  }
+  return [...rows.values()].sort(
+    (a, b) => b.out - a.out || (a.out ? a.on_hand - b.on_hand : 0) || (a.days_left ?? Infinity) - (b.days_left ?? Infinity)
+  );
+}
+
+const pickStock = ({ storage, feed_type, unit, on_hand }) => ({ storage, feed_type, unit, on_hand });
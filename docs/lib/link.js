@@ -0,0 +1,49 @@
+// docs/lib/link.js
+//
+// Shareable links: the page's view (tab, sub-view, open record, search box,
+// header sort) as a URL hash, e.g. #tab=breeding&session=2&q=cow_tag%3A1042&sort=-due_date.
+// Empty fields are left out of the hash.
+
+// Hash keys, in the order they're written: tab, sub-view (feed / inventory /
+// breeding / attachments, or the overview's preg status), open record
+// (breeding session, animal profile, table browsed, health check, inventory
+// ledger row), inventory "as of" date, search box text and header sort
+// ("-col" = descending)
+const LINK_KEYS = ["tab", "view", "session", "cattle", "table", "check", "ledger", "asof", "q", "sort"];
+
+// Record ids that are numbers in ranch.db (compared with === once parsed)
+const NUMERIC_KEYS = new Set(["session", "cattle"]);
+
+/** view = { tab, view, session, ..., q, sort: { col, dir } | null } -> "#tab=…&…". */
+export function viewHash(view) {
+  const params = new URLSearchParams();
+  for (const key of LINK_KEYS) {
+    let v = view[key];
+    if (key === "sort") v = v ? `${v.dir < 0 ? "-" : ""}${v.col}` : null;
+    if (v == null || v === "") continue;
+    params.set(key, String(v));
+  }
+  const s = params.toString();
+  return s ? `#${s}` : "";
+}
+
+/**
+ * Reads a viewHash() back: every LINK_KEYS field, null when missing (q is
+ * "" then). Integer ids become numbers; anything else is left to the page
+ * to check against the loaded backup.
+ */
+export function parseViewHash(hash) {
+  const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+  const view = {};
+  for (const key of LINK_KEYS) {
+    const v = params.get(key);
+    view[key] = v === "" ? null : v;
+  }
+  for (const key of NUMERIC_KEYS) {
+    if (view[key] != null && /^-?\d+$/.test(view[key])) view[key] = Number(view[key]);
+  }
+  view.q = view.q ?? "";
+  const sortCol = view.sort?.replace(/^-/, "");
+  view.sort = sortCol ? { col: sortCol, dir: view.sort.startsWith("-") ? -1 : 1 } : null;
+  return view;
+}
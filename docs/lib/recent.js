@@ -0,0 +1,103 @@
+// docs/lib/recent.js
+//
+// Backups the user chose to remember, kept in this browser's IndexedDB: the
+// file itself (ZIP or bare ranch.db) plus what the start screen lists about
+// it. It stays on this device like everything else the viewer does.
+
+const DB_NAME = "bfv";
+const DB_VERSION = 1;
+const STORE = "recentBackups";
+
+// Older entries are dropped past this many, so storage doesn't grow forever
+export const MAX_RECENT_BACKUPS = 10;
+
+let dbPromise = null;
+
+/** The IndexedDB database, opened (and created) once per page. */
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+/** Runs fn(store) in a transaction; resolves to the result of the request it returns once that commits. */
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new DOMException("Transaction aborted.", "AbortError"));
+  });
+}
+
+/** Key of a file: the same file picked again replaces its entry. */
+export const recentId = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+/** The stored entry for file, loaded at loadedAt (millis) from the ranch.db at dbPath. */
+export function recentRecord(file, { schemaLabel, dbPath }, loadedAt) {
+  return {
+    id: recentId(file),
+    fileName: file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+    loadedAt,
+    schemaLabel,
+    dbPath,
+    file,
+  };
+}
+
+/** Stored entries as the list shows them: most recently loaded first, without the file. */
+export function recentList(records) {
+  return records.map(({ file, ...info }) => info).sort((a, b) => b.loadedAt - a.loadedAt);
+}
+
+/** ids of the stored entries past the newest MAX_RECENT_BACKUPS. */
+export function staleRecentIds(records) {
+  return recentList(records)
+    .slice(MAX_RECENT_BACKUPS)
+    .map((r) => r.id);
+}
+
+/**
+ * Remembered backups, most recently loaded first: [{ id, fileName, size,
+ * loadedAt, schemaLabel, dbPath }] (without the file).
+ */
+export async function listRecentBackups() {
+  return recentList(await withStore("readonly", (store) => store.getAll()));
+}
+
+/**
+ * Stores file (or updates its entry) as loaded now, with the schema label and
+ * the path of the ranch.db it opened; keeps the newest MAX_RECENT_BACKUPS.
+ * Rejects with the IndexedDB error (QuotaExceededError when it doesn't fit).
+ */
+export async function rememberBackup(file, info) {
+  await withStore("readwrite", (store) => store.put(recentRecord(file, info, Date.now())));
+  const records = await withStore("readonly", (store) => store.getAll());
+  for (const id of staleRecentIds(records)) await forgetBackup(id);
+}
+
+/** The remembered file as a File again, or null when it's gone. */
+export async function recentBackupFile(id) {
+  const record = await withStore("readonly", (store) => store.get(id));
+  if (!record) return null;
+  return new File([record.file], record.fileName, { lastModified: record.lastModified });
+}
+
+export function forgetBackup(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+export function forgetAllBackups() {
+  return withStore("readwrite", (store) => store.clear());
+}
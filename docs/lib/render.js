@@ -0,0 +1,165 @@
+// docs/lib/render.js
+//
+// HTML builders with no DOM access: escaping, the searchable table's
+// header and rows, bar / line charts and the report's print tables.
+
+import { fmtDate, fmtNumber } from "./format.js";
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * <thead> of a drawTable table. With sortable, headers carry data-col for
+ * the click handler and `sort` ({ col, dir }) marks the active column.
+ */
+export function tableHeadHtml(cols, { photoPathKey = null, extraColTitle = "Photo", sortable = false, sort = null } = {}) {
+  let head = "<thead><tr>";
+  for (const c of cols) {
+    if (!sortable) {
+      head += `<th>${escapeHtml(c)}</th>`;
+      continue;
+    }
+    const arrow = sort?.col === c ? (sort.dir > 0 ? " ▲" : " ▼") : "";
+    head += `<th class="sortable" data-col="${escapeHtml(c)}">${escapeHtml(c)}${arrow}</th>`;
+  }
+  if (photoPathKey) head += `<th>${escapeHtml(extraColTitle)}</th>`;
+  return head + "</tr></thead>";
+}
+
+/**
+ * One <tr> of a drawTable table: row i of the view, cols in order, then the
+ * photo cell (an <img data-photo> for fillPhotos) when photoPathKey is set.
+ */
+export function tableRowHtml(r, i, cols, { photoPathKey = null, clickable = false, rowClass = null } = {}) {
+  const cls = [clickable ? "clickable" : "", rowClass ? rowClass(r) : ""].filter(Boolean).join(" ");
+  let html = `<tr${cls ? ` class="${escapeHtml(cls)}"` : ""}${clickable ? ` data-row="${i}"` : ""}>`;
+  for (const c of cols) html += `<td>${escapeHtml(r[c])}</td>`;
+
+  if (photoPathKey) {
+    const p = r[photoPathKey];
+    if (!p) {
+      html += `<td class="muted">—</td>`;
+    } else {
+      html += `<td><img class="thumb" data-photo="${escapeHtml(p)}" alt="photo"/></td>`;
+    }
+  }
+  return html + "</tr>";
+}
+
+/** Simple horizontal bar chart: items = [{ label, value, href? }]; href links the value. */
+export function barChartHtml(items, format = (v) => fmtNumber(v)) {
+  const max = Math.max(0, ...items.map((it) => Number(it.value) || 0));
+  if (!items.length) return `<div class="muted">Nothing to chart.</div>`;
+
+  let h = `<div class="bars">`;
+  for (const it of items) {
+    const v = Number(it.value) || 0;
+    const pct = max > 0 ? Math.max(0, (v / max) * 100) : 0;
+    h += `
+      <div class="bar-label" title="${escapeHtml(it.label)}">${escapeHtml(it.label)}</div>
+      <div class="bar-track"><div class="bar" style="width:${pct.toFixed(1)}%"></div></div>
+      <div class="bar-value">${
+        it.href ? `<a href="${escapeHtml(it.href)}">${escapeHtml(format(v))}</a>` : escapeHtml(format(v))
+      }</div>`;
+  }
+  return h + "</div>";
+}
+
+export const CHART_COLORS = ["#4a7bd0", "#d0704a", "#4aa36b", "#a34ad0", "#c9a227", "#3bb0c4", "#d04a8a", "#7a7a7a"];
+
+/**
+ * Line chart as inline SVG: x = dates (millis, spaced by time), one line per
+ * series [{ label, values }] with values[i] for dates[i] (null = no point).
+ * Returns the SVG plus a legend; colours cycle through CHART_COLORS.
+ */
+export function lineChartHtml(dates, series, format = (v) => fmtNumber(v)) {
+  if (!dates.length || !series.length) return `<div class="muted">Nothing to chart.</div>`;
+
+  const W = 760;
+  const H = 260;
+  const left = 56;
+  const right = 16;
+  const top = 12;
+  const bottom = 28;
+
+  const minX = Math.min(...dates);
+  const maxX = Math.max(...dates);
+  const x = (i) =>
+    maxX > minX
+      ? left + ((dates[i] - minX) / (maxX - minX)) * (W - left - right)
+      : left + ((i + 0.5) / dates.length) * (W - left - right);
+  const values = series.flatMap((s) => s.values.map((v) => Number(v) || 0));
+  const minY = Math.min(0, ...values);
+  const maxY = Math.max(0, ...values) || (minY < 0 ? 0 : 1);
+  const y = (v) => top + (1 - (v - minY) / (maxY - minY)) * (H - top - bottom);
+
+  let svg = `<svg class="chart" viewBox="0 0 ${W} ${H}" role="img">`;
+  for (let t = 0; t <= 4; t++) {
+    const v = minY + ((maxY - minY) * t) / 4;
+    svg += `<line x1="${left}" x2="${W - right}" y1="${y(v)}" y2="${y(v)}" stroke="#eee"/>`;
+    svg += `<text x="${left - 6}" y="${y(v) + 4}" text-anchor="end" font-size="11" fill="#666">${escapeHtml(format(v))}</text>`;
+  }
+  // Date labels: at most ~8 so they don't overlap
+  const step = Math.max(1, Math.ceil(dates.length / 8));
+  dates.forEach((d, i) => {
+    if (i % step && i !== dates.length - 1) return;
+    svg += `<text x="${x(i)}" y="${H - 8}" text-anchor="middle" font-size="11" fill="#666">${escapeHtml(fmtDate(d))}</text>`;
+  });
+
+  series.forEach((s, si) => {
+    const color = CHART_COLORS[si % CHART_COLORS.length];
+    let d = "";
+    let pen = "M";
+    s.values.forEach((v, i) => {
+      if (v == null) {
+        pen = "M";
+        return;
+      }
+      d += `${pen}${x(i).toFixed(1)},${y(Number(v)).toFixed(1)} `;
+      pen = "L";
+    });
+    svg += `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"/>`;
+    s.values.forEach((v, i) => {
+      if (v == null) return;
+      svg += `<circle cx="${x(i).toFixed(1)}" cy="${y(Number(v)).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(
+        `${s.label} · ${fmtDate(dates[i])}: ${format(Number(v))}`
+      )}</title></circle>`;
+    });
+  });
+  svg += `</svg>`;
+
+  const legend = series
+    .map(
+      (s, si) =>
+        `<span><span class="swatch" style="background:${CHART_COLORS[si % CHART_COLORS.length]}"></span>${escapeHtml(s.label)}</span>`
+    )
+    .join("");
+  return `${svg}<div class="legend">${legend}</div>`;
+}
+
+/**
+ * Plain table for printing (drawTable virtualizes long tables, which would
+ * print blank). cols = [[key, heading]]; photoKey's cells become photos;
+ * writeIn headings add empty columns to fill in by hand.
+ */
+export function reportTableHtml(rows, cols, { photoKey = null, writeIn = [] } = {}) {
+  if (!rows.length) return `<div class="muted">None.</div>`;
+  const head =
+    cols.map(([, heading]) => `<th>${escapeHtml(heading)}</th>`).join("") +
+    writeIn.map((heading) => `<th class="write-in">${escapeHtml(heading)}</th>`).join("");
+  const cell = (r, key) =>
+    key !== photoKey
+      ? `<td>${escapeHtml(r[key])}</td>`
+      : r[key]
+        ? `<td><img class="report-photo" data-photo="${escapeHtml(r[key])}" alt=""/></td>`
+        : `<td></td>`;
+  const body = rows
+    .map((r) => `<tr>${cols.map(([key]) => cell(r, key)).join("")}${writeIn.map(() => "<td></td>").join("")}</tr>`)
+    .join("");
+  return `<table class="report-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
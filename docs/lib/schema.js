@@ -0,0 +1,199 @@
+// docs/lib/schema.js
+//
+// Data access: detect which app version wrote ranch.db, then run every
+// tab's queries through that version's adapter (see detectSchema). Works on
+// any connection with query(sql, params) resolving to row objects: a backup
+// worker in the viewer, sql.js directly in bin/bfv.js and the tests.
+
+export function quoteIdent(name) {
+  return `"${String(name).replaceAll('"', '""')}"`;
+}
+
+export async function tableColumns(tableName, conn) {
+  return (await conn.query(`PRAGMA table_info(${quoteIdent(tableName)})`)).map((c) => c.name);
+}
+
+/** First of `candidates` that exists as a column of tableName (in schema s), or null. */
+export function firstColumn(tableName, candidates, s) {
+  return candidates.find((c) => s.has(tableName, c)) ?? null;
+}
+
+/**
+ * Known schemas, newest first. The first whose `matches` accepts the
+ * backup's fingerprint wins. Versions differ in where feed inventory lives;
+ * columns missing from older tables are selected as NULL by the adapter.
+ */
+export const SCHEMA_VERSIONS = [
+  {
+    id: "v12",
+    label: "V12+ (pooled inventory)",
+    matches: (fp) => fp.tables.has("feed_inventory_pools"),
+    inventory: ["pooled", "legacy"], // pooled first; legacy if pooled is empty
+  },
+  {
+    id: "v11",
+    label: "V11 (inventory batches)",
+    matches: (fp) => fp.tables.has("feed_inventory_lots"),
+    inventory: ["legacy"],
+  },
+  {
+    id: "v10",
+    label: "V10 or older (no feed inventory)",
+    matches: (fp) => ["cattle", "feed_entries", "breeding_exposures"].some((t) => fp.tables.has(t)),
+    inventory: [],
+  },
+];
+
+export const CATTLE_LIST_COLS = ["id", "ear_tag", "status", "sex", "role", "group_name", "cohort", "photo_path"];
+
+export const EXPOSURE_LIST_COLS = [
+  "session_id",
+  "cow_tag",
+  "cow_status",
+  "exposed",
+  "observed_breeding_date",
+  "preg_check_date",
+  "preg_result",
+  "due_date",
+  "notes",
+  "cow_photo_path",
+];
+
+// Where each SCHEMA_VERSIONS inventory kind keeps its txns (see inventory.js)
+export const INVENTORY_SOURCES = [
+  {
+    kind: "pooled",
+    label: "pooled",
+    txns: "feed_inventory_pool_txns",
+    containers: "feed_inventory_pools",
+    fk: "pool_id",
+  },
+  {
+    kind: "legacy",
+    label: "legacy batches",
+    txns: "feed_inventory_txns",
+    containers: "feed_inventory_lots",
+    fk: "lot_id",
+  },
+];
+
+/** PRAGMA user_version plus Map<table, Set<column>> of conn's db. */
+export async function schemaFingerprint(conn) {
+  const userVersion = Number((await conn.query("PRAGMA user_version"))[0]?.user_version) || 0;
+  const tables = new Map();
+  for (const { name } of await conn.query(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`
+  )) {
+    tables.set(name, new Set(await tableColumns(name, conn)));
+  }
+  return { userVersion, tables };
+}
+
+/**
+ * Detects the schema version of conn's db and builds its adapter (conn is
+ * anything with query(sql, params) resolving to row objects: a backup
+ * worker connection in the viewer, sql.js directly in the CLI):
+ * { conn, userVersion, version, label, supported, has(table, col?),
+ *   selectCols(alias, table, cols) (missing columns as NULL), query(sql, params),
+ *   cattle(), cattleRows(), cattleById(id), feedEntries(), breedingSessions(),
+ *   breedingExposures({ sessionId }), inventorySources }.
+ * cattle / feedEntries / breedingExposures return query specs { sql, params }
+ * for renderSqlTable (cattleRows runs it in full); the rest return promises.
+ * A query is null when this schema can't answer it.
+ */
+export async function detectSchema(conn) {
+  const fp = await schemaFingerprint(conn);
+  const query = (sql, params = []) => conn.query(sql, params);
+  const version = SCHEMA_VERSIONS.find((v) => v.matches(fp)) ?? null;
+
+  const has = (table, column = null) =>
+    fp.tables.has(table) && (column == null || fp.tables.get(table).has(column));
+  // names: column or [column, as]; columns this table lacks come back as NULL
+  const cols = (alias, table, names) =>
+    names
+      .map((n) => {
+        const [c, as] = Array.isArray(n) ? n : [n, n];
+        if (!has(table, c)) return `NULL AS ${as}`;
+        return as === c ? `${alias}.${c}` : `${alias}.${c} AS ${as}`;
+      })
+      .join(", ");
+  const orderCol = (alias, table, column) => (has(table, column) ? `${alias}.${column}` : `${alias}.rowid`);
+
+  const label = `${version ? version.label : "unrecognised schema"}${fp.userVersion ? ` · user_version ${fp.userVersion}` : ""}`;
+
+  const cattle =
+    version && has("cattle")
+      ? () => ({
+          sql: `
+            SELECT ${cols("c", "cattle", CATTLE_LIST_COLS)}
+            FROM cattle c
+            ORDER BY ${orderCol("c", "cattle", "ear_tag")} ASC
+          `,
+          params: [],
+        })
+      : null;
+
+  return {
+    conn,
+    userVersion: fp.userVersion,
+    version: version?.id ?? null,
+    label,
+    supported: !!version,
+    tableNames: [...fp.tables.keys()],
+    has,
+    selectCols: cols,
+    query,
+
+    cattle,
+    cattleRows: cattle ? () => query(cattle().sql, cattle().params) : null,
+
+    cattleById:
+      version && has("cattle", "id")
+        ? async (id) => (await query(`SELECT * FROM cattle WHERE id = ?`, [id]))[0] ?? null
+        : null,
+
+    feedEntries:
+      version && has("feed_entries", "feed_lot_id") && has("feed_lots", "id")
+        ? () => ({
+            sql: `
+              SELECT
+                ${cols("fe", "feed_entries", ["date", "group_name"])},
+                ${has("feed_lots", "name") ? "fl.name" : "NULL"} AS feed_type,
+                ${cols("fe", "feed_entries", ["amount"])},
+                ${cols("fl", "feed_lots", ["unit", "cost_per_unit"])}
+              FROM feed_entries fe
+              JOIN feed_lots fl ON fl.id = fe.feed_lot_id
+              ORDER BY ${orderCol("fe", "feed_entries", "date")} DESC
+            `,
+            params: [],
+          })
+        : null,
+
+    breedingSessions:
+      version && has("breeding_sessions") && has("breeding_exposures")
+        ? () =>
+            query(`
+              SELECT *
+              FROM breeding_sessions bs
+              ORDER BY ${orderCol("bs", "breeding_sessions", "start_date")} DESC
+            `)
+        : null,
+
+    breedingExposures:
+      version && has("breeding_exposures")
+        ? ({ sessionId = null } = {}) => ({
+            sql: `
+              SELECT ${cols("be", "breeding_exposures", EXPOSURE_LIST_COLS)}
+              FROM breeding_exposures be
+              ${sessionId != null ? "WHERE be.session_id = ?" : ""}
+              ORDER BY ${orderCol("be", "breeding_exposures", "created_at")} DESC
+            `,
+            params: sessionId != null ? [sessionId] : [],
+          })
+        : null,
+
+    inventorySources: version
+      ? version.inventory.map((kind) => INVENTORY_SOURCES.find((s) => s.kind === kind))
+      : [],
+  };
+}
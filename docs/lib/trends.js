@@ -0,0 +1,75 @@
+// docs/lib/trends.js
+//
+// Trends tab: when each backup was taken and the herd / feed / breeding
+// counts charted over those dates.
+
+import { isOnPlace } from "./cattle.js";
+import { pregStatus } from "./breeding.js";
+import { inventoryBalances, loadInventory, round3 } from "./inventory.js";
+
+export const TREND_METRICS = [
+  { id: "status", label: "Head count by status" },
+  { id: "sex", label: "Head count by sex (on hand)" },
+  { id: "role", label: "Head count by role (on hand)" },
+  { id: "group_name", label: "Head count by group (on hand)" },
+  { id: "onHand", label: "Feed on hand by feed type" },
+  { id: "pregnancy", label: "Pregnancy rate" },
+];
+
+// Dates in backup file names: 2026-10-19, 2026_10_19, 20261019, …
+const BACKUP_NAME_DATE_RE = /(20\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])(?!\d)/;
+
+/**
+ * When a backup was taken: a date in the file name, else the modified time
+ * ranch.db has inside the ZIP. { ms, source } (ms null when neither).
+ */
+export function backupDate(fileName, index) {
+  const m = BACKUP_NAME_DATE_RE.exec(fileName);
+  if (m) return { ms: Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])), source: "file name" };
+
+  const dbEntry = [...(index?.entries() ?? [])].find(([name]) => name.split("/").pop() === "ranch.db")?.[1];
+  const mtime = dbEntry?.date ? new Date(dbEntry.date).getTime() : NaN;
+  if (Number.isFinite(mtime) && mtime > Date.UTC(2000, 0, 1)) return { ms: mtime, source: "ZIP" };
+  return { ms: null, source: "unknown" };
+}
+
+/** The counts Trends charts, read through schema adapter s. */
+export async function trendMetrics(s) {
+  const cattle = s.cattleRows ? await s.cattleRows() : [];
+  const onPlace = cattle.filter(isOnPlace);
+  const countBy = (rows, col) => {
+    const counts = {};
+    for (const r of rows) {
+      const k = r[col] == null || r[col] === "" ? "(none)" : String(r[col]);
+      counts[k] = (counts[k] || 0) + 1;
+    }
+    return counts;
+  };
+
+  // On hand per feed type (unit), summed over storages
+  const onHand = {};
+  const inv = s.inventorySources.length ? await loadInventory(s) : null;
+  for (const g of inv ? inventoryBalances(inv.txns).values() : []) {
+    const k = g.unit ? `${g.feed_type} (${g.unit})` : String(g.feed_type);
+    onHand[k] = round3((onHand[k] || 0) + g.balance);
+  }
+
+  const pregnancy = { pregnant: 0, open: 0, pending: 0, rate: null };
+  const exposures = s.breedingExposures?.();
+  for (const r of exposures ? await s.query(exposures.sql, exposures.params) : []) {
+    if (r.exposed != null && Number(r.exposed) === 0) continue;
+    pregnancy[pregStatus(r.preg_result)]++;
+  }
+  const checked = pregnancy.pregnant + pregnancy.open;
+  if (checked) pregnancy.rate = Math.round((pregnancy.pregnant / checked) * 1000) / 10;
+
+  return {
+    head: cattle.length,
+    status: countBy(cattle, "status"),
+    sex: countBy(onPlace, "sex"),
+    role: countBy(onPlace, "role"),
+    group_name: countBy(onPlace, "group_name"),
+    onHand,
+    pregnancy,
+  };
+}
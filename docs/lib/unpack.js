@@ -0,0 +1,186 @@
+// docs/lib/unpack.js
+//
+// Finding ranch.db in whatever file was opened: a bare SQLite database
+// (ranch.db, *.sqlite), a backup ZIP, or a ZIP of backup ZIPs (how email and
+// cloud drive exports often arrive), any of them password protected
+// (zipcrypto.js). backup-worker.js and bin/open-backup.js pass in their own
+// JSZip.
+
+import { decryptZip, zipEncryption } from "./zipcrypto.js";
+
+// ZIPs inside ZIPs are opened this many levels deep
+const MAX_ZIP_DEPTH = 3;
+
+const SQLITE_MAGIC = "SQLite format 3\0";
+
+const startsWith = (bytes, text) => bytes.length >= text.length && [...text].every((c, i) => bytes[i] === c.charCodeAt(0));
+
+/** bytes is a SQLite database file. */
+export function isSqliteBytes(bytes) {
+  return startsWith(bytes, SQLITE_MAGIC);
+}
+
+/** bytes is a ZIP (an empty one included). */
+export function isZipBytes(bytes) {
+  return startsWith(bytes, "PK\x03\x04") || startsWith(bytes, "PK\x05\x06");
+}
+
+const baseName = (path) => path.split("/").pop();
+const extension = (path) => /\.[^./]+$/.exec(baseName(path))?.[0].toLowerCase() ?? "";
+
+/**
+ * Every ranch.db in bytes (the file opened, named fileName). Resolves to
+ *   { candidates: [{ path, zip, entryName, bytes, size, date }] }
+ * where path says where it is, through any nested ZIPs
+ * ("exports/backup.zip/backup/ranch.db"), and zip is the JSZip holding it
+ * as entryName (null for a bare database, which is bytes); or to
+ *   { need: "password", zip, retry }
+ * when the ZIP at path zip is encrypted and none of passwords opens it.
+ * passwords are [{ zip, password }], each tried on every encrypted ZIP; zip
+ * is the path of the ZIP it was given for, or null for any (bfv.js
+ * --password). retry says one meant for this ZIP didn't open it: one given
+ * for it, or for any ZIP and not already the one that opened another. Throws
+ * an Error saying what the file holds when there's no ranch.db in it.
+ * onZip(path) is called before a nested ZIP is unzipped.
+ */
+export async function findDatabases(bytes, fileName, { JSZip, passwords = [], onZip = null }) {
+  if (isSqliteBytes(bytes)) {
+    return { candidates: [{ path: fileName, zip: null, entryName: null, bytes, size: bytes.length, date: null }] };
+  }
+  if (!isZipBytes(bytes)) {
+    throw new Error(`${fileName} is neither a ZIP nor a SQLite database, so it isn't a Best Farmer backup.`);
+  }
+
+  const candidates = [];
+  const others = []; // paths of the files that aren't ranch.db
+  const problems = []; // nested ZIPs that couldn't be opened, as text
+  const used = new Set(); // passwords that opened a ZIP
+
+  // label names the ZIP in messages; prefix goes before its paths
+  const scan = async (zipBytes, label, prefix, depth) => {
+    const zip = await loadZip(JSZip, zipBytes, label, passwords, used);
+    if (zip.need) return zip;
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+      const path = prefix + entry.name;
+      if (baseName(entry.name) === "ranch.db") {
+        candidates.push({ path, zip, entryName: entry.name, bytes: null, ...entryInfo(entry) });
+      } else if (extension(entry.name) === ".zip" && depth < MAX_ZIP_DEPTH) {
+        onZip?.(path);
+        let need;
+        try {
+          need = await scan(await entry.async("uint8array"), path, `${path}/`, depth + 1);
+        } catch (err) {
+          problems.push(`${path} couldn't be opened (${err.message || err})`);
+          continue;
+        }
+        if (need) return need;
+      } else {
+        others.push(path);
+      }
+    }
+    return null;
+  };
+
+  const need = await scan(bytes, fileName, "", 0);
+  if (need) return need;
+  if (!candidates.length) throw new Error(describeNoDatabase(fileName, others, problems));
+  return { candidates };
+}
+
+/**
+ * JSZip of zipBytes, decrypted with the first of passwords that opens it
+ * when it's encrypted (added to used).
+ */
+async function loadZip(JSZip, zipBytes, label, passwords, used) {
+  const encryption = zipEncryption(zipBytes);
+  if (encryption === "aes") {
+    throw new Error(
+      `${label} is encrypted with AES, which the viewer can't open. Extract it with your archive tool (7-Zip, WinZip, …) and open the ranch.db inside.`
+    );
+  }
+  if (encryption === "zip64") {
+    throw new Error(`${label} is a password-protected ZIP64 archive, which the viewer can't open. Extract it and open the ranch.db inside.`);
+  }
+  if (encryption) {
+    let opened = null;
+    for (const { password } of passwords) {
+      opened = decryptZip(zipBytes, password);
+      if (opened) {
+        used.add(password);
+        break;
+      }
+    }
+    if (!opened) {
+      const retry = passwords.some((p) => p.zip === label || (p.zip == null && !used.has(p.password)));
+      return { need: "password", zip: label, retry };
+    }
+    zipBytes = opened;
+  }
+  try {
+    return await JSZip.loadAsync(zipBytes);
+  } catch (err) {
+    throw new Error(`${label} isn't a readable ZIP (${err.message || err}).`);
+  }
+}
+
+/** { size, date } of a JSZip entry: size uncompressed when the ZIP records it, date as millis. */
+function entryInfo(entry) {
+  return {
+    size: entry._data?.uncompressedSize ?? null,
+    date: entry.date ? new Date(entry.date).getTime() : null,
+  };
+}
+
+/** The error for a ZIP without ranch.db: what it holds instead. */
+function describeNoDatabase(fileName, others, problems) {
+  const parts = [];
+  if (!others.length && !problems.length) {
+    parts.push(`${fileName} is an empty ZIP.`);
+  } else if (others.length) {
+    // Counted by extension, most common first: "12 .jpg files, 2 .pdf files, notes.txt"
+    const byExt = new Map();
+    for (const path of others) {
+      const ext = extension(path) || "(no extension)";
+      byExt.set(ext, [...(byExt.get(ext) ?? []), path]);
+    }
+    const kinds = [...byExt.entries()]
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([ext, paths]) => (paths.length === 1 ? paths[0] : `${paths.length} ${ext} files`));
+    const shown = kinds.length > 6 ? [...kinds.slice(0, 6), "…"] : kinds;
+    parts.push(`No ranch.db in ${fileName}. It holds ${others.length} file${others.length === 1 ? "" : "s"}: ${shown.join(", ")}.`);
+    const databases = others.filter((path) => [".db", ".sqlite", ".sqlite3"].includes(extension(path)));
+    if (databases.length) {
+      parts.push(`${databases.join(", ")} ${databases.length === 1 ? "is a database" : "are databases"} but not ranch.db; extract one and open it on its own to look inside.`);
+    }
+  } else {
+    parts.push(`No ranch.db in ${fileName}.`);
+  }
+  parts.push(...problems.map((p) => `${p}.`));
+  return parts.join(" ");
+}
+
+/**
+ * The candidate (findDatabases()) to open: the one at path, or the only one;
+ * null when there are several and no path to pick one.
+ */
+export function pickDatabase(candidates, path = null) {
+  if (path == null) return candidates.length === 1 ? candidates[0] : null;
+  const picked = candidates.find((c) => c.path === path);
+  if (!picked) throw new Error(`No ${path} in this backup (it has ${candidates.map((c) => c.path).join(", ")}).`);
+  return picked;
+}
+
+/** Bytes of a candidate's database; onPercent(0–100) is called while it unzips. */
+export async function databaseBytes(candidate, onPercent = null) {
+  if (!candidate.zip) return candidate.bytes;
+  return candidate.zip.file(candidate.entryName).async("uint8array", (meta) => onPercent?.(meta.percent));
+}
+
+/** [[path, { size, date }]] for every file in zip (entryInfo()). */
+export function zipFileList(zip) {
+  return Object.values(zip.files)
+    .filter((entry) => !entry.dir)
+    .map((entry) => [entry.name, entryInfo(entry)]);
+}
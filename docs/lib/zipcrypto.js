@@ -0,0 +1,170 @@
+// docs/lib/zipcrypto.js
+//
+// Password-protected ZIPs. JSZip refuses encrypted entries, so a ZIP using
+// the traditional PKWARE encryption ("ZipCrypto", what Windows, `zip -e`
+// and most archive tools write by default) is rewritten here as the same
+// ZIP without it: entries stay compressed and JSZip loads the result as
+// usual. AES-encrypted ZIPs (WinZip / 7-Zip's AES-256 option) and ZIP64
+// archives aren't decrypted.
+
+const SIG_LOCAL = 0x04034b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_END = 0x06054b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_STRONG_ENCRYPTION = 0x0040;
+const METHOD_AES = 99;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+// ZipCrypto's keys step through the CRC-32 table
+const crcByte = (crc, b) => (crc >>> 8) ^ CRC_TABLE[(crc ^ b) & 0xff];
+
+/**
+ * Central directory of the ZIP in bytes: { zip64, entries: [{ flags, method,
+ * crc, compressedSize, uncompressedSize, offset, header }] } (header = the raw
+ * central directory record), or null when bytes has no end record.
+ */
+function centralDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // The end record is the last thing in the file, before a comment of up to 64 KB
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIG_END) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return null;
+
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) return { zip64: true, entries: [] };
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== SIG_CENTRAL) throw new Error("Corrupt ZIP: bad central directory.");
+    const length = 46 + view.getUint16(pos + 28, true) + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+    entries.push({
+      flags: view.getUint16(pos + 8, true),
+      method: view.getUint16(pos + 10, true),
+      crc: view.getUint32(pos + 16, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      uncompressedSize: view.getUint32(pos + 24, true),
+      offset: view.getUint32(pos + 42, true),
+      header: bytes.subarray(pos, pos + length),
+    });
+    pos += length;
+  }
+  const zip64 = entries.some((e) => [e.compressedSize, e.uncompressedSize, e.offset].includes(0xffffffff));
+  return { zip64, entries };
+}
+
+/**
+ * How the ZIP in bytes is encrypted: null (not at all), "zipcrypto" (which
+ * decryptZip() handles), or "aes" / "zip64" (which it doesn't).
+ */
+export function zipEncryption(bytes) {
+  const dir = centralDirectory(bytes);
+  const encrypted = dir?.entries.filter((e) => e.flags & FLAG_ENCRYPTED) ?? [];
+  if (!encrypted.length) return null;
+  if (encrypted.some((e) => e.method === METHOD_AES || e.flags & FLAG_STRONG_ENCRYPTION)) return "aes";
+  return dir.zip64 ? "zip64" : "zipcrypto";
+}
+
+/** The three ZipCrypto keys, set up from password (UTF-8). */
+function zipCryptoKeys(password) {
+  const keys = new Uint32Array([0x12345678, 0x23456789, 0x34567890]);
+  for (const b of new TextEncoder().encode(password)) updateKeys(keys, b);
+  return keys;
+}
+
+function updateKeys(keys, b) {
+  keys[0] = crcByte(keys[0], b);
+  keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1;
+  keys[2] = crcByte(keys[2], keys[1] >>> 24);
+}
+
+/** Decrypts data in place with keys (advanced as it goes). */
+function decryptBytes(keys, data) {
+  for (let i = 0; i < data.length; i++) {
+    const t = (keys[2] | 2) & 0xffff;
+    data[i] ^= (Math.imul(t, t ^ 1) >>> 8) & 0xff;
+    updateKeys(keys, data[i]);
+  }
+}
+
+/**
+ * The ZipCrypto ZIP in bytes rewritten without encryption, or null when
+ * password doesn't open it. Every encrypted entry starts with a 12-byte
+ * header whose last byte checks the password (a wrong one slips past 1 time
+ * in 256 per entry).
+ */
+export function decryptZip(bytes, password) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { entries } = centralDirectory(bytes);
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    if (view.getUint32(e.offset, true) !== SIG_LOCAL) throw new Error("Corrupt ZIP: bad local header.");
+    const nameLength = view.getUint16(e.offset + 26, true);
+    const extraLength = view.getUint16(e.offset + 28, true);
+    const start = e.offset + 30 + nameLength + extraLength;
+    let data = bytes.subarray(start, start + e.compressedSize);
+
+    if (e.flags & FLAG_ENCRYPTED) {
+      data = data.slice();
+      decryptBytes(zipCryptoKeys(password), data);
+      // With a data descriptor the CRC isn't known up front, so the check is against the time
+      const check = e.flags & FLAG_DATA_DESCRIPTOR ? e.header[13] : e.crc >>> 24;
+      if (data[11] !== check) return null;
+      data = data.subarray(12);
+    }
+
+    // Local header from the central one: no encryption, sizes and CRC up front
+    const flags = e.flags & ~(FLAG_ENCRYPTED | FLAG_DATA_DESCRIPTOR);
+    const head = new Uint8Array(30 + nameLength + extraLength);
+    const h = new DataView(head.buffer);
+    h.setUint32(0, SIG_LOCAL, true);
+    head.set(e.header.subarray(6, 8), 4); // version needed
+    h.setUint16(6, flags, true);
+    head.set(e.header.subarray(10, 16), 8); // method, time, date
+    h.setUint32(14, e.crc, true);
+    h.setUint32(18, data.length, true);
+    h.setUint32(22, e.uncompressedSize, true);
+    head.set(bytes.subarray(e.offset + 26, start), 26); // name and extra lengths, name, extra
+    local.push(head, data);
+
+    const record = e.header.slice();
+    const r = new DataView(record.buffer);
+    r.setUint16(8, flags, true);
+    r.setUint32(20, data.length, true);
+    r.setUint32(42, offset, true);
+    central.push(record);
+    offset += head.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new Uint8Array(22);
+  const v = new DataView(end.buffer);
+  v.setUint32(0, SIG_END, true);
+  v.setUint16(8, entries.length, true);
+  v.setUint16(10, entries.length, true);
+  v.setUint32(12, centralSize, true);
+  v.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + end.length);
+  let pos = 0;
+  for (const part of [...local, ...central, end]) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
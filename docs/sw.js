@@ -0,0 +1,82 @@
+// docs/sw.js
+//
+// Service worker: keeps the viewer's own files in Cache Storage so it opens
+// and loads backups with no network at all (the barn). Backups themselves are
+// never fetched or cached; they're read from the file picker as before.
+//
+// Files are served from the cache (the network only if one is missing):
+// installing this worker caches every one of APP_FILES under CACHE, and
+// activating it deletes the caches of earlier versions. A release changes CACHE (which changes this file), so the
+// browser installs the new worker with the new files; open pages then get
+// { type: "updated" } (app.js shows it in the status line; the new version is
+// used after a reload).
+
+const CACHE = "bfv-v2";
+
+const APP_FILES = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./lib/attachments.js",
+  "./lib/backup.js",
+  "./lib/breeding.js",
+  "./lib/cattle.js",
+  "./lib/compare.js",
+  "./lib/feed.js",
+  "./lib/filter.js",
+  "./lib/format.js",
+  "./lib/health.js",
+  "./lib/inventory.js",
+  "./lib/link.js",
+  "./lib/recent.js",
+  "./lib/render.js",
+  "./lib/schema.js",
+  "./lib/trends.js",
+  "./lib/unpack.js",
+  "./lib/zipcrypto.js",
+  "./backup-worker.js",
+  "./jszip.min.js",
+  "./sql-wasm.js",
+  "./sql-wasm.wasm",
+  "./manifest.webmanifest",
+  "./icon-192.png",
+  "./icon-512.png",
+];
+const APP_URLS = new Set(APP_FILES.map((f) => new URL(f, self.registration.scope).href));
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(APP_FILES.map((f) => new Request(f, { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    (async () => {
+      const old = (await caches.keys()).filter((name) => name.startsWith("bfv-") && name !== CACHE);
+      await Promise.all(old.map((name) => caches.delete(name)));
+      await self.clients.claim();
+      // A first install has nothing to replace
+      if (!old.length) return;
+      for (const client of await self.clients.matchAll({ includeUncontrolled: true })) {
+        client.postMessage({ type: "updated" });
+      }
+    })()
+  );
+});
+
+self.addEventListener("fetch", (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== "GET" || !APP_URLS.has(url.origin + url.pathname)) return;
+
+  e.respondWith(
+    caches.open(CACHE).then(async (cache) => {
+      // ?query strings (e.g. from "Add to Home screen") don't matter
+      const cached = await cache.match(e.request, { ignoreSearch: true });
+      return cached ?? fetch(e.request);
+    })
+  );
+});
@@ -0,0 +1,118 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+
+import { openBackup } from "../bin/open-backup.js";
+import { attachmentList, attachmentRefText, attachmentRefs, isRanchDbFile, mimeForPath } from "../docs/lib/attachments.js";
+import { runHealthChecks } from "../docs/lib/health.js";
+import { writeBackupZip } from "./fixtures.js";
+
+describe("backup ZIP", () => {
+  let file;
+  let backup;
+  before(async () => {
+    file = await writeBackupZip();
+    backup = await openBackup(file);
+  });
+  after(() => {
+    backup.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test("finds ranch.db in a folder and indexes every file", () => {
+    assert.equal(backup.dbPath, "backup/ranch.db");
+    assert.equal(backup.schema.version, "v12");
+    assert.deepEqual(
+      [...backup.zipIndex.keys()].sort(),
+      ["backup/ranch.db", "orphan.png", "photos/101.jpg", "photos/201.jpg", "photos/202-preg.jpg", "receipts/vet.pdf"]
+    );
+    assert.equal(backup.zipIndex.get("receipts/vet.pdf").size, 9);
+  });
+
+  test("attachment references from every *_path column", async () => {
+    const refs = await attachmentRefs(backup.schema);
+    assert.deepEqual(refs.map(attachmentRefText), [
+      "breeding_exposures #5 (cow_tag 202) · cow_photo_path",
+      "cattle #1 (ear_tag 101) · photo_path",
+      "cattle #4 (ear_tag 201) · photo_path",
+      "cattle #5 (ear_tag 202) · photo_path",
+    ]);
+  });
+
+  test("attachment list by folder, with what references each file", async () => {
+    const list = await attachmentList(backup.schema, backup.zipIndex);
+    assert.deepEqual(
+      list.map((a) => [a.folder, a.name, a.kind, a.refs.length]),
+      [
+        ["(root)", "orphan.png", "image", 0],
+        ["photos", "101.jpg", "image", 1],
+        ["photos", "201.jpg", "image", 1],
+        ["photos", "202-preg.jpg", "image", 1],
+        ["receipts", "vet.pdf", "pdf", 0],
+      ]
+    );
+  });
+
+  test("health check warns about missing and unreferenced files", async () => {
+    const results = await runHealthChecks(backup.schema, backup.zipIndex);
+    const byId = Object.fromEntries(results.map((r) => [r.id, r]));
+    assert.deepEqual(
+      results.map((r) => [r.id, r.level]),
+      [
+        ["integrity", "ok"],
+        ["foreign_keys", "ok"],
+        ["missing_files", "warn"],
+        ["unreferenced_files", "warn"],
+        ["feed_lots", "ok"],
+        ["negative_inventory", "warn"],
+        ["exposure_cattle", "warn"],
+      ]
+    );
+    assert.deepEqual(
+      byId.missing_files.rows.map((r) => r.path),
+      ["photos/missing.jpg"]
+    );
+    assert.deepEqual(
+      byId.unreferenced_files.rows.map((r) => r.path).sort(),
+      ["orphan.png", "receipts/vet.pdf"]
+    );
+    assert.equal(byId.negative_inventory.summary, "0 below zero now; 1 went negative at some point.");
+    assert.deepEqual(
+      byId.negative_inventory.rows.map((r) => [r.storage, r.feed_type, r.balance, r.lowest, r.first_negative]),
+      [["Shed", "Mineral", 5, -10, "2026-09-21"]]
+    );
+    assert.deepEqual(
+      byId.exposure_cattle.rows.map((r) => r.cow_tag),
+      ["999"]
+    );
+  });
+
+  test("file types", () => {
+    assert.equal(mimeForPath("photos/a.JPG"), "image/jpeg");
+    assert.equal(mimeForPath("receipts/vet.pdf"), "application/pdf");
+    assert.ok(isRanchDbFile("backup/ranch.db-wal"));
+    assert.ok(!isRanchDbFile("backup/ranch.jpg"));
+  });
+});
+
+describe("health check on a V10 backup without inventory", () => {
+  let file;
+  let backup;
+  before(async () => {
+    file = await writeBackupZip({ schema: "v10", drop: ["feed_lots"] }, { dbPath: "ranch.db" });
+    backup = await openBackup(file);
+  });
+  after(() => {
+    backup.close();
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test("skips the checks it has no tables for", async () => {
+    const results = await runHealthChecks(backup.schema, backup.zipIndex);
+    assert.deepEqual(
+      results.filter((r) => r.level === "skip").map((r) => r.id),
+      ["feed_lots", "negative_inventory"]
+    );
+  });
+});
@@ -0,0 +1,164 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { backupFiles, buildRanchDb, encryptedZipBytes, writeBackupZip, writeTempFile, zipBytes } from "./fixtures.js";
+
+const BFV = fileURLToPath(new URL("../bin/bfv.js", import.meta.url));
+
+/** Runs bfv; resolves to { code, stdout, stderr } whatever the exit code. */
+function bfv(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BFV, ...args], (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const INVENTORY_CSV = [
+  "storage,feed_type,unit,on_hand,lowest_balance,went_negative",
+  "Barn,Hay,bale,50,0,",
+  "Shed,Hay,bale,20,0,",
+  "Shed,Mineral,lb,5,-10,yes (2026-09-21)",
+  "",
+].join("\r\n");
+
+describe("bfv", () => {
+  const zips = {};
+  before(async () => {
+    zips.v12 = await writeBackupZip({ schema: "v12" });
+    zips.v11 = await writeBackupZip({ schema: "v11" });
+    zips.v10 = await writeBackupZip({ schema: "v10" });
+    zips.bare = writeTempFile("ranch.db", await buildRanchDb());
+    zips.locked = writeTempFile("locked.zip", encryptedZipBytes(await backupFiles(), "moo"));
+    zips.two = writeTempFile(
+      "two.zip",
+      await zipBytes({ "a.zip": await zipBytes(await backupFiles()), "b.zip": await zipBytes(await backupFiles({ schema: "v11" })) })
+    );
+  });
+  after(() => {
+    for (const file of Object.values(zips)) fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test("info lists the schema and rows per tab", async () => {
+    const { code, stdout } = await bfv("info", zips.v12);
+    assert.equal(code, 0);
+    assert.match(stdout, /^ranch\.db: {2}backup\/ranch\.db$/m);
+    assert.match(stdout, /^schema: {4}V12\+ \(pooled inventory\) · user_version 12$/m);
+    assert.match(stdout, /^files: {5}6 in the ZIP$/m);
+    assert.match(stdout, /^cattle {5}6$/m);
+    assert.match(stdout, /^inventory {2}3$/m);
+    assert.match(stdout, /^exposures {2}6$/m);
+  });
+
+  test("inventory CSV is the same for pooled and legacy backups", async () => {
+    for (const zip of [zips.v12, zips.v11]) {
+      const { code, stdout } = await bfv("export", zip, "--tab", "inventory", "--format", "csv");
+      assert.equal(code, 0);
+      assert.equal(stdout, INVENTORY_CSV);
+    }
+  });
+
+  test("inventory --as-of counts txns through the end of that day", async () => {
+    const { stdout } = await bfv("export", zips.v12, "--tab", "inventory", "--format", "json", "--as-of", "2026-09-21");
+    assert.deepEqual(
+      JSON.parse(stdout).map((r) => [r.storage, r.feed_type, r.on_hand]),
+      [
+        ["Barn", "Hay", 60],
+        ["Shed", "Mineral", -10],
+      ]
+    );
+  });
+
+  test("table output formats dates; JSON keeps the raw values", async () => {
+    const table = await bfv("export", zips.v12, "--tab", "exposures", "--session", "2");
+    assert.equal(table.code, 0);
+    const lines = table.stdout.trimEnd().split("\n");
+    assert.match(lines[0], /^session_id {2}cow_tag {2}cow_status/);
+    assert.equal(lines.length, 4);
+    assert.match(lines[3], /^2 +202 +active +1 +2026-02-03 +2026-05-04 +bred +2026-11-30 +AI +photos\/202-preg\.jpg$/);
+
+    const json = JSON.parse((await bfv("export", zips.v12, "--tab", "exposures", "--session", "2", "--format", "json")).stdout);
+    assert.equal(json[1].due_date, Date.UTC(2026, 10, 30));
+  });
+
+  test("--out writes the file instead of standard output", async () => {
+    const out = path.join(path.dirname(zips.v12), "breeding.csv");
+    const { code, stdout } = await bfv("export", zips.v12, "--tab", "breeding", "--format", "csv", "--out", out);
+    assert.equal(code, 0);
+    assert.equal(stdout, "");
+    const lines = fs.readFileSync(out, "utf8").split("\r\n");
+    assert.match(lines[0], /^id,group_name,start_date,end_date,gestation_days,bull,exposed,preg_checked,pregnant,open,pending,conception_rate,/);
+    assert.equal(lines.length, 4);
+  });
+
+  test("a bare ranch.db", async () => {
+    const { code, stdout } = await bfv("info", zips.bare);
+    assert.equal(code, 0);
+    assert.match(stdout, /^ranch\.db: {2}ranch\.db$/m);
+    assert.match(stdout, /^files: {5}none \(bare database\)$/m);
+  });
+
+  test("--password and --db", async () => {
+    const locked = await bfv("info", zips.locked);
+    assert.equal(locked.code, 1);
+    assert.equal(locked.stderr, "bfv: locked.zip is password protected. Give it with --password.\n");
+    assert.match((await bfv("info", zips.locked, "--password", "moo")).stdout, /^schema: {4}V12\+/m);
+
+    const two = await bfv("info", zips.two);
+    assert.equal(two.code, 1);
+    assert.equal(two.stderr, "bfv: two.zip holds 2 ranch.db files: a.zip/backup/ranch.db, b.zip/backup/ranch.db. Pick one with --db.\n");
+    const picked = await bfv("info", zips.two, "--db", "b.zip/backup/ranch.db");
+    assert.match(picked.stdout, /^ranch\.db: {2}b\.zip\/backup\/ranch\.db$/m);
+    assert.match(picked.stdout, /^schema: {4}V11/m);
+  });
+
+  test("a tab the backup's schema doesn't have", async () => {
+    const { code, stderr } = await bfv("export", zips.v10, "--tab", "inventory");
+    assert.equal(code, 1);
+    assert.equal(stderr, "bfv: The inventory tab isn't available in this backup (V10 or older (no feed inventory) · user_version 10).\n");
+  });
+
+  test("usage errors exit 2", async () => {
+    for (const args of [
+      ["export", zips.v12],
+      ["export", zips.v12, "--tab", "calves"],
+      ["export", zips.v12, "--tab", "feed", "--format", "xml"],
+      ["export", zips.v12, "--tab", "inventory", "--as-of", "21/09/2026"],
+      ["export", zips.v12, "--tab", "exposures", "--session", "abc"],
+      ["export", zips.v12, "--tab", "exposures", "--session", "2.5"],
+      ["export", zips.v12, "--tab", "cattle", "--session", "2"],
+      ["export", zips.v12, "--tab", "feed", "--as-of", "2026-09-21"],
+      ["info", zips.v12, "--session", "2"],
+      ["frobnicate", zips.v12],
+      ["info", zips.v12, "--bogus"],
+    ]) {
+      const { code, stderr } = await bfv(...args);
+      assert.equal(code, 2, args.join(" "));
+      assert.match(stderr, /Run bfv --help for usage\.\n$/);
+    }
+  });
+
+  test("--session takes a whole number and only goes with exposures", async () => {
+    let { code, stderr } = await bfv("export", zips.v12, "--tab", "exposures", "--session", "abc", "--format", "csv");
+    assert.equal(code, 2);
+    assert.equal(stderr, 'bfv: --session must be a session id (a whole number), not "abc".\nRun bfv --help for usage.\n');
+    ({ code, stderr } = await bfv("export", zips.v12, "--tab", "inventory", "--session", "2"));
+    assert.equal(stderr, "bfv: --session only goes with export --tab exposures.\nRun bfv --help for usage.\n");
+
+    const { stdout } = await bfv("export", zips.v12, "--tab", "exposures", "--session", "2", "--format", "json");
+    assert.deepEqual(
+      JSON.parse(stdout).map((r) => r.cow_tag),
+      ["999", "202"]
+    );
+  });
+
+  test("a file that isn't there", async () => {
+    const { code, stderr } = await bfv("info", path.join(path.dirname(zips.v12), "nope.zip"));
+    assert.equal(code, 1);
+    assert.match(stderr, /^bfv: Can't read .*nope\.zip: no such file\n$/);
+  });
+});
@@ -0,0 +1,168 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  breedingSessionRows,
+  breedingSessionStats,
+  calvingEntries,
+  calvingIcs,
+  calvingStatus,
+  currentPregnancies,
+  pregStatus,
+} from "../docs/lib/breeding.js";
+import { headCountsByGroup } from "../docs/lib/cattle.js";
+import { feedCostSummary } from "../docs/lib/feed.js";
+import { DAY, NOW, daysAgo, openRanchDb } from "./fixtures.js";
+
+describe("breeding", () => {
+  const opened = [];
+  const open = async (options) => {
+    const s = await openRanchDb(options);
+    opened.push(s);
+    return s;
+  };
+  after(() => opened.forEach((s) => s.close()));
+
+  test("pregStatus reads free-text results", () => {
+    for (const v of ["Pregnant", "preg 60d", "P", "bred", "Yes", "settled"]) assert.equal(pregStatus(v), "pregnant", v);
+    for (const v of ["Open", "o", "no", "neg", "Not pregnant", "non-preg", "nonpreg", "dry"]) assert.equal(pregStatus(v), "open", v);
+    for (const v of [null, "", "  ", "recheck", "ok", "other", "normal", "none", "nope", "not sure", "not checked"]) {
+      assert.equal(pregStatus(v), "pending", v);
+    }
+  });
+
+  test("session stats leave out cows that weren't exposed", async () => {
+    const stats = await breedingSessionStats(await open());
+    assert.deepEqual(stats.get(1), {
+      exposed: 3,
+      preg_checked: 2,
+      pregnant: 1,
+      open: 1,
+      pending: 1,
+      conception_rate: 50,
+      first_bred_date: daysAgo(290),
+      last_bred_date: daysAgo(280),
+      first_due_date: NOW + 5 * DAY,
+      last_due_date: NOW + 5 * DAY,
+    });
+    assert.equal(stats.get(2).exposed, 2);
+    assert.equal(stats.get(2).conception_rate, 50);
+  });
+
+  test("session rows are newest first, sessions without exposures get empty stats", async () => {
+    const rows = await breedingSessionRows(await open());
+    assert.deepEqual(
+      rows.map((r) => [r.id, r.group_name, r.exposed, r.pregnant]),
+      [
+        [2, "Heifers", 2, 1],
+        [1, "Cows", 3, 1],
+      ]
+    );
+
+    const none = await open({ drop: ["breeding_exposures"] });
+    assert.equal(none.breedingSessions, null);
+  });
+
+  test("expected calvings: due dates, or breeding date + gestation", async () => {
+    const entries = await calvingEntries(await open());
+    assert.deepEqual(
+      entries.map((e) => [e.cow_tag, e.due, e.derived, e.session, e.photo]),
+      [
+        ["101", daysAgo(7), true, "Cows (#1)", "photos/101.jpg"],
+        ["103", NOW + 5 * DAY, false, "Cows (#1)", null],
+        ["202", NOW + 60 * DAY, false, "Heifers (#2)", "photos/202-preg.jpg"],
+      ]
+    );
+    assert.deepEqual(
+      entries.map((e) => calvingStatus(e.due, NOW)),
+      ["overdue", "soon", "later"]
+    );
+    assert.equal(calvingStatus(daysAgo(31), NOW), "past");
+  });
+
+  test("expected calvings without a sessions table use the default gestation", async () => {
+    const entries = await calvingEntries(await open({ drop: ["breeding_sessions"] }));
+    assert.equal(entries[0].session, "#1");
+    assert.equal(entries[0].due, daysAgo(290) + 283 * DAY);
+    assert.deepEqual(await calvingEntries(await open({ empty: true })), []);
+  });
+
+  test("calving calendar as .ics", async () => {
+    const ics = calvingIcs(await calvingEntries(await open()), "backup, Oct.zip");
+    const lines = ics.split("\r\n");
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("X-WR-CALNAME:Calving – backup\\, Oct.zip"));
+    assert.equal(lines.filter((l) => l === "BEGIN:VEVENT").length, 3);
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20260924"));
+    assert.ok(lines.includes("DTEND;VALUE=DATE:20260925"));
+    assert.ok(lines.includes("SUMMARY:Due: cow 101 (est.)"));
+    assert.ok(lines.includes("DESCRIPTION:Session Cows (#1)\\nNot preg-checked"));
+    assert.ok(lines.every((l) => l.length <= 75));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  });
+
+  test("current pregnancies: each cow's latest exposure, sold cows and calvings left out", async () => {
+    const s = await open();
+    const byStatus = ({ rows }) => rows.map((r) => `${r.cow_tag} ${r.preg_status}`);
+
+    const now = await currentPregnancies(s, NOW);
+    assert.deepEqual(byStatus(now), ["999 open", "202 pregnant", "102 open", "101 pregnant"]);
+    assert.equal(now.calved, 0);
+    assert.equal(now.rows[1].due_date, NOW + 60 * DAY);
+
+    // 101 was due (bred + 283 days) a week before NOW: calved by 40 days later
+    const later = await currentPregnancies(s, NOW + 40 * DAY);
+    assert.deepEqual(byStatus(later), ["999 open", "202 pregnant", "102 open"]);
+    assert.equal(later.calved, 1);
+  });
+});
+
+describe("cattle and feed", () => {
+  const opened = [];
+  after(() => opened.forEach((s) => s.close()));
+
+  test("head counts leave out sold / dead animals", async () => {
+    const s = await openRanchDb();
+    opened.push(s);
+    assert.deepEqual(
+      [...(await headCountsByGroup(s))].sort(),
+      [
+        ["Bulls", 1],
+        ["Cows", 2],
+        ["Heifers", 2],
+      ]
+    );
+  });
+
+  test("feed cost over the last week", async () => {
+    const s = await openRanchDb();
+    opened.push(s);
+    const summary = await feedCostSummary(s, daysAgo(7), NOW, "week");
+    assert.equal(summary.days, 7);
+    // 7 days × 2 bales × 45.50, one 0.80 lb of mineral, unpriced cubes
+    assert.deepEqual(summary.totals, { entries: 9, cost: 637.8, unpriced: 1 });
+    // A row per group and unit: bales and pounds don't add up
+    assert.deepEqual(summary.byGroup, [
+      { group_name: "Cows", unit: "bale", entries: 7, quantity: 14, cost: 637, head: 2, cost_per_head: 318.5, cost_per_head_day: 45.5 },
+      { group_name: "Cows", unit: "lb", entries: 1, quantity: 1, cost: 0.8, head: 2, cost_per_head: 0.4, cost_per_head_day: 0.057 },
+      { group_name: "Heifers", unit: "lb", entries: 1, quantity: 5, cost: 0, head: 2, cost_per_head: 0, cost_per_head_day: 0 },
+    ]);
+    assert.deepEqual(
+      summary.byType.map((r) => [r.feed_type, r.quantity, r.cost]),
+      [
+        ["Hay", 14, 637],
+        ["Mineral", 1, 0.8],
+        ["Cubes", 5, 0],
+      ]
+    );
+    // Weeks start on Monday: NOW (Thu 2026-10-01) is in the week of 09-28
+    assert.deepEqual(
+      summary.byPeriod.map((r) => [r.week_of, r.unit, r.entries, r.quantity, r.cost]),
+      [
+        ["2026-09-21", "bale", 4, 8, 364],
+        ["2026-09-28", "bale", 3, 6, 273],
+        ["2026-09-28", "lb", 2, 6, 0.8],
+      ]
+    );
+  });
+});
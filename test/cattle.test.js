@@ -0,0 +1,80 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { HERD_DIMENSIONS, ON_PLACE_FILTER, herdCounts, herdCrossTab, isOnPlace } from "../docs/lib/cattle.js";
+import { columnKinds, equalsTerm, filterRows, parseFilterQuery } from "../docs/lib/filter.js";
+import { mapDateColumns } from "../docs/lib/format.js";
+import { openRanchDb } from "./fixtures.js";
+
+describe("herd overview counts", () => {
+  let s;
+  let cattle;
+  before(async () => {
+    s = await openRanchDb();
+    cattle = await s.cattleRows();
+  });
+  after(() => s.close());
+
+  test("isOnPlace leaves out inactive statuses, whatever their case", () => {
+    assert.equal(isOnPlace({ status: "active" }), true);
+    assert.equal(isOnPlace({ status: null }), true);
+    assert.equal(isOnPlace({ status: "Sold" }), false);
+    assert.deepEqual(cattle.filter(isOnPlace).map((r) => r.ear_tag), ["101", "102", "201", "202", "B1"]);
+  });
+
+  test("counts per value, most first, case-insensitive, empty cells as null", () => {
+    assert.deepEqual(herdCounts(cattle, "status"), [
+      { value: "active", head: 5 },
+      { value: "sold", head: 1 },
+    ]);
+    assert.deepEqual(herdCounts(cattle.filter(isOnPlace), "group_name"), [
+      { value: "Cows", head: 2 },
+      { value: "Heifers", head: 2 },
+      { value: "Bulls", head: 1 },
+    ]);
+    assert.deepEqual(herdCounts([{ role: "cow" }, { role: "" }, { role: null }], "role"), [
+      { value: null, head: 2 },
+      { value: "cow", head: 1 },
+    ]);
+  });
+
+  test("cross-tab cells add up to the row and column counts", () => {
+    const { rows, cols, cells } = herdCrossTab(cattle, "group_name", "sex");
+    assert.deepEqual(
+      rows.map((r) => r.value),
+      ["Cows", "Heifers", "Bulls"]
+    );
+    assert.deepEqual(
+      cols.map((c) => c.value),
+      ["F", "M"]
+    );
+    assert.deepEqual(cells, [
+      [3, 0],
+      [2, 0],
+      [0, 1],
+    ]);
+  });
+
+  test("each count's search finds the rows it counts", () => {
+    const cols = Object.keys(cattle[0]);
+    const rows = mapDateColumns(cattle, cols);
+    const table = { cols, kindOf: columnKinds(rows) };
+    const found = (q) => {
+      const { terms, unknownCols } = parseFilterQuery(q, cols);
+      assert.deepEqual(unknownCols, [], q);
+      return filterRows(rows, terms, table).length;
+    };
+
+    const onPlace = cattle.filter(isOnPlace);
+    assert.equal(found(ON_PLACE_FILTER), onPlace.length);
+    for (const d of HERD_DIMENSIONS) {
+      for (const c of herdCounts(onPlace, d)) assert.equal(found(`${ON_PLACE_FILTER} ${equalsTerm(d, c.value)}`), c.head, `${d}: ${c.value}`);
+    }
+    const { rows: rowValues, cols: colValues, cells } = herdCrossTab(cattle, "role", "cohort");
+    rowValues.forEach((r, i) =>
+      colValues.forEach((c, j) =>
+        assert.equal(found(`${equalsTerm("role", r.value)} ${equalsTerm("cohort", c.value)}`), cells[i][j])
+      )
+    );
+  });
+});
@@ -0,0 +1,191 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ON_PLACE_FILTER } from "../docs/lib/cattle.js";
+import {
+  columnKinds,
+  equalsTerm,
+  filterRows,
+  filterTermSql,
+  parseFilterQuery,
+  sortRows,
+  sortSql,
+} from "../docs/lib/filter.js";
+import { exportRows, isDateColumn, mapDateColumns } from "../docs/lib/format.js";
+import { openRanchDb } from "./fixtures.js";
+
+describe("parseFilterQuery", () => {
+  const cols = ["ear_tag", "status", "due_date"];
+
+  test("words, column terms, negation and quotes", () => {
+    assert.deepEqual(parseFilterQuery('Hay -Status:sold due_date>=2026-10 notes:"two words"', cols), {
+      terms: [
+        { neg: false, col: null, op: "~", value: "hay" },
+        { neg: true, col: "status", op: ":", value: "sold" },
+        { neg: false, col: "due_date", op: ">=", value: "2026-10" },
+      ],
+      unknownCols: ["notes"],
+    });
+  });
+
+  test("equalsTerm quotes what it has to", () => {
+    assert.equal(equalsTerm("status", "active"), "status:active");
+    assert.equal(equalsTerm("group_name", "Big pasture"), 'group_name:"Big pasture"');
+    assert.equal(equalsTerm("status", null), 'status:""');
+    assert.equal(equalsTerm("ear_tag", "10*"), null);
+    assert.equal(equalsTerm("group_name", 'Bob\'s "big" pasture'), null);
+    assert.equal(equalsTerm("group_name", 'say"'), null);
+    assert.deepEqual(parseFilterQuery(`${equalsTerm("ear_tag", "A 1")} ${equalsTerm("status", "")}`, cols).terms, [
+      { neg: false, col: "ear_tag", op: ":", value: "a 1" },
+      { neg: false, col: "status", op: ":", value: "" },
+    ]);
+  });
+
+  test("every operator", () => {
+    const ops = ["!=", "<=", ">=", ":", "=", "<", ">", "~"];
+    for (const op of ops) {
+      assert.deepEqual(parseFilterQuery(`ear_tag${op}10`, cols).terms, [{ neg: false, col: "ear_tag", op, value: "10" }]);
+    }
+  });
+});
+
+describe("filtering in memory and as SQL", () => {
+  let s;
+  before(async () => {
+    s = await openRanchDb();
+  });
+  after(() => s.close());
+
+  // Each tab's rows, the way the viewer shows them: in memory (drawTable) and
+  // as SQL on a subquery (renderSqlTable)
+  const tabs = {
+    cattle: () => s.cattle(),
+    feed: () => s.feedEntries(),
+    exposures: () => s.breedingExposures(),
+  };
+
+  async function both(tab, q, sort = null) {
+    const spec = tabs[tab]();
+    const raw = await s.query(spec.sql, spec.params);
+    const cols = Object.keys(raw[0]);
+    const dateCols = new Set(cols.filter(isDateColumn));
+
+    const rows = mapDateColumns(raw, cols);
+    const memTable = { cols, kindOf: columnKinds(rows) };
+    const { terms } = parseFilterQuery(q, cols);
+    let mem = filterRows(rows, terms, memTable);
+    if (sort) mem = sortRows(mem, sort, memTable);
+
+    const sqlTable = { cols, kindOf: columnKinds(raw.slice(0, 200), (c) => dateCols.has(c)) };
+    const where = terms.map((t) => filterTermSql(t, sqlTable));
+    const sql = `SELECT * FROM (${spec.sql})${where.length ? ` WHERE ${where.map((w) => w.sql).join(" AND ")}` : ""}${
+      sort ? ` ORDER BY ${sortSql(sort, sqlTable)}` : ""
+    }`;
+    const viaSql = await s.query(sql, [...spec.params, ...where.flatMap((w) => w.params)]);
+    return { mem: exportRows(mem), sql: viaSql };
+  }
+
+  const sameRows = (a, b) => {
+    const key = (rows) => rows.map((r) => JSON.stringify(r)).sort();
+    assert.deepEqual(key(a), key(b));
+  };
+
+  const QUERIES = {
+    cattle: [
+      "",
+      "cow",
+      "status:active",
+      "status:ACTIVE",
+      "-status:active",
+      "status!=sold",
+      "ear_tag:1*",
+      "ear_tag:*1",
+      "ear_tag>150",
+      "ear_tag<=102",
+      "ear_tag>99",
+      "ear_tag<1000",
+      "ear_tag>=b",
+      "-ear_tag>150.5",
+      "id>=4",
+      "id:4",
+      "cohort~202",
+      'photo_path:""',
+      '-photo_path:""',
+      "group_name:cows sex:f",
+      ON_PLACE_FILTER,
+      `${ON_PLACE_FILTER} cohort:2025`,
+      "nothing-matches-this",
+    ],
+    feed: [
+      "date:2026-09",
+      "date:2026-09-30",
+      "date>=2026-09-25",
+      "date<2026-09-05",
+      "amount>1",
+      "amount:2",
+      'cost_per_unit:""',
+      "feed_type:hay -date:2026-09-1*",
+      "mineral",
+      "unit~lb",
+    ],
+    exposures: [
+      "due_date>2026-10-01",
+      'due_date:""',
+      '-due_date:""',
+      "preg_result:preg*",
+      "observed_breeding_date<2026-01",
+      "notes~ai",
+      "exposed:0",
+      "session_id:2 cow_tag!=999",
+    ],
+  };
+
+  for (const [tab, queries] of Object.entries(QUERIES)) {
+    test(`${tab}: both give the same rows`, async () => {
+      for (const q of queries) {
+        const { mem, sql } = await both(tab, q);
+        sameRows(mem, sql);
+      }
+    });
+  }
+
+  test("filters pick the expected rows", async () => {
+    const tags = async (q) => (await both("cattle", q)).mem.map((r) => r.ear_tag);
+    assert.deepEqual(await tags("status:active"), ["101", "102", "201", "202", "B1"]);
+    assert.deepEqual(await tags("-status:active"), ["103"]);
+    assert.deepEqual(await tags('photo_path:""'), ["102", "103", "B1"]);
+    assert.deepEqual(await tags("id>=4 role:heifer"), ["201", "202"]);
+    // ear_tag is text (B1): numbers compare as numbers, the rest by character
+    assert.deepEqual(await tags("ear_tag<1000"), ["101", "102", "103", "201", "202"]);
+    assert.deepEqual(await tags("ear_tag>=b"), ["B1"]);
+
+    const feed = await both("feed", "date:2026-09-30");
+    assert.deepEqual(
+      feed.mem.map((r) => r.feed_type).sort(),
+      ["Hay", "Mineral"]
+    );
+  });
+
+  test("header sorts agree on numbers and dates, empty cells last", async () => {
+    for (const [tab, col] of [
+      ["cattle", "id"],
+      ["feed", "date"],
+      ["feed", "amount"],
+      ["exposures", "due_date"],
+      ["exposures", "observed_breeding_date"],
+    ]) {
+      for (const dir of [1, -1]) {
+        const { mem, sql } = await both(tab, "", { col, dir });
+        assert.deepEqual(
+          mem.map((r) => r[col]),
+          sql.map((r) => r[col]),
+          `${tab} by ${col} ${dir > 0 ? "asc" : "desc"}`
+        );
+      }
+    }
+
+    const due = (await both("exposures", "", { col: "due_date", dir: -1 })).mem.map((r) => r.due_date);
+    assert.equal(due.at(-1), null);
+    assert.ok(due[0] > due[1]);
+  });
+});
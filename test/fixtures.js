@@ -0,0 +1,299 @@
+// test/fixtures.js
+//
+// Small synthetic ranch.db files and backup ZIPs for the tests, built with
+// the same sql.js and JSZip the viewer vendors. The numbers are chosen so
+// every expected total can be worked out by hand (see INVENTORY_TXNS).
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import JSZip from "jszip";
+import initSqlJs from "sql.js";
+
+import { sqlJsConnection } from "../bin/open-backup.js";
+import { detectSchema } from "../docs/lib/schema.js";
+
+export const DAY = 86400000;
+// "Today" in the fixtures: every date is a whole number of days before it
+export const NOW = Date.UTC(2026, 9, 1);
+export const daysAgo = (n) => NOW - n * DAY;
+
+const TABLES = {
+  cattle: `CREATE TABLE cattle(id INTEGER PRIMARY KEY, ear_tag TEXT, status TEXT, sex TEXT, role TEXT,
+    group_name TEXT, cohort TEXT, photo_path TEXT, birth_date INTEGER, created_at INTEGER)`,
+  feed_lots: `CREATE TABLE feed_lots(id INTEGER PRIMARY KEY, name TEXT, unit TEXT, cost_per_unit REAL)`,
+  feed_entries: `CREATE TABLE feed_entries(id INTEGER PRIMARY KEY, date INTEGER, group_name TEXT,
+    feed_lot_id INTEGER REFERENCES feed_lots(id), amount REAL, created_at INTEGER)`,
+  feed_storages: `CREATE TABLE feed_storages(id INTEGER PRIMARY KEY, name TEXT)`,
+  breeding_sessions: `CREATE TABLE breeding_sessions(id INTEGER PRIMARY KEY, group_name TEXT, start_date INTEGER,
+    end_date INTEGER, gestation_days INTEGER, bull TEXT)`,
+  breeding_exposures: `CREATE TABLE breeding_exposures(id INTEGER PRIMARY KEY, session_id INTEGER, cow_tag TEXT,
+    cow_status TEXT, exposed INTEGER, observed_breeding_date INTEGER, preg_check_date INTEGER, preg_result TEXT,
+    due_date INTEGER, notes TEXT, cow_photo_path TEXT, created_at INTEGER)`,
+  feed_inventory_pools: `CREATE TABLE feed_inventory_pools(id INTEGER PRIMARY KEY, storage_id INTEGER, feed_lot_id INTEGER)`,
+  feed_inventory_pool_txns: `CREATE TABLE feed_inventory_pool_txns(id INTEGER PRIMARY KEY, pool_id INTEGER, type TEXT,
+    qty REAL, date INTEGER, notes TEXT)`,
+  feed_inventory_lots: `CREATE TABLE feed_inventory_lots(id INTEGER PRIMARY KEY, storage_id INTEGER, feed_lot_id INTEGER)`,
+  feed_inventory_txns: `CREATE TABLE feed_inventory_txns(id INTEGER PRIMARY KEY, lot_id INTEGER, type TEXT,
+    qty REAL, date INTEGER, notes TEXT)`,
+};
+
+const INVENTORY_TABLES = {
+  v12: ["feed_inventory_pools", "feed_inventory_pool_txns", "feed_inventory_lots", "feed_inventory_txns"],
+  v11: ["feed_inventory_lots", "feed_inventory_txns"],
+  v10: [],
+};
+
+// id, ear_tag, status, sex, role, group_name, cohort, photo_path
+const CATTLE = [
+  [1, "101", "active", "F", "cow", "Cows", "2022", "photos/101.jpg"],
+  [2, "102", "active", "F", "cow", "Cows", "2023", null],
+  [3, "103", "sold", "F", "cow", "Cows", "2022", null],
+  [4, "201", "active", "F", "heifer", "Heifers", "2025", "photos/201.jpg"],
+  [5, "202", "Active", "F", "heifer", "Heifers", "2025", "photos/missing.jpg"],
+  [6, "B1", "active", "M", "bull", "Bulls", "2021", null],
+];
+
+// Storages Barn (1) and Shed (2); containers (pool or batch) per storage / feed lot
+const CONTAINERS = [
+  [1, 1, 1], // Barn · Hay
+  [2, 2, 2], // Shed · Mineral
+  [3, 2, 1], // Shed · Hay
+];
+
+/**
+ * container, type, qty, days ago. Balances now: Barn Hay 50, Shed Hay 20,
+ * Shed Mineral 5 (went to -10 ten days ago). Types are matched case-insensitively;
+ * anything but ADD / REMOVE / ADJUST counts as no change.
+ */
+export const INVENTORY_TXNS = [
+  [1, "ADD", 100, 30],
+  [2, "ADD", 50, 25],
+  [1, "REMOVE", 40, 20],
+  [2, "REMOVE", 60, 10],
+  [2, "ADJUST", 15, 5],
+  [3, "ADD", 20, 3],
+  [1, "remove", 10, 1],
+  [3, "COUNT", 99, 1],
+];
+
+// What a V12 backup's leftover V11 batches hold: must never show when pools have txns
+const STALE_LEGACY_TXNS = [[1, "ADD", 7, 400]];
+
+/**
+ * ranch.db bytes. schema "v12" (pools, plus leftover legacy batches), "v11"
+ * (legacy batches) or "v10" (no inventory). emptyPools moves INVENTORY_TXNS
+ * to the legacy batches of a V12 db; empty creates every table with no rows;
+ * drop leaves tables out altogether.
+ */
+export async function buildRanchDb({ schema = "v12", emptyPools = false, empty = false, drop = [] } = {}) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  const userVersion = { v12: 12, v11: 11, v10: 10 }[schema];
+  db.run(`PRAGMA user_version = ${userVersion}`);
+
+  const tables = [
+    "cattle",
+    "feed_lots",
+    "feed_entries",
+    "feed_storages",
+    "breeding_sessions",
+    "breeding_exposures",
+    ...INVENTORY_TABLES[schema],
+  ].filter((t) => !drop.includes(t));
+  for (const t of tables) db.run(TABLES[t]);
+
+  const insert = (table, rows) => {
+    if (!tables.includes(table)) return;
+    for (const row of rows) db.run(`INSERT INTO ${table} VALUES (${row.map(() => "?").join(", ")})`, row);
+  };
+
+  if (!empty) {
+    insert(
+      "cattle",
+      CATTLE.map((c, i) => [...c, daysAgo(1000 + i), daysAgo(500 + i)])
+    );
+    insert("feed_lots", [
+      [1, "Hay", "bale", 45.5],
+      [2, "Mineral", "lb", 0.8],
+      [3, "Cubes", "lb", null],
+    ]);
+    // Hay: 2 bales a day to the cows for the last 30 days; one bag of mineral
+    // yesterday; unpriced cubes to the heifers
+    const feed = [];
+    for (let d = 1; d <= 30; d++) feed.push([feed.length + 1, daysAgo(d), "Cows", 1, 2, daysAgo(d)]);
+    feed.push([feed.length + 1, daysAgo(1), "Cows", 2, 1, daysAgo(1)]);
+    feed.push([feed.length + 1, daysAgo(2), "Heifers", 3, 5, daysAgo(2)]);
+    insert("feed_entries", feed);
+    insert("feed_storages", [
+      [1, "Barn"],
+      [2, "Shed"],
+    ]);
+
+    const txnRows = (txns) => txns.map(([container, type, qty, ago], i) => [i + 1, container, type, qty, daysAgo(ago), null]);
+    if (schema === "v12") {
+      insert("feed_inventory_pools", CONTAINERS);
+      insert("feed_inventory_lots", CONTAINERS);
+      if (emptyPools) {
+        insert("feed_inventory_txns", txnRows(INVENTORY_TXNS));
+      } else {
+        insert("feed_inventory_pool_txns", txnRows(INVENTORY_TXNS));
+        insert("feed_inventory_txns", txnRows(STALE_LEGACY_TXNS));
+      }
+    } else if (schema === "v11") {
+      insert("feed_inventory_lots", CONTAINERS);
+      insert("feed_inventory_txns", txnRows(INVENTORY_TXNS));
+    }
+
+    insert("breeding_sessions", [
+      [1, "Cows", daysAgo(300), daysAgo(240), 283, "Angus 12"],
+      [2, "Heifers", daysAgo(250), daysAgo(220), null, "Red 7"],
+    ]);
+    // id, session, cow_tag, status, exposed, observed bred, preg check, result, due, notes, photo, created
+    insert("breeding_exposures", [
+      [1, 1, "101", "active", 1, daysAgo(290), daysAgo(200), "Pregnant", null, null, null, daysAgo(290)],
+      [2, 1, "102", "active", 1, daysAgo(280), daysAgo(200), "Open", null, null, null, daysAgo(280)],
+      [3, 1, "103", "sold", 1, null, null, null, NOW + 5 * DAY, null, null, daysAgo(270)],
+      [4, 1, "201", "active", 0, null, null, null, NOW + 40 * DAY, null, null, daysAgo(260)],
+      [5, 2, "202", "active", 1, daysAgo(240), daysAgo(150), "bred", NOW + 60 * DAY, "AI", "photos/202-preg.jpg", daysAgo(240)],
+      [6, 2, "999", "active", 1, null, daysAgo(150), "neg", null, null, null, daysAgo(230)],
+    ]);
+  }
+
+  const bytes = db.export();
+  db.close();
+  return bytes;
+}
+
+/** buildRanchDb's db opened in sql.js, as its schema adapter. close() when done. */
+export async function openRanchDb(options) {
+  return openSchema(await buildRanchDb(options));
+}
+
+/** A db made by running sql (for odd schemas buildRanchDb doesn't make), as its schema adapter. */
+export async function openSqlDb(sql) {
+  const SQL = await initSqlJs();
+  const sqlDb = new SQL.Database();
+  sqlDb.run(sql);
+  const bytes = sqlDb.export();
+  sqlDb.close();
+  return openSchema(bytes);
+}
+
+async function openSchema(bytes) {
+  const SQL = await initSqlJs();
+  const sqlDb = new SQL.Database(bytes);
+  const schema = await detectSchema(sqlJsConnection(sqlDb));
+  return Object.assign(schema, { close: () => sqlDb.close() });
+}
+
+// A 1×1 PNG
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8cfc0f01f0005000201a5e5b0c50000000049454e44ae426082",
+  "hex"
+);
+
+/**
+ * The files of a backup ZIP as { zipPath: bytes }: ranch.db at dbPath
+ * (nested in a folder, like some phone exports) next to the photos the
+ * cattle and exposures reference (photos/missing.jpg left out), a receipt
+ * PDF and an orphan photo nothing references.
+ */
+export async function backupFiles(options = {}, { dbPath = "backup/ranch.db" } = {}) {
+  return {
+    [dbPath]: await buildRanchDb(options),
+    "photos/101.jpg": PNG,
+    "photos/201.jpg": PNG,
+    "photos/202-preg.jpg": PNG,
+    "receipts/vet.pdf": Buffer.from("%PDF-1.4\n"),
+    "orphan.png": PNG,
+  };
+}
+
+/** files ({ zipPath: bytes }) as a ZIP. */
+export function zipBytes(files) {
+  const zip = new JSZip();
+  for (const [name, bytes] of Object.entries(files)) zip.file(name, bytes);
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/** Writes bytes as name in a new temp dir and returns its path. */
+export function writeTempFile(name, bytes) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bfv-test-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, bytes);
+  return file;
+}
+
+/** Writes a backup ZIP (backupFiles()) to a temp dir and resolves to its path. */
+export async function writeBackupZip(options = {}, { dbPath = "backup/ranch.db", name = "backup.zip" } = {}) {
+  return writeTempFile(name, await zipBytes(await backupFiles(options, { dbPath })));
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crcByte = (crc, b) => (CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8)) >>> 0;
+const crc32 = (bytes) => (bytes.reduce(crcByte, 0xffffffff) ^ 0xffffffff) >>> 0;
+
+/**
+ * files ({ zipPath: bytes }) as a deflated ZIP encrypted with password the
+ * traditional PKWARE way (ZipCrypto), written here from the spec rather than
+ * with the viewer's code. aes: true labels the entries WinZip AES instead
+ * (their data is then junk).
+ */
+export function encryptedZipBytes(files, password, { aes = false } = {}) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, bytes] of Object.entries(files)) {
+    const crc = crc32(bytes);
+    const keys = [0x12345678, 0x23456789, 0x34567890];
+    const update = (b) => {
+      keys[0] = crcByte(keys[0], b);
+      keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+      keys[2] = crcByte(keys[2], keys[1] >>> 24);
+    };
+    for (const b of Buffer.from(password)) update(b);
+    // 12-byte header ending in the CRC's high byte, then the deflated data
+    const plain = Buffer.concat([Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, crc >>> 24]), zlib.deflateRawSync(bytes)]);
+    const data = plain.map((b) => {
+      const t = (keys[2] | 2) & 0xffff;
+      const c = b ^ ((Math.imul(t, t ^ 1) >>> 8) & 0xff);
+      update(b);
+      return c;
+    });
+
+    const fileName = Buffer.from(name);
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0);
+    head.writeUInt16LE(20, 4);
+    head.writeUInt16LE(1, 6); // encrypted
+    head.writeUInt16LE(aes ? 99 : 8, 8);
+    head.writeUInt16LE(((2026 - 1980) << 9) | (9 << 5) | 1, 12); // 2026-09-01
+    head.writeUInt32LE(crc, 14);
+    head.writeUInt32LE(data.length, 18);
+    head.writeUInt32LE(bytes.length, 22);
+    head.writeUInt16LE(fileName.length, 26);
+    local.push(head, fileName, data);
+
+    const record = Buffer.alloc(46);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(20, 4);
+    head.copy(record, 6, 4, 30); // version needed … name length
+    record.writeUInt32LE(offset, 42);
+    central.push(record, fileName);
+    offset += head.length + fileName.length + data.length;
+  }
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
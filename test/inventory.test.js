@@ -0,0 +1,172 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  feedForecast,
+  inventoryBalances,
+  inventorySnapshotRows,
+  loadInventory,
+  lowStockRows,
+  txnDelta,
+} from "../docs/lib/inventory.js";
+import { tableHeadHtml, tableRowHtml } from "../docs/lib/render.js";
+import { DAY, INVENTORY_TXNS, daysAgo, openRanchDb } from "./fixtures.js";
+
+// Balances of INVENTORY_TXNS after the last txn, whichever schema holds them
+const LATEST = [
+  { storage: "Barn", feed_type: "Hay", unit: "bale", on_hand: 50, lowest_balance: 0, went_negative: "" },
+  { storage: "Shed", feed_type: "Hay", unit: "bale", on_hand: 20, lowest_balance: 0, went_negative: "" },
+  {
+    storage: "Shed",
+    feed_type: "Mineral",
+    unit: "lb",
+    on_hand: 5,
+    lowest_balance: -10,
+    went_negative: "yes (2026-09-21)",
+  },
+];
+
+describe("inventory", () => {
+  const opened = [];
+  const open = async (options) => {
+    const s = await openRanchDb(options);
+    opened.push(s);
+    return s;
+  };
+  after(() => opened.forEach((s) => s.close()));
+
+  test("txnDelta: ADD and ADJUST add, REMOVE subtracts, anything else is no change", () => {
+    assert.equal(txnDelta("ADD", 3), 3);
+    assert.equal(txnDelta("remove", "2.5"), -2.5);
+    assert.equal(txnDelta("ADJUST", -4), -4);
+    assert.equal(txnDelta("COUNT", 99), 0);
+    assert.equal(txnDelta(null, 5), 0);
+    assert.equal(txnDelta("ADD", null), 0);
+  });
+
+  test("V12 reads pooled txns, not the leftover legacy batches", async () => {
+    const inv = await loadInventory(await open({ schema: "v12" }));
+    assert.equal(inv.source.kind, "pooled");
+    assert.equal(inv.dateCol, "date");
+    assert.equal(inv.txns.length, INVENTORY_TXNS.length);
+    assert.deepEqual(inventorySnapshotRows(inv), LATEST);
+  });
+
+  test("V12 with empty pools falls back to the legacy batches", async () => {
+    const inv = await loadInventory(await open({ schema: "v12", emptyPools: true }));
+    assert.equal(inv.source.kind, "legacy");
+    assert.deepEqual(inventorySnapshotRows(inv), LATEST);
+  });
+
+  test("V11 legacy batches give the same totals as V12 pools", async () => {
+    const inv = await loadInventory(await open({ schema: "v11" }));
+    assert.equal(inv.source.kind, "legacy");
+    assert.deepEqual(inventorySnapshotRows(inv), LATEST);
+  });
+
+  test("no inventory when there are no txns or tables to read", async () => {
+    assert.equal(await loadInventory(await open({ schema: "v10" })), null);
+    assert.equal(await loadInventory(await open({ empty: true })), null);
+    assert.equal(await loadInventory(await open({ drop: ["feed_storages"] })), null);
+  });
+
+  test("txns load oldest first", async () => {
+    const inv = await loadInventory(await open());
+    const dates = inv.txns.map((t) => t.date);
+    assert.deepEqual(
+      dates,
+      [...dates].sort((a, b) => a - b)
+    );
+    assert.deepEqual(Object.keys(inv.txns[0]), ["txn_id", "date", "type", "qty", "notes", "storage", "feed_type", "unit"]);
+  });
+
+  test("as of a date counts only txns dated before it", async () => {
+    const inv = await loadInventory(await open());
+    assert.deepEqual(inventorySnapshotRows(inv, daysAgo(14)), [
+      { storage: "Barn", feed_type: "Hay", unit: "bale", on_hand: 60, lowest_balance: 0, went_negative: "" },
+      { storage: "Shed", feed_type: "Mineral", unit: "lb", on_hand: 50, lowest_balance: 0, went_negative: "" },
+    ]);
+
+    // The bound is exclusive: a txn at exactly beforeMs isn't counted yet
+    const mineral = (beforeMs) => inventorySnapshotRows(inv, beforeMs).find((r) => r.feed_type === "Mineral").on_hand;
+    assert.equal(mineral(daysAgo(10)), 50);
+    assert.equal(mineral(daysAgo(10) + 1), -10);
+    assert.deepEqual(inventorySnapshotRows(inv, daysAgo(31)), []);
+  });
+
+  test("running balances flag where a balance goes negative", async () => {
+    const inv = await loadInventory(await open());
+    const mineral = [...inventoryBalances(inv.txns).values()].find((g) => g.feed_type === "Mineral");
+    assert.deepEqual(
+      mineral.entries.map((e) => [e.type, e.change, e.balance, e.flag]),
+      [
+        ["ADD", 50, 50, ""],
+        ["REMOVE", -60, -10, "went negative"],
+        ["ADJUST", 15, 5, ""],
+      ]
+    );
+    assert.equal(mineral.firstNegative.date, daysAgo(10));
+  });
+
+  test("undated txns count from the start", () => {
+    const txns = [
+      { txn_id: 2, date: daysAgo(5), type: "REMOVE", qty: 1, storage: "Barn", feed_type: "Hay", unit: "bale" },
+      { txn_id: 1, date: null, type: "ADD", qty: 3, storage: "Barn", feed_type: "Hay", unit: "bale" },
+    ];
+    assert.equal(inventorySnapshotRows({ txns }, daysAgo(10))[0].on_hand, 3);
+  });
+
+  test("days of feed from the last 30 days of use", async () => {
+    const s = await open();
+    const { rows, startMs, endMs } = await feedForecast(s, await loadInventory(s), { windowDays: 30, warnDays: 14 });
+    assert.equal(endMs, daysAgo(1));
+    assert.equal(startMs, daysAgo(31));
+    assert.deepEqual(
+      rows.map((r) => [r.storage, r.feed_type, r.on_hand, r.daily_use, r.days_left, r.status]),
+      [
+        ["Shed", "Hay", 20, 2, 10, "LOW"],
+        ["Barn", "Hay", 50, 2, 25, ""],
+        ["(all storages)", "Hay", 70, 2, 35, ""],
+        ["Shed", "Mineral", 5, 0.033, 150, ""],
+      ]
+    );
+    assert.equal(rows[0].run_out_date, endMs + 10 * DAY);
+  });
+
+  test("low stock: nothing on hand from the snapshot, LOW from the forecast", async () => {
+    const inv = await loadInventory(await open());
+    // Nine days ago the shed had no mineral left (-10)
+    const snapshot = inventorySnapshotRows(inv, daysAgo(9));
+    assert.deepEqual(lowStockRows(snapshot), [
+      { storage: "Shed", feed_type: "Mineral", unit: "lb", on_hand: -10, days_left: null, run_out_date: null, out: true, low: false },
+    ]);
+    assert.deepEqual(lowStockRows(inventorySnapshotRows(inv)), []);
+
+    const forecast = [
+      { storage: "Barn", feed_type: "Hay", unit: "bale", on_hand: 50, days_left: 25, run_out_date: 1, status: "" },
+      { storage: "Shed", feed_type: "Hay", unit: "bale", on_hand: 20, days_left: 10, run_out_date: 2, status: "LOW" },
+      { storage: "Shed", feed_type: "Mineral", unit: "lb", on_hand: -10, days_left: 0, run_out_date: 3, status: "LOW" },
+      { storage: "(all storages)", feed_type: "Hay", unit: "bale", on_hand: 70, days_left: 35, run_out_date: 4, status: "" },
+    ];
+    assert.deepEqual(
+      lowStockRows(snapshot, forecast).map((r) => [r.storage, r.feed_type, r.on_hand, r.days_left, r.out, r.low]),
+      [
+        ["Shed", "Mineral", -10, 0, true, true],
+        ["Shed", "Hay", 20, 10, false, true],
+      ]
+    );
+  });
+
+  test("snapshot rows render as table rows", async () => {
+    const rows = inventorySnapshotRows(await loadInventory(await open()));
+    const cols = Object.keys(rows[0]);
+    assert.equal(
+      tableHeadHtml(cols),
+      "<thead><tr><th>storage</th><th>feed_type</th><th>unit</th><th>on_hand</th><th>lowest_balance</th><th>went_negative</th></tr></thead>"
+    );
+    assert.equal(
+      tableRowHtml(rows[2], 2, cols, { rowClass: (r) => (r.on_hand < 0 ? "negative" : "") }),
+      "<tr><td>Shed</td><td>Mineral</td><td>lb</td><td>5</td><td>-10</td><td>yes (2026-09-21)</td></tr>"
+    );
+  });
+});
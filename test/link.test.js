@@ -0,0 +1,64 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseViewHash, viewHash } from "../docs/lib/link.js";
+
+describe("view links", () => {
+  test("only the fields that are set, in a fixed order", () => {
+    assert.equal(
+      viewHash({
+        q: "cow_tag:1042 -preg_result:open",
+        sort: { col: "due_date", dir: -1 },
+        session: 2,
+        tab: "breeding",
+        view: "sessions",
+        cattle: null,
+        asof: "",
+      }),
+      "#tab=breeding&view=sessions&session=2&q=cow_tag%3A1042+-preg_result%3Aopen&sort=-due_date"
+    );
+    assert.equal(viewHash({ tab: "cattle", q: "", sort: null }), "#tab=cattle");
+    assert.equal(viewHash({}), "");
+  });
+
+  test("round trip", () => {
+    const view = {
+      tab: "inventory",
+      view: "snapshot",
+      session: null,
+      cattle: null,
+      table: null,
+      check: null,
+      ledger: JSON.stringify(["Barn & loft", "Hay", "bale"]),
+      asof: "2026-09-16",
+      q: 'feed_type:"big squares"',
+      sort: { col: "on_hand", dir: 1 },
+    };
+    assert.deepEqual(parseViewHash(viewHash(view)), view);
+  });
+
+  test("ids that are integers come back as numbers", () => {
+    const view = parseViewHash("#tab=cattle&cattle=12");
+    assert.equal(view.cattle, 12);
+    assert.equal(parseViewHash("#tab=cattle&cattle=A-7").cattle, "A-7");
+    assert.equal(parseViewHash("#tab=tables&table=123").table, "123");
+  });
+
+  test("missing and empty fields", () => {
+    assert.deepEqual(parseViewHash(""), {
+      tab: null,
+      view: null,
+      session: null,
+      cattle: null,
+      table: null,
+      check: null,
+      ledger: null,
+      asof: null,
+      q: "",
+      sort: null,
+    });
+    assert.equal(parseViewHash("#tab=&sort=-").tab, null);
+    assert.equal(parseViewHash("#sort=-").sort, null);
+    assert.deepEqual(parseViewHash("sort=ear_tag").sort, { col: "ear_tag", dir: 1 });
+  });
+});
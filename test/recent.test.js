@@ -0,0 +1,56 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MAX_RECENT_BACKUPS, recentId, recentList, recentRecord, staleRecentIds } from "../docs/lib/recent.js";
+
+describe("recent backups", () => {
+  const file = (name, size = 100, lastModified = Date.UTC(2026, 8, 30)) => ({ name, size, lastModified });
+  const info = { schemaLabel: "V12+", dbPath: "backup/ranch.db" };
+
+  // What the object store does with put(): one entry per id (its keyPath)
+  const store = (records) => [...new Map(records.map((r) => [r.id, r])).values()];
+
+  test("the same file picked again replaces its entry", () => {
+    assert.equal(recentId(file("a.zip")), recentId(file("a.zip")));
+    assert.notEqual(recentId(file("a.zip")), recentId(file("a.zip", 101)));
+    assert.notEqual(recentId(file("a.zip")), recentId(file("a.zip", 100, Date.UTC(2026, 9, 1))));
+
+    const records = store([
+      recentRecord(file("a.zip"), info, 1),
+      recentRecord(file("b.zip"), info, 2),
+      recentRecord(file("a.zip"), { ...info, dbPath: "old.zip/backup/ranch.db" }, 3),
+    ]);
+    assert.equal(records.length, 2);
+    assert.deepEqual(
+      recentList(records).map((r) => [r.fileName, r.loadedAt, r.dbPath]),
+      [
+        ["a.zip", 3, "old.zip/backup/ranch.db"],
+        ["b.zip", 2, "backup/ranch.db"],
+      ]
+    );
+  });
+
+  test("the list is newest first and leaves the file out", () => {
+    const f = file("c.zip");
+    const list = recentList([recentRecord(file("old.zip"), info, 10), recentRecord(f, info, 30), recentRecord(file("mid.zip"), info, 20)]);
+    assert.deepEqual(
+      list.map((r) => r.fileName),
+      ["c.zip", "mid.zip", "old.zip"]
+    );
+    assert.deepEqual(list[0], {
+      id: recentId(f),
+      fileName: "c.zip",
+      size: 100,
+      lastModified: f.lastModified,
+      loadedAt: 30,
+      schemaLabel: "V12+",
+      dbPath: "backup/ranch.db",
+    });
+  });
+
+  test(`only the newest ${MAX_RECENT_BACKUPS} are kept`, () => {
+    const records = Array.from({ length: MAX_RECENT_BACKUPS + 2 }, (_, i) => recentRecord(file(`${i}.zip`), info, 1000 - i));
+    assert.deepEqual(staleRecentIds(records), [recentId(file(`${MAX_RECENT_BACKUPS}.zip`)), recentId(file(`${MAX_RECENT_BACKUPS + 1}.zip`))]);
+    assert.deepEqual(staleRecentIds(records.slice(0, MAX_RECENT_BACKUPS)), []);
+  });
+});
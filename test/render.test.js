@@ -0,0 +1,113 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { RAW_ROW, exportRows, fmtBytes, fmtDate, mapDateColumns, parseDateInput, toCsv } from "../docs/lib/format.js";
+import { barChartHtml, escapeHtml, reportTableHtml, tableHeadHtml, tableRowHtml } from "../docs/lib/render.js";
+
+describe("format", () => {
+  test("fmtDate renders millis as a UTC date and leaves other values alone", () => {
+    assert.equal(fmtDate(Date.UTC(2026, 8, 21, 23, 59)), "2026-09-21");
+    assert.equal(fmtDate("1790553600000"), "2026-09-28");
+    assert.equal(fmtDate(null), "");
+    assert.equal(fmtDate(0), "");
+    assert.equal(fmtDate("spring"), "spring");
+    assert.equal(fmtDate(-5), "-5");
+  });
+
+  test("mapDateColumns formats date columns and keeps the raw row", () => {
+    const raw = { id: 1, due_date: Date.UTC(2026, 11, 3), created_at: null, notes: "x" };
+    const [row] = mapDateColumns([raw], Object.keys(raw));
+    assert.deepEqual(Object.fromEntries(Object.entries(row)), { id: 1, due_date: "2026-12-03", created_at: null, notes: "x" });
+    assert.equal(row[RAW_ROW], raw);
+    assert.deepEqual(exportRows([row]), [raw]);
+
+    const plain = [{ id: 1 }];
+    assert.equal(mapDateColumns(plain, ["id"]), plain);
+  });
+
+  test("exportRows replaces blobs with their size", () => {
+    assert.deepEqual(exportRows([{ photo: new Uint8Array(3) }]), [{ photo: "[3 bytes]" }]);
+  });
+
+  test("toCsv quotes what needs quoting", () => {
+    assert.equal(
+      toCsv([
+        { tag: "101", notes: 'said "hi", left', n: 3 },
+        { tag: null, notes: "two\nlines", n: 0 },
+      ]),
+      'tag,notes,n\r\n101,"said ""hi"", left",3\r\n,"two\nlines",0\r\n'
+    );
+    assert.equal(toCsv([]), "");
+  });
+
+  test("fmtBytes and parseDateInput", () => {
+    assert.equal(fmtBytes(512), "512 B");
+    assert.equal(fmtBytes(1536), "1.5 KB");
+    assert.equal(fmtBytes(3 * 1048576), "3.0 MB");
+    assert.equal(fmtBytes(null), "");
+    assert.equal(parseDateInput("2026-10-01"), Date.UTC(2026, 9, 1));
+    assert.equal(parseDateInput("10/01/2026"), null);
+  });
+});
+
+describe("render", () => {
+  test("escapeHtml", () => {
+    assert.equal(escapeHtml(`<a href="x">&</a>`), "&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;");
+    assert.equal(escapeHtml(null), "");
+  });
+
+  test("sortable table head marks the sorted column", () => {
+    assert.equal(
+      tableHeadHtml(["ear_tag", "status"], { sortable: true, sort: { col: "status", dir: -1 }, photoPathKey: "photo_path" }),
+      '<thead><tr><th class="sortable" data-col="ear_tag">ear_tag</th>' +
+        '<th class="sortable" data-col="status">status ▼</th><th>Photo</th></tr></thead>'
+    );
+  });
+
+  test("table rows: escaped cells, clickable rows and photo cells", () => {
+    const cols = ["ear_tag", "notes"];
+    assert.equal(
+      tableRowHtml({ ear_tag: "101", notes: "<b>", photo_path: "photos/101.jpg" }, 7, cols, {
+        photoPathKey: "photo_path",
+        clickable: true,
+        rowClass: () => "sold",
+      }),
+      '<tr class="clickable sold" data-row="7"><td>101</td><td>&lt;b&gt;</td>' +
+        '<td><img class="thumb" data-photo="photos/101.jpg" alt="photo"/></td></tr>'
+    );
+    assert.equal(
+      tableRowHtml({ ear_tag: "102", notes: null }, 0, cols, { photoPathKey: "photo_path" }),
+      '<tr><td>102</td><td></td><td class="muted">—</td></tr>'
+    );
+  });
+
+  test("report tables add write-in columns", () => {
+    const html = reportTableHtml([{ tag: "101", photo: null }], [["tag", "Tag"], ["photo", "Photo"]], {
+      photoKey: "photo",
+      writeIn: ["Result"],
+    });
+    assert.equal(
+      html,
+      '<table class="report-table"><thead><tr><th>Tag</th><th>Photo</th><th class="write-in">Result</th></tr></thead>' +
+        "<tbody><tr><td>101</td><td></td><td></td></tr></tbody></table>"
+    );
+    assert.equal(reportTableHtml([], []), '<div class="muted">None.</div>');
+  });
+
+  test("bar charts scale to the largest value", () => {
+    const html = barChartHtml(
+      [
+        { label: "Cows", value: 50 },
+        { label: "Heifers", value: 20 },
+      ],
+      String
+    );
+    assert.match(html, /title="Cows">Cows<\/div>\s*<div class="bar-track"><div class="bar" style="width:100.0%">/);
+    assert.match(html, /style="width:40.0%"><\/div><\/div>\s*<div class="bar-value">20<\/div>/);
+    assert.match(
+      barChartHtml([{ label: "Cows", value: 3, href: "#tab=cattle&q=a&b" }], String),
+      /<div class="bar-value"><a href="#tab=cattle&amp;q=a&amp;b">3<\/a><\/div>/
+    );
+    assert.equal(barChartHtml([]), '<div class="muted">Nothing to chart.</div>');
+  });
+});
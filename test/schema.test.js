@@ -0,0 +1,114 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CATTLE_LIST_COLS } from "../docs/lib/schema.js";
+import { openRanchDb, openSqlDb } from "./fixtures.js";
+
+describe("detectSchema", () => {
+  const opened = [];
+  const open = async (options) => {
+    const s = await openRanchDb(options);
+    opened.push(s);
+    return s;
+  };
+  after(() => opened.forEach((s) => s.close()));
+
+  test("recognises V12, V11 and V10 backups", async () => {
+    const v12 = await open({ schema: "v12" });
+    assert.equal(v12.version, "v12");
+    assert.equal(v12.label, "V12+ (pooled inventory) · user_version 12");
+    assert.deepEqual(
+      v12.inventorySources.map((src) => src.kind),
+      ["pooled", "legacy"]
+    );
+
+    const v11 = await open({ schema: "v11" });
+    assert.equal(v11.version, "v11");
+    assert.deepEqual(
+      v11.inventorySources.map((src) => src.kind),
+      ["legacy"]
+    );
+
+    const v10 = await open({ schema: "v10" });
+    assert.equal(v10.version, "v10");
+    assert.deepEqual(v10.inventorySources, []);
+    assert.ok(v10.supported);
+  });
+
+  test("lists cattle by ear tag with the list columns", async () => {
+    const s = await open();
+    const rows = await s.cattleRows();
+    assert.deepEqual(Object.keys(rows[0]), CATTLE_LIST_COLS);
+    assert.deepEqual(
+      rows.map((r) => r.ear_tag),
+      ["101", "102", "103", "201", "202", "B1"]
+    );
+    assert.equal((await s.cattleById(4)).ear_tag, "201");
+    assert.equal(await s.cattleById(404), null);
+  });
+
+  test("feed entries join their feed lot, newest first", async () => {
+    const s = await open();
+    const spec = s.feedEntries();
+    const rows = await s.query(spec.sql, spec.params);
+    assert.equal(rows.length, 32);
+    assert.deepEqual(Object.keys(rows[0]), ["date", "group_name", "feed_type", "amount", "unit", "cost_per_unit"]);
+    assert.ok(rows.every((r, i) => i === 0 || rows[i - 1].date >= r.date));
+    assert.deepEqual(
+      rows.filter((r) => r.feed_type === "Cubes").map((r) => [r.group_name, r.amount, r.cost_per_unit]),
+      [["Heifers", 5, null]]
+    );
+  });
+
+  test("breeding exposures can be limited to one session", async () => {
+    const s = await open();
+    const all = s.breedingExposures();
+    assert.equal((await s.query(all.sql, all.params)).length, 6);
+    const one = s.breedingExposures({ sessionId: 2 });
+    assert.deepEqual(
+      (await s.query(one.sql, one.params)).map((r) => r.cow_tag),
+      ["999", "202"]
+    );
+  });
+
+  test("empty tables give empty results", async () => {
+    const s = await open({ empty: true });
+    assert.deepEqual(await s.cattleRows(), []);
+    assert.deepEqual(await s.breedingSessions(), []);
+    const spec = s.feedEntries();
+    assert.deepEqual(await s.query(spec.sql, spec.params), []);
+  });
+
+  test("queries whose tables are missing are null", async () => {
+    const s = await open({ drop: ["feed_lots", "breeding_sessions"] });
+    assert.equal(s.feedEntries, null);
+    assert.equal(s.breedingSessions, null);
+    assert.ok(s.cattleRows);
+    assert.ok(s.breedingExposures);
+  });
+
+  test("columns missing from older tables come back as NULL", async () => {
+    const s = await openSqlDb(`
+      CREATE TABLE cattle(ear_tag TEXT, status TEXT);
+      INSERT INTO cattle VALUES ('7', 'active'), ('3', NULL);
+    `);
+    opened.push(s);
+    assert.equal(s.version, "v10");
+    assert.deepEqual(await s.cattleRows(), [
+      { id: null, ear_tag: "3", status: null, sex: null, role: null, group_name: null, cohort: null, photo_path: null },
+      { id: null, ear_tag: "7", status: "active", sex: null, role: null, group_name: null, cohort: null, photo_path: null },
+    ]);
+    assert.equal(s.cattleById, null);
+  });
+
+  test("a db without any ranch tables is unsupported", async () => {
+    const s = await openSqlDb(`CREATE TABLE notes(id INTEGER PRIMARY KEY, body TEXT); PRAGMA user_version = 3;`);
+    opened.push(s);
+    assert.equal(s.supported, false);
+    assert.equal(s.label, "unrecognised schema · user_version 3");
+    assert.equal(s.cattle, null);
+    assert.equal(s.cattleRows, null);
+    assert.deepEqual(s.inventorySources, []);
+    assert.deepEqual(s.tableNames, ["notes"]);
+  });
+});
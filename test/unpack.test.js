@@ -0,0 +1,151 @@
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import JSZip from "jszip";
+
+import { openBackup } from "../bin/open-backup.js";
+import { runHealthChecks } from "../docs/lib/health.js";
+import { findDatabases } from "../docs/lib/unpack.js";
+import { backupFiles, buildRanchDb, encryptedZipBytes, writeTempFile, zipBytes } from "./fixtures.js";
+
+describe("backup file shapes", () => {
+  const files = [];
+  const temp = (name, bytes) => {
+    const file = writeTempFile(name, bytes);
+    files.push(file);
+    return file;
+  };
+  after(() => {
+    for (const file of files) fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  test("a bare ranch.db or .sqlite file", async () => {
+    for (const name of ["ranch.db", "Ranch export.sqlite"]) {
+      const backup = await openBackup(temp(name, await buildRanchDb()));
+      try {
+        assert.equal(backup.dbPath, name);
+        assert.equal(backup.schema.version, "v12");
+        assert.equal(backup.zipIndex, null);
+        const results = await runHealthChecks(backup.schema, backup.zipIndex);
+        assert.deepEqual(
+          results.filter((r) => r.level === "skip").map((r) => r.id),
+          ["missing_files", "unreferenced_files"]
+        );
+      } finally {
+        backup.close();
+      }
+    }
+  });
+
+  test("a backup ZIP inside a ZIP", async () => {
+    const inner = await zipBytes(await backupFiles());
+    const file = temp("Fwd backup.zip", await zipBytes({ "attachments/backup-2026-09-30.zip": inner, "message.txt": Buffer.from("see attached") }));
+    const backup = await openBackup(file);
+    try {
+      assert.equal(backup.dbPath, "attachments/backup-2026-09-30.zip/backup/ranch.db");
+      assert.equal(backup.schema.version, "v12");
+      // Attachment paths are those of the ZIP holding ranch.db
+      assert.ok(backup.zipIndex.has("photos/101.jpg"));
+      assert.ok(!backup.zipIndex.has("message.txt"));
+    } finally {
+      backup.close();
+    }
+  });
+
+  test("several ranch.db files: one has to be picked", async () => {
+    const file = temp(
+      "two.zip",
+      await zipBytes({
+        "old.zip": await zipBytes(await backupFiles({ schema: "v11" })),
+        "new/ranch.db": await buildRanchDb(),
+      })
+    );
+    await assert.rejects(openBackup(file), (err) => {
+      assert.equal(err.need, "choice");
+      assert.equal(err.message, "two.zip holds 2 ranch.db files: old.zip/backup/ranch.db, new/ranch.db.");
+      return true;
+    });
+    const backup = await openBackup(file, { dbPath: "old.zip/backup/ranch.db" });
+    assert.equal(backup.schema.version, "v11");
+    backup.close();
+    await assert.rejects(openBackup(file, { dbPath: "nope/ranch.db" }), /^Error: No nope\/ranch\.db in this backup/);
+  });
+
+  test("a password-protected ZIP", async () => {
+    const file = temp("locked.zip", encryptedZipBytes(await backupFiles(), "hay bale 7"));
+    await assert.rejects(openBackup(file), (err) => err.need === "password" && err.message === "locked.zip is password protected.");
+    await assert.rejects(openBackup(file, { passwords: ["hay bale 8"] }), {
+      need: "password",
+      message: "The password doesn't open locked.zip.",
+    });
+
+    const backup = await openBackup(file, { passwords: ["hay bale 8", "hay bale 7"] });
+    try {
+      assert.equal(backup.dbPath, "backup/ranch.db");
+      assert.equal(backup.schema.version, "v12");
+      assert.equal(backup.zipIndex.get("receipts/vet.pdf").size, 9);
+      assert.equal(backup.zipIndex.get("receipts/vet.pdf").date, Date.UTC(2026, 8, 1));
+    } finally {
+      backup.close();
+    }
+  });
+
+  test("a password-protected ZIP inside a plain one", async () => {
+    const file = temp("mail.zip", await zipBytes({ "locked.zip": encryptedZipBytes(await backupFiles(), "moo") }));
+    await assert.rejects(openBackup(file), { need: "password", message: "locked.zip is password protected." });
+    const backup = await openBackup(file, { passwords: ["moo"] });
+    assert.equal(backup.dbPath, "locked.zip/backup/ranch.db");
+    backup.close();
+  });
+
+  test("a password-protected ZIP inside one with another password", async () => {
+    const bytes = encryptedZipBytes({ "locked.zip": encryptedZipBytes(await backupFiles(), "moo") }, "baa");
+    const file = temp("mail.zip", bytes);
+    // The password that opened mail.zip wasn't meant for locked.zip
+    await assert.rejects(openBackup(file, { passwords: ["baa"] }), { need: "password", message: "locked.zip is password protected." });
+    await assert.rejects(openBackup(file, { passwords: ["baa", "oink"] }), {
+      need: "password",
+      message: "The password doesn't open locked.zip.",
+    });
+    const backup = await openBackup(file, { passwords: ["baa", "moo"] });
+    assert.equal(backup.dbPath, "locked.zip/backup/ranch.db");
+    backup.close();
+
+    // The viewer's passwords say which ZIP they were typed for
+    const find = (passwords) => findDatabases(new Uint8Array(bytes), "mail.zip", { JSZip, passwords });
+    assert.deepEqual(await find([{ zip: "mail.zip", password: "baa" }]), { need: "password", zip: "locked.zip", retry: false });
+    assert.deepEqual(await find([{ zip: "mail.zip", password: "baa" }, { zip: "locked.zip", password: "oink" }]), {
+      need: "password",
+      zip: "locked.zip",
+      retry: true,
+    });
+    assert.deepEqual(await find([{ zip: "mail.zip", password: "oink" }]), { need: "password", zip: "mail.zip", retry: true });
+  });
+
+  test("AES encryption is explained, not attempted", async () => {
+    const file = temp("aes.zip", encryptedZipBytes(await backupFiles(), "moo", { aes: true }));
+    await assert.rejects(openBackup(file, { passwords: ["moo"] }), /^Error: aes\.zip is encrypted with AES, which the viewer can't open\./);
+  });
+
+  test("says what it found instead of ranch.db", async () => {
+    const photos = temp(
+      "photos.zip",
+      await zipBytes({
+        "a.jpg": Buffer.from("a"),
+        "b.jpg": Buffer.from("b"),
+        "notes.txt": Buffer.from("n"),
+        "farm.sqlite": await buildRanchDb(),
+      })
+    );
+    await assert.rejects(openBackup(photos), {
+      message:
+        "No ranch.db in photos.zip. It holds 4 files: 2 .jpg files, notes.txt, farm.sqlite. " +
+        "farm.sqlite is a database but not ranch.db; extract one and open it on its own to look inside.",
+    });
+    await assert.rejects(openBackup(temp("empty.zip", await zipBytes({}))), { message: "empty.zip is an empty ZIP." });
+    await assert.rejects(openBackup(temp("notes.txt", Buffer.from("hello"))), {
+      message: "notes.txt is neither a ZIP nor a SQLite database, so it isn't a Best Farmer backup.",
+    });
+  });
+});